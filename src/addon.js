@@ -3,116 +3,303 @@
 const express = require('express');
 const cors = require('cors');
 const dataManager = require('./database/dataManager');
+const orphanManager = require('./database/orphanManager');
+const hints = require('./database/hints');
+const episodeMaps = require('./database/episodeMaps');
+const runHistory = require('./database/runHistory');
+const reviewQueue = require('./database/reviewQueue');
 const config = require('./utils/config');
 const logger = require('./utils/logger');
+const metrics = require('./utils/metrics');
 const redis = require('./database/redis');
+const { runCrawler, isCrawlRunning, rebuildShow, reparseArchive } = require('./crawler/crawler');
+const { getDomainStatus } = require('./crawler/domainResolver');
+const { getSources } = require('./sources');
+const debrid = require('./debrid');
+const { parseConfig, DEFAULT_CONFIG, SUPPORTED_LANGUAGES, RESOLUTIONS } = require('./utils/userConfig');
+const { renderPage, escapeHtml } = require('./web/layout');
+const { renderConfigurePage } = require('./web/configurePage');
+const { FEED_FORMATS, renderFeed } = require('./web/feeds');
+const { renderOrphansPage } = require('./web/orphansPage');
+const { renderLoginPage } = require('./web/loginPage');
+const { renderHintsPage } = require('./web/hintsPage');
+const { renderEpisodeMapsPage } = require('./web/episodeMapsPage');
+const { renderReviewPage } = require('./web/reviewPage');
+const auth = require('./web/auth');
+const { TV_GENRES, MOVIE_GENRES } = require('./utils/tmdb');
 
 const app = express();
 app.use(cors());
 // Add express body-parser middleware to handle POST form data
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Sets req.admin for signed-in admins; Stremio endpoints never look at it.
+app.use(auth.loadAdmin);
 
 app.use((req, res, next) => {
     // Exclude root and form submission paths from generic request logging to keep it clean
-    if (req.path !== '/' && req.path !== '/add-hint') {
-        logger.info({ path: req.path, query: req.query }, 'Request received');
+    if (req.path !== '/' && req.path !== '/add-hint' && req.path !== '/crawl/backfill' && req.path !== '/login' && req.path !== '/metrics') {
+        // The user config segment may hold a debrid API key, so it is never logged.
+        const path = req.path.replace(/^\/[^/]+(?=\/(manifest\.json|catalog|meta|stream|configure|resolve)\b)/, '/:config');
+        logger.info({ path, query: req.query }, 'Request received');
     }
     next();
 });
 
+// Stremio endpoints, with or without the user config prefix: /[config/]{resource}/{type}/...
+const STREMIO_ROUTE = /^(?:\/[^/]+)?\/(manifest\.json|catalog|meta|stream)(?:\/([^/]+))?/;
+
+app.use((req, res, next) => {
+    const match = req.path.match(STREMIO_ROUTE);
+    if (!match) return next();
+    const route = match[1].replace('.json', '');
+    // Anything but the two known types is folded into one label to keep the series count bounded.
+    const type = !match[2] ? '' : ['series', 'movie'].includes(match[2]) ? match[2] : 'other';
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        metrics.stremioRequests.inc({ route, type, status: res.statusCode });
+        metrics.stremioDuration.observeSince({ route }, startedAt);
+    });
+    next();
+});
+
+const CATALOG_YEARS = Array.from({ length: 15 }, (_, i) => String(new Date().getFullYear() - i));
+const CATALOG_IDS = { series: 'tamilblasters-custom', movie: 'tamilblasters-movies' };
+
+function catalogExtras(genres) {
+    return [
+        { name: 'search' },
+        { name: 'skip' },
+        { name: 'genre', options: Object.values(genres).sort() },
+        { name: 'year', options: CATALOG_YEARS },
+    ];
+}
+
 const MANIFEST = {
     id: 'tamilblasters.series.hybrid',
-    version: '3.4.0', // Final version with hint management UI
+    version: '3.8.0', // Adds movies alongside series
     name: 'TamilBlasters Hybrid',
-    description: 'Provides a custom catalog and intelligently filtered P2P streams for TV Series from the 1TamilBlasters forum.',
-    types: ['series'],
-    resources: ['catalog', 'stream'],
-    catalogs: [{ type: 'series', id: 'tamilblasters-custom', name: 'TamilBlasters Catalog' }],
+    description: 'Provides custom catalogs and intelligently filtered P2P streams for TV Series and Movies from the 1TamilBlasters forum.',
+    types: ['series', 'movie'],
+    resources: ['catalog', { name: 'meta', types: ['series'], idPrefixes: ['tt', 'tmdb'] }, 'stream'],
+    catalogs: [
+        { type: 'series', id: CATALOG_IDS.series, name: 'TamilBlasters Catalog', extra: catalogExtras(TV_GENRES) },
+        { type: 'movie', id: CATALOG_IDS.movie, name: 'TamilBlasters Movies', extra: catalogExtras(MOVIE_GENRES) },
+    ],
     idPrefixes: ['tt', 'tmdb'],
-    behaviorHints: { configurable: false, configurationRequired: false }
+    behaviorHints: { configurable: true, configurationRequired: false }
 };
 
-app.get('/', async (req, res) => {
-    const manifestUrl = `${req.protocol}://${req.get('host')}/manifest.json`;
-    
-    // Fetch current hints to display them on the page
-    const hints = await redis.hgetall('search_hints');
-    const hintsTableRows = Object.entries(hints)
-        .map(([title, id]) => `<tr><td>${title}</td><td>${id}</td></tr>`)
+// Config keys whose values must never be shown, plus credentials embedded in URLs (e.g. REDIS_URL).
+const SECRET_CONFIG_KEY = /KEY|TOKEN|PASSWORD|SECRET/i;
+
+function redactUrl(value) {
+    try {
+        const url = new URL(value);
+        if (!url.password) return value;
+        url.password = 'REDACTED';
+        return url.toString();
+    } catch (e) {
+        return value;
+    }
+}
+
+function redactConfig(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => {
+        if (SECRET_CONFIG_KEY.test(key)) return [key, value ? '[REDACTED]' : value];
+        if (typeof value === 'string') return [key, redactUrl(value)];
+        if (Array.isArray(value)) return [key, value.map(item => typeof item === 'string' ? redactUrl(item) : item)];
+        return [key, value];
+    }));
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`;
+}
+
+function renderRunRow(run) {
+    const label = run.kind === 'crawl' ? `${run.kind} (${run.mode}${run.replay ? ', replay' : ''})` : run.title ? `${run.kind}: ${run.title}` : run.kind;
+    const domains = Object.values(run.domains || {});
+    const errors = run.errors.length > 0
+        ? `<details><summary>${run.errorCount}</summary>${run.errors.map(e => `<div class="muted">${escapeHtml(e.message)}${e.url ? ` <a href="${escapeHtml(e.url)}" target="_blank" rel="noopener">link</a>` : ''}</div>`).join('')}</details>`
+        : run.errorCount;
+    return `
+        <tr>
+            <td>${escapeHtml(label)}${run.status === 'failed' ? ' <b>(failed)</b>' : ''}<div class="muted">${escapeHtml(run.startedAt.replace('T', ' ').slice(0, 19))} UTC, ${formatDuration(run.durationMs)}</div>${domains.length > 0 ? `<div class="muted">${domains.map(escapeHtml).join(', ')}</div>` : ''}</td>
+            <td>${run.pagesCrawled} / ${run.threadsProcessed}</td>
+            <td>${run.newShows} / ${run.newStreams}</td>
+            <td>${run.orphansAdded} / ${run.orphansRescued}</td>
+            <td>${errors}</td>
+        </tr>`;
+}
+
+function renderDomainRow(domain) {
+    const moves = domain.history.map(move => `<div class="muted">${escapeHtml(move.at.replace('T', ' ').slice(0, 19))} UTC: ${escapeHtml(move.from)} &rarr; ${escapeHtml(move.to)} (${move.rewritten} thread(s) moved)</div>`).join('');
+    return `
+        <tr>
+            <td>${escapeHtml(domain.sourceId)}</td>
+            <td>${domain.current ? `<a href="${escapeHtml(domain.current)}" target="_blank" rel="noopener">${escapeHtml(domain.current)}</a>` : 'Not resolved yet'}<div class="muted">${escapeHtml(domain.via || '')}${domain.checkedAt ? `, checked ${escapeHtml(domain.checkedAt.replace('T', ' ').slice(0, 19))} UTC` : ''}</div></td>
+            <td>${moves ? `<details><summary>${domain.history.length}</summary>${moves}</details>` : 0}</td>
+        </tr>`;
+}
+
+function renderAdminSections(req, hintList, runs, domains) {
+    const hintsTableRows = hintList
+        .map(hint => `<tr><td>${escapeHtml(hint.patterns.join(', '))}</td><td>${escapeHtml(hint.match)}${hint.year ? ` (${escapeHtml(hint.year)})` : ''}</td><td>${escapeHtml(hint.target)} (${escapeHtml(hint.type || 'series')})</td></tr>`)
         .join('');
 
-    const html = `
-    <!DOCTYPE html>
-    <html lang="en">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${MANIFEST.name} Status</title>
-        <style>
-            body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; background-color: #f4f6f8; color: #1a202c; }
-            .container { max-width: 800px; margin: 40px auto; padding: 20px; background: white; border-radius: 8px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
-            h1, h2, h3 { color: #2d3748; border-bottom: 2px solid #e2e8f0; padding-bottom: 10px; }
-            h1 { text-align: center; }
-            p { line-height: 1.6; }
-            a { color: #3182ce; text-decoration: none; }
-            a:hover { text-decoration: underline; }
-            code { background-color: #edf2f7; padding: 2px 6px; border-radius: 4px; font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, Courier, monospace; }
-            pre { background-color: #1a202c; color: #e2e8f0; padding: 15px; border-radius: 8px; overflow-x: auto; white-space: pre-wrap; }
-            .install-button { display: inline-block; padding: 10px 20px; background-color: #48bb78; color: white; text-align: center; border-radius: 5px; font-weight: bold; margin-top: 10px; }
-            .section { margin-bottom: 30px; }
-            table { width: 100%; border-collapse: collapse; margin-top: 15px; }
-            th, td { text-align: left; padding: 12px; border-bottom: 1px solid #e2e8f0; }
-            th { background-color: #f7fafc; }
-            td:first-child { font-weight: bold; color: #4a5568; }
-            input[type="text"], button { font-size: 16px; padding: 8px; margin-right: 10px; border: 1px solid #cbd5e0; border-radius: 4px; }
-            button { background-color: #3182ce; color: white; border: none; cursor: pointer; }
-            button:hover { background-color: #2b6cb0; }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <h1>${MANIFEST.name} v${MANIFEST.version}</h1>
-            <p style="text-align:center;">${MANIFEST.description}</p>
-            <div style="text-align:center;">
-                <a href="stremio://install-addon/${encodeURIComponent(manifestUrl)}" class="install-button">Install Addon</a>
-            </div>
-
-            <div class="section">
-                <h2>Manage Search Hints</h2>
-                <p>If a show fails to match (see orphans list), add a hint here. Use the 'normalizedTitle' from the orphan log and a TMDb or IMDb ID.</p>
-                <form action="/add-hint" method="POST" style="margin-bottom: 20px; display: flex; align-items: center;">
-                    <input type="text" name="title" placeholder="Normalized Title" required style="flex-grow: 1;">
-                    <input type="text" name="id" placeholder="tmdb:123 or tt123" required style="flex-grow: 1;">
-                    <button type="submit">Add Hint</button>
-                </form>
-                <h3>Current Hints:</h3>
-                <table>
-                    <tr><th>Normalized Title</th><th>Mapped ID</th></tr>
-                    ${hintsTableRows || '<tr><td colspan="2">No hints configured.</td></tr>'}
-                </table>
-            </div>
-
-            <div class="section"><h2>Endpoints & Usage</h2><table>...</table></div>
-            <div class="section"><h2>Configuration</h2><pre><code>${JSON.stringify(config, null, 2)}</code></pre></div>
-            <div class="section"><h2>Manifest Details</h2><pre><code>${JSON.stringify(MANIFEST, null, 2)}</code></pre></div>
+    return `
+        <div class="section">
+            <h2>Manage Search Hints</h2>
+            <p>If a show fails to match (see the <a href="/orphans">orphan console</a>), add a hint here. Use the 'normalizedTitle' from the orphan log and a TMDb or IMDb ID.
+            Aliases, prefix and regex patterns, year qualifiers and bulk import are on the <a href="/hints">hints page</a>.</p>
+            <form action="/add-hint" method="POST" style="margin-bottom: 20px; display: flex; align-items: center;">
+                ${auth.csrfField(req)}
+                <input type="text" name="title" placeholder="Normalized Title" required style="flex-grow: 1;">
+                <input type="text" name="id" placeholder="tmdb:123 or tt123" required style="flex-grow: 1;">
+                <select name="type"><option value="series">Series</option><option value="movie">Movie</option></select>
+                <button type="submit">Add Hint</button>
+            </form>
+            <h3>Current Hints:</h3>
+            <table>
+                <tr><th>Patterns</th><th>Match</th><th>Mapped ID</th></tr>
+                ${hintsTableRows || '<tr><td colspan="3">No hints configured.</td></tr>'}
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Episode Numbering</h2>
+            <p>When the forum numbers seasons or episodes differently from TMDb, add a per-series map on the <a href="/episode-maps">episode numbering page</a>.</p>
+        </div>
+
+        <div class="section">
+            <h2>Match Review</h2>
+            <p>Threads whose TMDb match was ambiguous hold their streams until a show is picked on the <a href="/review">review page</a>.</p>
+        </div>
+
+        <div class="section">
+            <h2>Crawler</h2>
+            <p>Regular crawls stop at the first listing page without new or updated threads. A deep backfill walks on past them, up to ${config.DEEP_MAX_PAGES} pages per source.</p>
+            <form action="/crawl/backfill" method="POST">
+                ${auth.csrfField(req)}
+                <button type="submit"${isCrawlRunning() ? ' disabled' : ''}>${isCrawlRunning() ? 'Crawl in progress...' : 'Start Deep Backfill'}</button>
+            </form>
+            <h3>Rebuild a Show</h3>
+            <p>Deletes every stream of one show and processes the threads they came from again. Streams whose magnet left its thread are otherwise removed ${config.STALE_STREAM_GRACE_HOURS} hours after they were first found missing.</p>
+            <form method="POST" style="display: flex; align-items: center;"
+                  onsubmit="if (!confirm('Delete all streams of this show and rebuild them?')) return false; this.action = '/api/shows/' + this.type.value + '/' + encodeURIComponent(this.tmdbId.value.trim()) + '/rebuild';">
+                ${auth.csrfField(req)}
+                <select name="type"><option value="series">Series</option><option value="movie">Movie</option></select>
+                <input type="text" name="tmdbId" placeholder="TMDb ID" required pattern="\\d+" style="width: 100px;">
+                <button type="submit" class="danger">Purge &amp; Rebuild</button>
+            </form>
+            <h3>Reparse the Archive</h3>
+            ${config.HTML_ARCHIVE_DIR
+                ? `<p>Processes every archived thread page again without fetching it, replacing the orphans logged for those threads. Run it after a parser or matching fix.</p>
+            <form action="/crawl/reparse" method="POST">
+                ${auth.csrfField(req)}
+                <button type="submit"${isCrawlRunning() ? ' disabled' : ''}>${isCrawlRunning() ? 'Crawl in progress...' : 'Reparse Archived Threads'}</button>
+            </form>`
+                : '<p>Set HTML_ARCHIVE_DIR to keep fetched pages, so they can be parsed again later.</p>'}
+        </div>
+
+        <div class="section">
+            <h2>Forum Domains</h2>
+            <p>Each crawl tries where the domain monitors redirect, the last good domain, the mirrors and then the configured URL, and keeps the first whose listing lists threads. When the domain moves, stored thread URLs move with it.</p>
+            <table>
+                <tr><th>Source</th><th>Current Domain</th><th>Moves</th></tr>
+                ${domains.map(renderDomainRow).join('')}
+            </table>
+        </div>
+
+        <div class="section">
+            <h2>Recent Runs</h2>
+            <p>Crawls, old-thread revisits, orphan rescues and archive reparses, newest first. The full history is at <a href="/api/status/runs?limit=${config.RUN_HISTORY_LIMIT}">/api/status/runs</a>.</p>
+            <table>
+                <tr><th>Run</th><th>Pages / Threads</th><th>New Shows / Streams</th><th>Orphans Added / Rescued</th><th>Errors</th></tr>
+                ${runs.map(renderRunRow).join('') || '<tr><td colspan="5">No runs recorded yet.</td></tr>'}
+            </table>
         </div>
-    </body>
-    </html>
+
+        <div class="section"><h2>Configuration</h2><pre><code>${escapeHtml(JSON.stringify(redactConfig(config), null, 2))}</code></pre></div>
     `;
+}
+
+app.get('/', async (req, res) => {
+    const manifestUrl = `${req.protocol}://${req.get('host')}/manifest.json`;
+
+    let adminHtml = `<div class="section"><h2>Administration</h2><p><a href="/login">Sign in</a> to manage hints, orphans and the crawler.</p></div>`;
+    if (req.admin) {
+        // Fetch current hints to display them on the page
+        adminHtml = renderAdminSections(req, await hints.listHints(), await runHistory.listRuns({ limit: 15 }), await getDomainStatus(getSources()));
+    }
+    const signOut = req.admin && req.admin.via === 'session'
+        ? `<form action="/logout" method="POST" style="text-align:right;">${auth.csrfField(req)}<button type="submit">Sign Out</button></form>`
+        : '';
+
+    const html = renderPage(`${escapeHtml(MANIFEST.name)} Status`, `
+        ${signOut}
+        <h1>${escapeHtml(MANIFEST.name)} v${escapeHtml(MANIFEST.version)}</h1>
+        <p style="text-align:center;">${escapeHtml(MANIFEST.description)}</p>
+        <div style="text-align:center;">
+            <a href="stremio://install-addon/${encodeURIComponent(manifestUrl)}" class="install-button">Install Addon</a>
+            <a href="/configure" class="install-button" style="background-color: #3182ce;">Configure &amp; Install</a>
+        </div>
+
+        ${adminHtml}
+
+        <div class="section"><h2>Endpoints & Usage</h2><table>...</table></div>
+        <div class="section"><h2>Manifest Details</h2><pre><code>${escapeHtml(JSON.stringify(MANIFEST, null, 2))}</code></pre></div>
+    `);
     res.setHeader('Content-Type', 'text/html');
     res.send(html);
 });
 
-app.post('/add-hint', async (req, res) => {
-    const { title, id } = req.body;
+// --- ADMIN SIGN-IN ---
+app.get('/login', (req, res) => {
+    const next = auth.safeRedirectPath(req.query.next);
+    if (req.admin) return res.redirect(next);
+    res.setHeader('Content-Type', 'text/html');
+    res.send(renderLoginPage({ next, passwordEnabled: Boolean(config.ADMIN_PASSWORD) }));
+});
+
+app.post('/login', async (req, res) => {
+    const next = auth.safeRedirectPath(req.body.next);
+    if (!config.ADMIN_PASSWORD) {
+        return res.status(403).send('Password sign-in is disabled. Set ADMIN_PASSWORD to enable it.');
+    }
+    try {
+        if (await auth.login(req, res, req.body.password)) {
+            return res.redirect(next);
+        }
+        res.status(401).setHeader('Content-Type', 'text/html');
+        res.send(renderLoginPage({ next, error: 'Wrong password.', passwordEnabled: true }));
+    } catch (error) {
+        logger.error({ err: error }, 'Admin sign-in failed.');
+        res.status(500).send('Sign-in failed.');
+    }
+});
+
+app.post('/logout', auth.requireAdmin, async (req, res) => {
+    await auth.logout(req, res);
+    res.redirect('/');
+});
+
+app.post('/add-hint', auth.requireAdmin, async (req, res) => {
+    const { title, id, type = 'series' } = req.body;
     if (!title || !id) {
         return res.status(400).send('Title and ID are required.');
     }
+    if (!hints.CONTENT_TYPES.includes(type)) {
+        return res.status(400).send(`Type must be one of: ${hints.CONTENT_TYPES.join(', ')}.`);
+    }
     if (!id.startsWith('tmdb:') && !id.startsWith('tt')) {
         return res.status(400).send('ID must be in the format "tmdb:12345" or "tt1234567".');
     }
-    const success = await dataManager.addHint(title.toLowerCase().trim(), id);
+    const success = await hints.addHint(title, id, type);
     if (success) {
         res.redirect('/');
     } else {
@@ -120,33 +307,570 @@ app.post('/add-hint', async (req, res) => {
     }
 });
 
-app.get('/manifest.json', (req, res) => { res.json(MANIFEST); });
-app.get('/catalog/series/tamilblasters-custom.json', async (req, res) => {
-    logger.info('Request for custom catalog received.');
-    const metas = await dataManager.getCustomCatalog();
-    res.json({ metas });
+// The /api/hints and /api/orphans endpoints answer JSON, except for form posts from
+// the admin pages, which are redirected back to the page they came from.
+function sendFormResult(req, res, payload, pagePath) {
+    if (req.is('application/x-www-form-urlencoded')) {
+        // Return to the page with its filters intact, but never redirect off-site.
+        const referer = new URL(req.get('referer') || pagePath, 'http://localhost');
+        return res.redirect(referer.pathname === pagePath ? `${pagePath}${referer.search}` : pagePath);
+    }
+    res.json(payload);
+}
+
+// --- SEARCH HINTS ---
+function sendHintError(res, error) {
+    if (error.code === 'INVALID_HINT') {
+        return res.status(400).json({ error: error.message });
+    }
+    logger.error({ err: error }, 'Search hint request failed.');
+    res.status(500).json({ error: 'Internal Server Error' });
+}
+
+app.get('/hints', auth.requireAdmin, async (req, res) => {
+    try {
+        const hintList = await hints.listHints();
+        let test = null;
+        if (req.query.test) {
+            const year = req.query.year ? String(req.query.year).trim() : null;
+            const type = hints.CONTENT_TYPES.includes(req.query.type) ? req.query.type : 'series';
+            test = { title: String(req.query.test), year, type, hint: hints.compileHints(hintList)(String(req.query.test), year, type) };
+        }
+        res.setHeader('Content-Type', 'text/html');
+        res.send(renderHintsPage({ hints: hintList, csrfField: auth.csrfField(req), test }));
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to render hints page.');
+        res.status(500).send('Failed to load hints.');
+    }
+});
+
+app.get('/api/hints', auth.requireAdmin, async (req, res) => {
+    try {
+        res.json({ hints: await hints.listHints() });
+    } catch (error) {
+        sendHintError(res, error);
+    }
+});
+
+app.get('/api/hints/export', auth.requireAdmin, async (req, res) => {
+    try {
+        res.setHeader('Content-Disposition', 'attachment; filename="search_hints.json"');
+        res.type('application/json').send(JSON.stringify(await hints.exportHints(), null, 2));
+    } catch (error) {
+        sendHintError(res, error);
+    }
+});
+
+app.post('/api/hints/import', auth.requireAdmin, async (req, res) => {
+    // JSON clients send the hints as the body (or as { hints, replace }); the form sends them as text.
+    let data = Array.isArray(req.body) ? req.body : req.body.hints;
+    if (typeof req.body.data === 'string') {
+        try {
+            data = JSON.parse(req.body.data);
+        } catch (error) {
+            return res.status(400).json({ error: `Import is not valid JSON: ${error.message}` });
+        }
+    }
+    if (!data || typeof data !== 'object') {
+        return res.status(400).json({ error: 'Nothing to import.' });
+    }
+    const replace = !Array.isArray(req.body) && [true, '1', 'true', 'on'].includes(req.body.replace);
+    try {
+        const result = await hints.importHints(data, { replace });
+        if (result.errors.length > 0 && req.is('application/x-www-form-urlencoded')) {
+            return res.status(400).json(result);
+        }
+        sendFormResult(req, res, result, '/hints');
+    } catch (error) {
+        sendHintError(res, error);
+    }
+});
+
+app.post('/api/hints', auth.requireAdmin, async (req, res) => {
+    try {
+        const hint = await hints.createHint(req.body);
+        sendFormResult(req, res, { hint }, '/hints');
+    } catch (error) {
+        sendHintError(res, error);
+    }
+});
+
+app.get('/api/hints/:id', auth.requireAdmin, async (req, res) => {
+    try {
+        const hint = await hints.getHintById(req.params.id);
+        if (!hint) return res.status(404).json({ error: 'Hint not found.' });
+        res.json({ hint });
+    } catch (error) {
+        sendHintError(res, error);
+    }
+});
+
+async function updateHintRoute(req, res) {
+    try {
+        const hint = await hints.updateHint(req.params.id, req.body);
+        if (!hint) return res.status(404).json({ error: 'Hint not found.' });
+        sendFormResult(req, res, { hint }, '/hints');
+    } catch (error) {
+        sendHintError(res, error);
+    }
+}
+
+async function deleteHintRoute(req, res) {
+    try {
+        const deleted = await hints.deleteHint(req.params.id);
+        if (!deleted) return res.status(404).json({ error: 'Hint not found.' });
+        sendFormResult(req, res, { deleted: true }, '/hints');
+    } catch (error) {
+        sendHintError(res, error);
+    }
+}
+
+// Forms cannot send PUT or DELETE, so updates and deletes are also accepted as POST.
+app.route('/api/hints/:id')
+    .put(auth.requireAdmin, updateHintRoute)
+    .post(auth.requireAdmin, updateHintRoute)
+    .delete(auth.requireAdmin, deleteHintRoute);
+app.post('/api/hints/:id/delete', auth.requireAdmin, deleteHintRoute);
+
+// --- EPISODE NUMBERING ---
+function sendEpisodeMapError(res, error) {
+    if (error.code === 'INVALID_EPISODE_MAP') {
+        return res.status(400).json({ error: error.message });
+    }
+    logger.error({ err: error }, 'Episode map request failed.');
+    res.status(500).json({ error: 'Internal Server Error' });
+}
+
+app.get('/episode-maps', auth.requireAdmin, async (req, res) => {
+    try {
+        const rules = await episodeMaps.listEpisodeMaps();
+        res.setHeader('Content-Type', 'text/html');
+        res.send(renderEpisodeMapsPage({ rules, csrfField: auth.csrfField(req) }));
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to render episode maps page.');
+        res.status(500).send('Failed to load episode maps.');
+    }
+});
+
+app.get('/api/episode-maps', auth.requireAdmin, async (req, res) => {
+    try {
+        res.json({ maps: await episodeMaps.listEpisodeMaps() });
+    } catch (error) {
+        sendEpisodeMapError(res, error);
+    }
+});
+
+async function saveEpisodeMapRoute(req, res) {
+    try {
+        const rule = await episodeMaps.setEpisodeMap(req.params.tmdbId, req.body);
+        sendFormResult(req, res, { tmdbId: req.params.tmdbId, rule }, '/episode-maps');
+    } catch (error) {
+        sendEpisodeMapError(res, error);
+    }
+}
+
+async function deleteEpisodeMapRoute(req, res) {
+    try {
+        const deleted = await episodeMaps.deleteEpisodeMap(req.params.tmdbId);
+        if (!deleted) return res.status(404).json({ error: 'Episode map not found.' });
+        sendFormResult(req, res, { deleted: true }, '/episode-maps');
+    } catch (error) {
+        sendEpisodeMapError(res, error);
+    }
+}
+
+app.route('/api/episode-maps/:tmdbId')
+    .put(auth.requireAdmin, saveEpisodeMapRoute)
+    .post(auth.requireAdmin, saveEpisodeMapRoute)
+    .delete(auth.requireAdmin, deleteEpisodeMapRoute);
+app.post('/api/episode-maps/:tmdbId/delete', auth.requireAdmin, deleteEpisodeMapRoute);
+
+// --- ORPHAN CONSOLE ---
+function orphanFilters(query) {
+    return {
+        search: query.search ? String(query.search).trim() : '',
+        reason: query.reason ? String(query.reason) : '',
+        type: ['series', 'movie'].includes(query.type) ? query.type : '',
+        includeDismissed: query.dismissed === '1' || query.dismissed === 'true',
+    };
+}
+
+function orphanGroupParams(body) {
+    // Hidden form fields send missing values as empty strings.
+    return { normalizedTitle: body.normalizedTitle || null, reason: body.reason || null };
+}
+
+app.get('/orphans', auth.requireAdmin, async (req, res) => {
+    const filters = orphanFilters(req.query);
+    try {
+        const result = await orphanManager.getOrphanGroups(filters);
+        res.setHeader('Content-Type', 'text/html');
+        res.send(renderOrphansPage({ result, filters, csrfField: auth.csrfField(req) }));
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to render orphan console.');
+        res.status(500).send('Failed to load orphans.');
+    }
+});
+
+app.get('/api/orphans', auth.requireAdmin, async (req, res) => {
+    try {
+        res.json(await orphanManager.getOrphanGroups(orphanFilters(req.query)));
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to list orphan groups.');
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+app.get('/api/orphans/export', auth.requireAdmin, async (req, res) => {
+    const format = req.query.format === 'csv' ? 'csv' : 'json';
+    try {
+        const data = await orphanManager.exportOrphans(orphanFilters(req.query), format);
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="orphans.${format}"`);
+        res.send(data);
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to export orphans.');
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+app.post('/api/orphans/assign', auth.requireAdmin, async (req, res) => {
+    const { normalizedTitle } = orphanGroupParams(req.body);
+    const id = req.body.id ? String(req.body.id).trim() : '';
+    const type = ['series', 'movie'].includes(req.body.type) ? req.body.type : null;
+    if (!normalizedTitle || !id) {
+        return res.status(400).json({ error: 'normalizedTitle and id are required.' });
+    }
+    if (!id.startsWith('tmdb:') && !id.startsWith('tt')) {
+        return res.status(400).json({ error: 'ID must be in the format "tmdb:12345" or "tt1234567".' });
+    }
+    try {
+        const result = await orphanManager.assignOrphanGroup(normalizedTitle, id, type);
+        sendFormResult(req, res, { normalizedTitle, id, ...result }, '/orphans');
+    } catch (error) {
+        logger.error({ err: error, title: normalizedTitle, id }, 'Failed to assign ID to orphan group.');
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post(['/api/orphans/dismiss', '/api/orphans/restore'], auth.requireAdmin, async (req, res) => {
+    const { normalizedTitle, reason } = orphanGroupParams(req.body);
+    const dismissed = req.path.endsWith('/dismiss');
+    try {
+        await orphanManager.dismissOrphanGroup(normalizedTitle, reason, dismissed);
+        sendFormResult(req, res, { normalizedTitle, reason, dismissed }, '/orphans');
+    } catch (error) {
+        logger.error({ err: error, title: normalizedTitle, reason }, 'Failed to update orphan group.');
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+app.post('/api/orphans/delete', auth.requireAdmin, async (req, res) => {
+    const { normalizedTitle, reason } = orphanGroupParams(req.body);
+    try {
+        const deleted = await orphanManager.deleteOrphanGroup(normalizedTitle, reason);
+        sendFormResult(req, res, { normalizedTitle, reason, deleted }, '/orphans');
+    } catch (error) {
+        logger.error({ err: error, title: normalizedTitle, reason }, 'Failed to delete orphan group.');
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+// --- MATCH REVIEW ---
+function reviewFilters(query) {
+    return {
+        thread: query.thread ? String(query.thread).trim() : '',
+        type: ['series', 'movie'].includes(query.type) ? query.type : null,
+    };
+}
+
+function sendReviewError(res, error) {
+    if (error.code === 'INVALID_REVIEW') {
+        return res.status(400).json({ error: error.message });
+    }
+    logger.error({ err: error }, 'Match review request failed.');
+    res.status(500).json({ error: 'Internal Server Error' });
+}
+
+app.get('/review', auth.requireAdmin, async (req, res) => {
+    const filters = reviewFilters(req.query);
+    try {
+        const items = await reviewQueue.listReviews(filters);
+        res.setHeader('Content-Type', 'text/html');
+        res.send(renderReviewPage({ items, filters, csrfField: auth.csrfField(req) }));
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to render review page.');
+        res.status(500).send('Failed to load the review queue.');
+    }
+});
+
+app.get('/api/review', auth.requireAdmin, async (req, res) => {
+    try {
+        res.json({ items: await reviewQueue.listReviews(reviewFilters(req.query)) });
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+app.post('/api/review/:id/approve', auth.requireAdmin, async (req, res) => {
+    try {
+        const result = await reviewQueue.approveReview(req.params.id, req.body.id);
+        if (!result) return res.status(404).json({ error: 'Review item not found.' });
+        sendFormResult(req, res, { id: req.params.id, ...result }, '/review');
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+app.post('/api/review/:id/reject', auth.requireAdmin, async (req, res) => {
+    try {
+        const orphaned = await reviewQueue.rejectReview(req.params.id);
+        if (orphaned === null) return res.status(404).json({ error: 'Review item not found.' });
+        sendFormResult(req, res, { id: req.params.id, orphaned }, '/review');
+    } catch (error) {
+        sendReviewError(res, error);
+    }
+});
+
+// Routes below are also served under a /:config prefix, which carries the
+// user's stream preferences as base64url-encoded JSON (see utils/userConfig).
+app.param('config', (req, res, next, encoded) => {
+    req.userConfig = parseConfig(encoded);
+    if (!req.userConfig) {
+        return res.status(400).json({ error: 'Invalid addon configuration in URL.' });
+    }
+    next();
+});
+
+app.get(['/configure', '/:config/configure'], (req, res) => {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const html = renderConfigurePage({ manifest: MANIFEST, baseUrl, userConfig: req.userConfig || DEFAULT_CONFIG });
+    res.setHeader('Content-Type', 'text/html');
+    res.send(html);
+});
+
+app.post('/crawl/backfill', auth.requireAdmin, (req, res) => {
+    if (isCrawlRunning()) {
+        return res.status(409).send('A crawl is already running. Try again when it has finished.');
+    }
+    runCrawler({ deep: true }).catch(err => logger.error({ err }, 'Deep backfill crawl failed.'));
+    logger.info('Deep backfill crawl started from the web UI.');
+    res.redirect('/');
+});
+
+app.post('/crawl/reparse', auth.requireAdmin, (req, res) => {
+    if (!config.HTML_ARCHIVE_DIR) {
+        return res.status(400).send('HTML_ARCHIVE_DIR is not set, so there is no archive to reparse.');
+    }
+    if (isCrawlRunning()) {
+        return res.status(409).send('A crawl is already running. Try again when it has finished.');
+    }
+    reparseArchive().catch(err => logger.error({ err }, 'Archive reparse failed.'));
+    logger.info('Archive reparse started from the web UI.');
+    res.redirect('/');
+});
+
+app.get('/metrics', auth.requireMetricsAccess, async (req, res) => {
+    try {
+        res.type('text/plain; version=0.0.4').send(await metrics.render());
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to render metrics.');
+        res.status(500).send('Failed to render metrics.');
+    }
+});
+
+app.get('/api/status/runs', auth.requireAdmin, async (req, res) => {
+    const kind = req.query.kind || null;
+    if (kind && !runHistory.RUN_KINDS.includes(kind)) {
+        return res.status(400).json({ error: `Kind must be one of: ${runHistory.RUN_KINDS.join(', ')}.` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, config.RUN_HISTORY_LIMIT);
+    try {
+        res.json({ runs: await runHistory.listRuns({ kind, limit }) });
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to list run history.');
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+app.get('/api/status/domains', auth.requireAdmin, async (req, res) => {
+    try {
+        res.json({ domains: await getDomainStatus(getSources()) });
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to read the domain status.');
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+app.post('/api/shows/:type/:tmdbId/rebuild', auth.requireAdmin, async (req, res) => {
+    const { type, tmdbId } = req.params;
+    if (!CATALOG_IDS[type] || !/^\d+$/.test(tmdbId)) {
+        return res.status(400).json({ error: 'Type must be "series" or "movie", and the TMDb ID numeric.' });
+    }
+    try {
+        const result = await rebuildShow(tmdbId, type);
+        if (!result) return res.status(409).json({ error: 'A crawl is already running. Try again when it has finished.' });
+        sendFormResult(req, res, { type, tmdbId, ...result }, '/');
+    } catch (error) {
+        logger.error({ err: error, type, tmdbId }, 'Failed to rebuild show.');
+        res.status(500).json({ error: 'Internal Server Error' });
+    }
+});
+
+app.get(['/manifest.json', '/:config/manifest.json'], (req, res) => { res.json(MANIFEST); });
+app.get([
+    '/catalog/:type/:catalogId.json',
+    '/catalog/:type/:catalogId/:extra.json',
+    '/:config/catalog/:type/:catalogId.json',
+    '/:config/catalog/:type/:catalogId/:extra.json',
+], async (req, res) => {
+    const { type, catalogId } = req.params;
+    if (CATALOG_IDS[type] !== catalogId) return res.status(404).json({ metas: [] });
+    // Stremio sends extras as a path segment, e.g. "search=vadhandhi&skip=100"
+    const extra = Object.fromEntries(new URLSearchParams(req.params.extra || ''));
+    logger.info({ type, extra }, 'Request for custom catalog received.');
+    try {
+        const metas = await dataManager.getCustomCatalog(extra, type);
+        res.json({ metas });
+    } catch (error) {
+        logger.error({ err: error, extra }, 'Failed to read custom catalog.');
+        res.status(500).json({ metas: [] });
+    }
 });
-app.get('/stream/series/:id.json', async (req, res) => {
-    const { id } = req.params;
+/**
+ * Splits a Stremio ID ("tt123", "tt123:1:2", "tmdb:123" or "tmdb:123:1:2")
+ * and resolves the TMDb ID it refers to.
+ * @param {string} id - The ID from the request path.
+ * @param {string} [type] - 'series' or 'movie'; the two have separate TMDb ID spaces.
+ * @returns {Promise<{tmdbId: string|null, metaId: string, season: number|null, episode: number|null}>}
+ */
+async function resolveStremioId(id, type = 'series') {
     const idParts = id.split(':');
-    const sourceId = idParts[0];
-    const requestedSeason = idParts[1] ? parseInt(idParts[1], 10) : null;
-    const requestedEpisode = idParts[2] ? parseInt(idParts[2], 10) : null;
+    const isTmdb = idParts[0] === 'tmdb';
+    const metaId = isTmdb ? `tmdb:${idParts[1]}` : idParts[0];
+    const [seasonPart, episodePart] = isTmdb ? idParts.slice(2) : idParts.slice(1);
     let tmdbId = null;
-    if (sourceId.startsWith('tt')) {
-        tmdbId = await dataManager.getTmdbIdByImdbId(sourceId);
-    } else if (sourceId === 'tmdb') {
-        tmdbId = idParts[1];
+    if (isTmdb) {
+        tmdbId = idParts[1] || null;
+    } else if (metaId.startsWith('tt')) {
+        tmdbId = await dataManager.getTmdbIdByImdbId(metaId, type);
     }
+    return {
+        tmdbId,
+        metaId,
+        season: seasonPart ? parseInt(seasonPart, 10) : null,
+        episode: episodePart ? parseInt(episodePart, 10) : null,
+    };
+}
+
+app.get(['/meta/series/:id.json', '/:config/meta/series/:id.json'], async (req, res) => {
+    const { tmdbId, metaId } = await resolveStremioId(req.params.id);
+    if (!tmdbId) return res.json({ meta: null });
+    try {
+        const meta = await dataManager.getSeriesMeta(tmdbId, metaId);
+        res.json({ meta });
+    } catch (error) {
+        logger.error({ err: error, id: req.params.id }, 'Failed to build series meta.');
+        res.status(500).json({ meta: null });
+    }
+});
+
+/**
+ * Swaps in debrid streams when the user config has a debrid key. The resolve URLs carry the
+ * config segment, so the key is only ever sent back to the player that already has it.
+ * @param {object} req
+ * @param {object[]} streams
+ * @returns {Promise<object[]>}
+ */
+function withDebrid(req, streams) {
+    if (!req.params.config || !req.userConfig.debridApiKey) return streams;
+    return debrid.applyDebrid(streams, req.userConfig, `${req.protocol}://${req.get('host')}/${req.params.config}`);
+}
+
+app.get(['/stream/series/:id.json', '/:config/stream/series/:id.json'], async (req, res) => {
+    const { tmdbId, season: requestedSeason, episode: requestedEpisode } = await resolveStremioId(req.params.id);
     if (!tmdbId) return res.json({ streams: [] });
-    const streams = await dataManager.getStreamsByTmdbId(tmdbId, requestedSeason, requestedEpisode);
+    const streams = await dataManager.getStreamsByTmdbId(tmdbId, requestedSeason, requestedEpisode, req.userConfig || DEFAULT_CONFIG);
     if (!streams || streams.length === 0) return res.json({ streams: [] });
-    res.json({ streams });
+    res.json({ streams: await withDebrid(req, streams) });
+});
+app.get(['/stream/movie/:id.json', '/:config/stream/movie/:id.json'], async (req, res) => {
+    const { tmdbId } = await resolveStremioId(req.params.id, 'movie');
+    if (!tmdbId) return res.json({ streams: [] });
+    const streams = await dataManager.getMovieStreams(tmdbId, req.userConfig || DEFAULT_CONFIG);
+    res.json({ streams: await withDebrid(req, streams) });
+});
+
+const DEBRID_ERROR_STATUS = { DEBRID_AUTH: 401, DEBRID_NOT_READY: 503 };
+
+// Debrid stream URLs point here; the player follows the redirect to the provider's download link.
+app.get(['/resolve/:provider/:infoHash/:fileIdx', '/:config/resolve/:provider/:infoHash/:fileIdx'], async (req, res) => {
+    const { provider, infoHash, fileIdx } = req.params;
+    const userConfig = req.userConfig || DEFAULT_CONFIG;
+    if (!/^[a-f0-9]{40}$/i.test(infoHash) || !/^(\d+|auto)$/.test(fileIdx)) {
+        return res.status(400).send('Invalid info hash or file index.');
+    }
+    if (!debrid.getProvider(provider)) return res.status(404).send('Unknown debrid provider.');
+    if (!userConfig.debridApiKey || userConfig.debridProvider !== provider) {
+        return res.status(400).send(`No ${provider} API key in the addon configuration.`);
+    }
+    try {
+        const url = await debrid.resolveLink(provider, userConfig.debridApiKey, infoHash, fileIdx === 'auto' ? null : parseInt(fileIdx, 10));
+        res.redirect(302, url);
+    } catch (error) {
+        logger.warn({ provider, infoHash, fileIdx, err: error.message }, 'Debrid resolve failed.');
+        res.status(DEBRID_ERROR_STATUS[error.code] || 502).send(error.message);
+    }
+});
+
+const FEED_DEFAULT_LIMIT = 50;
+const FEED_MAX_LIMIT = 200;
+
+/**
+ * Reads the feed query: ?format=rss|atom&lang=ta,te&resolution=1080p,2160p&limit=50.
+ * @param {object} query
+ * @returns {object} The feed options, or `{ error }` naming the invalid parameter.
+ */
+function parseFeedQuery(query) {
+    const list = value => (typeof value === 'string' && value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+    const format = query.format || 'rss';
+    const languages = list(query.lang);
+    const resolutions = list(query.resolution);
+    if (!FEED_FORMATS.includes(format)) return { error: `format must be one of: ${FEED_FORMATS.join(', ')}` };
+    if (languages.some(lang => !SUPPORTED_LANGUAGES[lang])) return { error: `lang must be among: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}` };
+    if (resolutions.some(resolution => !RESOLUTIONS.includes(resolution))) return { error: `resolution must be among: ${RESOLUTIONS.join(', ')}` };
+    const limit = query.limit === undefined ? FEED_DEFAULT_LIMIT : parseInt(query.limit, 10);
+    if (!(limit >= 1 && limit <= FEED_MAX_LIMIT)) return { error: `limit must be between 1 and ${FEED_MAX_LIMIT}` };
+    return { format, languages, resolutions, limit };
+}
+
+// RSS/Atom feeds of newly added streams, to follow uploads without opening Stremio.
+app.get(['/feeds/latest.xml', '/feeds/show/:imdbId.xml'], async (req, res) => {
+    const { imdbId = null } = req.params;
+    const options = parseFeedQuery(req.query);
+    if (options.error) return res.status(400).send(options.error);
+    if (imdbId && !/^tt\d+$/.test(imdbId)) return res.status(400).send('Invalid IMDb ID.');
+    try {
+        const items = await dataManager.getFeedItems({ imdbId, ...options });
+        const siteUrl = `${req.protocol}://${req.get('host')}`;
+        const showName = imdbId ? (items.find(item => item.showName) || {}).showName || imdbId : null;
+        const { contentType, body } = renderFeed({
+            format: options.format,
+            title: showName ? `${MANIFEST.name}: ${showName}` : `${MANIFEST.name}: new uploads`,
+            selfUrl: `${siteUrl}${req.originalUrl}`,
+            siteUrl,
+        }, items);
+        res.setHeader('Content-Type', contentType);
+        res.send(body);
+    } catch (error) {
+        logger.error({ err: error, imdbId }, 'Failed to build feed.');
+        res.status(500).send('Could not build the feed.');
+    }
 });
 app.get('/health', (req, res) => { res.status(200).send('OK'); });
 
 // --- DEBUG ENDPOINT WITH PAGINATION ---
-app.get('/debug/redis/:key', async (req, res) => {
+app.get('/debug/redis/:key', auth.requireAdmin, async (req, res) => {
     if (config.NODE_ENV !== 'development') {
         return res.status(403).send('Forbidden in production environment');
     }
@@ -198,6 +922,9 @@ function startServer() {
     const port = config.PORT;
     app.listen(port, () => {
         logger.info(`Stremio addon server listening on http://localhost:${port}`);
+        if (!auth.isAuthConfigured()) {
+            logger.warn('ADMIN_PASSWORD and ADMIN_TOKEN are not set. Admin pages and endpoints are disabled.');
+        }
     });
 }
 
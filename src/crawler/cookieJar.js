@@ -0,0 +1,103 @@
+// src/crawler/cookieJar.js
+
+const redis = require('../database/redis');
+
+// SCHEMA:
+// crawler:cookies:{domain} -> HASH cookie name -> JSON { value, expiresAt }, expiresAt null for session cookies
+// The jar lives in Redis so every worker thread sends the same forum session and challenge
+// clearance, and both survive a restart. Paths are ignored: the forum scopes its cookies to "/".
+const KEY_PREFIX = 'crawler:cookies:';
+const JAR_TTL = 60 * 60 * 24 * 30; // A domain nobody fetched from in this long is dropped with its session
+
+/**
+ * @param {string} host
+ * @returns {string[]} The host and every parent domain a cookie for it may be set on.
+ */
+function domainsOf(host) {
+    const labels = host.toLowerCase().split('.');
+    const domains = [];
+    for (let i = 0; i < labels.length - 1; i++) domains.push(labels.slice(i).join('.'));
+    return domains.length > 0 ? domains : [host];
+}
+
+/**
+ * Stores a cookie, or deletes it when it has already expired.
+ * @param {string} domain
+ * @param {string} name
+ * @param {string} value
+ * @param {number|null} expiresAt - Epoch milliseconds; null for a session cookie.
+ */
+async function setCookie(domain, name, value, expiresAt) {
+    const key = `${KEY_PREFIX}${domain.replace(/^\./, '').toLowerCase()}`;
+    if (expiresAt !== null && expiresAt <= Date.now()) {
+        await redis.hdel(key, name);
+        return;
+    }
+    await redis.pipeline().hset(key, name, JSON.stringify({ value, expiresAt })).expire(key, JAR_TTL).exec();
+}
+
+/**
+ * Stores the cookies of a response.
+ * @param {string} url - The URL the response came from.
+ * @param {string[]|string|undefined} setCookieHeaders - The Set-Cookie header(s).
+ */
+async function storeSetCookies(url, setCookieHeaders) {
+    if (!setCookieHeaders) return;
+    const host = new URL(url).hostname;
+    for (const header of [].concat(setCookieHeaders)) {
+        const [pair, ...attributes] = header.split(';').map(part => part.trim());
+        const separator = pair.indexOf('=');
+        if (separator <= 0) continue;
+        let domain = host;
+        let expiresAt = null;
+        for (const attribute of attributes) {
+            const [attrName, ...rest] = attribute.split('=');
+            const attrValue = rest.join('=');
+            const lower = attrName.toLowerCase();
+            if (lower === 'domain' && attrValue && domainsOf(host).includes(attrValue.replace(/^\./, '').toLowerCase())) domain = attrValue;
+            // Max-Age wins over Expires when a cookie carries both.
+            if (lower === 'max-age' && /^-?\d+$/.test(attrValue)) expiresAt = Date.now() + parseInt(attrValue, 10) * 1000;
+            if (lower === 'expires' && !attributes.some(a => /^max-age=/i.test(a)) && !Number.isNaN(Date.parse(attrValue))) expiresAt = Date.parse(attrValue);
+        }
+        await setCookie(domain, pair.slice(0, separator), pair.slice(separator + 1), expiresAt);
+    }
+}
+
+/**
+ * Stores cookies in the shape browsers and FlareSolverr report them.
+ * @param {Array<{name: string, value: string, domain: string, expires?: number}>} cookies - `expires`
+ *   in epoch seconds, -1 or absent for a session cookie.
+ */
+async function storeCookies(cookies) {
+    for (const { name, value, domain, expires } of cookies) {
+        await setCookie(domain, name, value, expires > 0 ? expires * 1000 : null);
+    }
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<object>} Cookie name -> value for every unexpired cookie the URL should be sent.
+ */
+async function getCookies(url) {
+    const cookies = {};
+    // Parent domains first, so a cookie set on the exact host wins.
+    for (const domain of domainsOf(new URL(url).hostname).reverse()) {
+        const stored = await redis.hgetall(`${KEY_PREFIX}${domain}`);
+        for (const [name, json] of Object.entries(stored)) {
+            const { value, expiresAt } = JSON.parse(json);
+            if (expiresAt === null || expiresAt > Date.now()) cookies[name] = value;
+        }
+    }
+    return cookies;
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<string|null>} The Cookie header for a request to the URL, or null if there is none.
+ */
+async function getCookieHeader(url) {
+    const cookies = Object.entries(await getCookies(url));
+    return cookies.length > 0 ? cookies.map(([name, value]) => `${name}=${value}`).join('; ') : null;
+}
+
+module.exports = { storeSetCookies, storeCookies, getCookies, getCookieHeader };
@@ -0,0 +1,178 @@
+// src/crawler/crawlQueue.js
+
+const redis = require('../database/redis');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+
+// SCHEMA:
+// crawl:tasks -> HASH url -> task JSON ({ url, type, sourceId, attempts, lastError })
+// crawl:queue -> Sorted Set of urls, scored by the time (ms) they may be leased
+// crawl:inflight -> Sorted Set of urls, scored by the time (ms) their lease expires
+// crawl:dead -> LIST of task JSON that exhausted CRAWL_MAX_ATTEMPTS
+const TASKS_KEY = 'crawl:tasks';
+const QUEUE_KEY = 'crawl:queue';
+const INFLIGHT_KEY = 'crawl:inflight';
+const DEAD_KEY = 'crawl:dead';
+
+// Moves the first ready task from the queue into the in-flight set.
+redis.defineCommand('crawlLease', {
+    numberOfKeys: 2,
+    lua: `
+        local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, 1)
+        if #ids == 0 then return nil end
+        redis.call('ZREM', KEYS[1], ids[1])
+        redis.call('ZADD', KEYS[2], ARGV[2], ids[1])
+        return ids[1]
+    `,
+});
+
+// Moves in-flight tasks whose lease expired before ARGV[1] back into the queue.
+redis.defineCommand('crawlRequeue', {
+    numberOfKeys: 2,
+    lua: `
+        local ids = redis.call('ZRANGEBYSCORE', KEYS[2], '-inf', ARGV[1])
+        for _, id in ipairs(ids) do
+            redis.call('ZREM', KEYS[2], id)
+            redis.call('ZADD', KEYS[1], ARGV[2], id)
+        end
+        return #ids
+    `,
+});
+
+/**
+ * Queues a thread unless the same URL is already queued or being processed.
+ * @param {object} task - { url, type, sourceId }
+ * @returns {Promise<boolean>} true if the task was added.
+ */
+async function enqueue(task) {
+    const added = await redis.hsetnx(TASKS_KEY, task.url, JSON.stringify({ ...task, attempts: 0 }));
+    if (!added) {
+        logger.debug({ url: task.url }, 'Thread already queued, skipping duplicate.');
+        return false;
+    }
+    await redis.zadd(QUEUE_KEY, Date.now(), task.url);
+    return true;
+}
+
+/**
+ * Takes the next ready task and leases it for CRAWL_VISIBILITY_TIMEOUT seconds.
+ * If the lease runs out before `ack` or `fail`, the task is handed out again.
+ * @returns {Promise<object|null>} The task, with `id` set to its URL.
+ */
+async function lease() {
+    const now = Date.now();
+    const id = await redis.crawlLease(QUEUE_KEY, INFLIGHT_KEY, now, now + config.CRAWL_VISIBILITY_TIMEOUT * 1000);
+    if (!id) return null;
+    const taskData = await redis.hget(TASKS_KEY, id);
+    if (!taskData) {
+        await redis.zrem(INFLIGHT_KEY, id);
+        return null;
+    }
+    return { ...JSON.parse(taskData), id };
+}
+
+/**
+ * Marks a leased task as finished.
+ * @param {string} id
+ */
+async function ack(id) {
+    await redis.pipeline().zrem(INFLIGHT_KEY, id).hdel(TASKS_KEY, id).exec();
+}
+
+/**
+ * Schedules a retry with exponential backoff, or moves the task to the
+ * dead-letter list once it has failed CRAWL_MAX_ATTEMPTS times.
+ * @param {string} id
+ * @param {string} error - Why the attempt failed.
+ */
+async function fail(id, error) {
+    const taskData = await redis.hget(TASKS_KEY, id);
+    if (!taskData) {
+        await redis.zrem(INFLIGHT_KEY, id);
+        return;
+    }
+    const task = JSON.parse(taskData);
+    task.attempts = (task.attempts || 0) + 1;
+    task.lastError = error;
+
+    if (task.attempts >= config.CRAWL_MAX_ATTEMPTS) {
+        await redis.pipeline()
+            .zrem(INFLIGHT_KEY, id)
+            .hdel(TASKS_KEY, id)
+            .lpush(DEAD_KEY, JSON.stringify({ ...task, failedAt: new Date().toISOString() }))
+            .exec();
+        logger.error({ url: id, attempts: task.attempts, err: error }, 'Thread failed too many times. Moved to dead-letter list.');
+        return;
+    }
+
+    const delay = config.CRAWL_RETRY_BASE_DELAY * 1000 * Math.pow(2, task.attempts - 1);
+    await redis.pipeline()
+        .hset(TASKS_KEY, id, JSON.stringify(task))
+        .zrem(INFLIGHT_KEY, id)
+        .zadd(QUEUE_KEY, Date.now() + delay, id)
+        .exec();
+    logger.warn({ url: id, attempt: task.attempts, retryIn: `${delay / 1000}s`, err: error }, 'Thread processing failed. Scheduled a retry.');
+}
+
+/**
+ * Returns expired leases to the queue.
+ * @returns {Promise<number>} How many tasks were requeued.
+ */
+async function requeueExpired() {
+    const now = Date.now();
+    return redis.crawlRequeue(QUEUE_KEY, INFLIGHT_KEY, now, now);
+}
+
+/**
+ * Returns every in-flight task to the queue. Called once at startup: no task
+ * can be in flight in a process that has just started.
+ * @returns {Promise<number>}
+ */
+async function recoverInflight() {
+    const requeued = await redis.crawlRequeue(QUEUE_KEY, INFLIGHT_KEY, '+inf', Date.now());
+    if (requeued > 0) {
+        logger.info(`Recovered ${requeued} in-flight crawl tasks from the previous run.`);
+    }
+    return requeued;
+}
+
+/**
+ * Moves queued and in-flight tasks from one forum domain to another, keeping their attempts and
+ * when they are due, so retries fetch the new domain. A task already queued under the new URL
+ * wins. A moved in-flight task is not acked by the worker holding the old URL, so it is handed
+ * out once more when its lease runs out.
+ * @param {string} fromOrigin - e.g. "https://www.1tamilblasters.fi"
+ * @param {string} toOrigin
+ * @returns {Promise<number>} How many tasks were moved.
+ */
+async function moveDomain(fromOrigin, toOrigin) {
+    let moved = 0;
+    for (const [url, taskData] of Object.entries(await redis.hgetall(TASKS_KEY))) {
+        if (!url.startsWith(`${fromOrigin}/`)) continue;
+        const newUrl = `${toOrigin}${url.slice(fromOrigin.length)}`;
+        const [[, queuedAt], [, leasedUntil]] = await redis.pipeline().zscore(QUEUE_KEY, url).zscore(INFLIGHT_KEY, url).exec();
+        const pipeline = redis.pipeline().hdel(TASKS_KEY, url).zrem(QUEUE_KEY, url).zrem(INFLIGHT_KEY, url);
+        if (await redis.hsetnx(TASKS_KEY, newUrl, JSON.stringify({ ...JSON.parse(taskData), url: newUrl }))) {
+            if (queuedAt !== null) pipeline.zadd(QUEUE_KEY, queuedAt, newUrl);
+            if (leasedUntil !== null) pipeline.zadd(INFLIGHT_KEY, leasedUntil, newUrl);
+            moved++;
+        }
+        await pipeline.exec();
+    }
+    if (moved > 0) logger.info({ from: fromOrigin, to: toOrigin, moved }, 'Moved crawl tasks to a new domain.');
+    return moved;
+}
+
+/**
+ * @returns {Promise<{queued: number, inflight: number, dead: number}>}
+ */
+async function getStats() {
+    const [[, queued], [, inflight], [, dead]] = await redis.pipeline()
+        .zcard(QUEUE_KEY)
+        .zcard(INFLIGHT_KEY)
+        .llen(DEAD_KEY)
+        .exec();
+    return { queued, inflight, dead };
+}
+
+module.exports = { enqueue, lease, ack, fail, requeueExpired, recoverInflight, moveDomain, getStats };
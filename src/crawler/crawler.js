@@ -1,35 +1,68 @@
 // src/crawler/crawler.js
 
-const axios = require('axios');
-const cheerio = require('cheerio');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const crawlQueue = require('./crawlQueue');
 const WorkerPool = require('./workerPool');
 const dataManager = require('../database/dataManager');
+const runHistory = require('../database/runHistory');
+const orphanManager = require('../database/orphanManager');
+const htmlArchive = require('./htmlArchive');
+const domainResolver = require('./domainResolver');
+const httpClient = require('./httpClient');
+const { getSources, getAdapter } = require('../sources');
 
 const workerPool = new WorkerPool(config.MAX_CONCURRENCY, './src/workers/threadProcessor.js');
 
-async function getValidUrl(url) {
-    try {
-        const response = await axios.get(config.DOMAIN_MONITOR, {
-            maxRedirects: 5, timeout: 10000, headers: { 'User-Agent': config.USER_AGENT }
-        });
-        const finalUrl = response.request.res.responseUrl;
-        const domain = new URL(finalUrl).origin;
-        logger.info(`Master domain resolved to: ${domain}`);
-        return url.replace(new URL(config.FORUM_URL).origin, domain);
-    } catch (error) {
-        logger.error({ err: error.message }, 'Failed to resolve master domain. Using default FORUM_URL.');
-        return config.FORUM_URL;
+// Listing pages that may fail in a row (each after its own retries) before a source is given up.
+const MAX_FAILED_PAGES = 3;
+
+metrics.registerGauge('crawl_queue_tasks', 'Crawl tasks by state (queued, inflight, dead).', async () => {
+    const stats = await crawlQueue.getStats();
+    return Object.entries(stats).map(([state, count]) => [{ state }, count]);
+});
+metrics.registerGauge('worker_active_tasks', 'Threads being processed by the worker pool right now.', async () => [[{}, workerPool.activeTasks]]);
+
+/**
+ * Moves a source's URL to the domain it is reachable on (see domainResolver.js).
+ * A replay uses the domain the archive was crawled on instead.
+ * @param {object} source
+ * @param {string|null} [runId] - A failed resolution is recorded against this run.
+ * @returns {Promise<string>} The source URL on the resolved domain.
+ */
+async function getValidUrl(source, runId = null) {
+    if (config.CRAWL_REPLAY) {
+        const archived = await htmlArchive.getRecordedDomain(source.id);
+        return archived ? source.url.replace(new URL(source.url).origin, archived) : source.url;
     }
+    const { url, healthy } = await domainResolver.resolveSourceUrl(source);
+    const origin = new URL(url).origin;
+    if (healthy) {
+        await htmlArchive.recordDomain(source.id, origin);
+    } else {
+        await runHistory.recordRunError(runId, `No healthy domain found. Trying ${origin}.`, source.url);
+    }
+    return url;
 }
 
-async function fetchPage(url, retries = 3) {
+/**
+ * Fetches a listing page and archives it. In replay mode the page comes from the archive,
+ * where a page that was never fetched counts as the end of the pagination.
+ * @param {string} url
+ * @param {object} source - Stored with the archived page.
+ * @param {number} [retries]
+ * @returns {Promise<string|null>} null for a missing page (404).
+ */
+async function fetchPage(url, source, retries = 3) {
+    if (config.CRAWL_REPLAY) return htmlArchive.readArchivedPage(url);
     for (let i = 0; i < retries; i++) {
         try {
-            const { data } = await axios.get(url, { headers: { 'User-Agent': config.USER_AGENT }, timeout: 15000 });
+            const { data } = await httpClient.get(url, { source });
+            await htmlArchive.archivePage(url, data, { kind: 'listing', type: source.type, sourceId: source.id });
             return data;
         } catch (error) {
+            metrics.fetchErrors.inc({ kind: 'page', status: metrics.statusLabel(error) });
             if (error.response && error.response.status === 404) {
                 return null;
             }
@@ -44,76 +77,210 @@ async function fetchPage(url, retries = 3) {
     }
 }
 
-function parseThreadLinks(html) {
-    const $ = cheerio.load(html);
-    const links = [];
-    $('a[data-ipshover]').each((i, el) => {
-        const link = $(el).attr('href');
-        if (link && link.includes('/topic/')) {
-            links.push(link);
-        }
-    });
-    return [...new Set(links)];
-}
-
-async function runCrawler(isInitial = false) {
-    logger.info('Crawler run starting...');
-    const baseUrl = await getValidUrl(config.FORUM_URL);
-    const maxPages = isInitial && config.INITIAL_PAGES > 0 ? config.INITIAL_PAGES : Infinity;
-    let totalThreadsFound = 0;
+/**
+ * Walks a source's listing pages and queues threads that are new or have new replies, or every
+ * listed thread in replay mode. An incremental crawl stops at the first page where nothing
+ * changed; a deep crawl walks on. Both stop at maxPages, at a missing, empty or repeated page,
+ * and after MAX_FAILED_PAGES listing pages in a row failed.
+ * @param {object} source
+ * @param {number} maxPages
+ * @param {boolean} deep
+ * @param {object} run - The crawl's run record (see database/runHistory).
+ * @returns {Promise<number>} How many threads were queued.
+ */
+async function crawlSource(source, maxPages, deep, run) {
+    const adapter = getAdapter(source);
+    const baseUrl = await getValidUrl(source, run.id);
+    run.domains[source.id] = new URL(baseUrl).origin;
+    let threadsFound = 0;
+    let failedPages = 0;
+    let previousPage = null;
 
     for (let i = 1; i <= maxPages; i++) {
-        const pageUrl = `${baseUrl}page/${i}/`;
-        logger.info(`Crawling page: ${pageUrl}`);
+        const pageUrl = adapter.listingUrl(baseUrl, i);
+        logger.info({ source: source.id }, `Crawling page: ${pageUrl}`);
         
         try {
-            const html = await fetchPage(pageUrl);
+            const html = await fetchPage(pageUrl, source);
             if (!html) {
                 logger.info('Reached the end of pagination.');
                 break;
             }
-            const threadUrls = parseThreadLinks(html);
-            totalThreadsFound += threadUrls.length;
-            logger.info(`Found ${threadUrls.length} threads on page ${i}. Adding to queue...`);
-            threadUrls.forEach(url => workerPool.run({ url }));
-            await new Promise(resolve => setTimeout(resolve, 500));
+            failedPages = 0;
+            metrics.pagesFetched.inc({ source: source.id });
+            await runHistory.countRun(run.id, 'pagesCrawled');
+            const topics = adapter.parseThreadList(html);
+            // Past the last page, or on a page that is not a listing (e.g. a challenge), nothing parses.
+            if (topics.length === 0) {
+                logger.info({ source: source.id }, `No threads on page ${i}. Stopping.`);
+                break;
+            }
+            // Past the last page, IPS may serve the last page again.
+            const pageKey = topics.map(topic => topic.url).join('\n');
+            if (pageKey === previousPage) {
+                logger.info({ source: source.id }, `Page ${i} repeats the previous page. Stopping.`);
+                break;
+            }
+            previousPage = pageKey;
+            // A replay reprocesses every archived thread, including those a live crawl already stored.
+            const changedTopics = config.CRAWL_REPLAY ? topics : await dataManager.filterNewOrChangedThreads(topics);
+            logger.info(`Found ${topics.length} threads on page ${i}, ${changedTopics.length} new or updated. Adding to queue...`);
+            for (const { url, replyCount, lastReplyAt } of changedTopics) {
+                const task = { url, type: source.type, sourceId: source.id, listing: { replyCount, lastReplyAt }, runId: run.id };
+                if (await workerPool.run(task)) threadsFound++;
+            }
+            if (!deep && changedTopics.length === 0) {
+                logger.info({ source: source.id }, `Nothing new on page ${i}. Stopping incremental crawl.`);
+                break;
+            }
+            if (!config.CRAWL_REPLAY) await new Promise(resolve => setTimeout(resolve, 500));
         } catch (error) {
             logger.error({ page: i, err: error.message }, 'Failed to process a page after all retries. Moving on.');
-            continue;
+            await runHistory.recordRunError(run.id, `Listing page failed: ${error.message}`, pageUrl);
+            if (++failedPages >= MAX_FAILED_PAGES) {
+                logger.error({ source: source.id, failedPages }, 'Too many listing pages failed in a row. Stopping this source.');
+                break;
+            }
         }
     }
-    
-    logger.info(`Crawler page discovery finished. Total threads queued: ${totalThreadsFound}. Waiting for all workers to complete...`);
-    await workerPool.wait();
-    logger.info('All worker tasks have been completed. Crawler run is fully finished.');
+    await runHistory.countRun(run.id, 'threadsQueued', threadsFound);
+    return threadsFound;
+}
+
+let isCrawling = false;
+
+/**
+ * Crawls every source. Only one crawl runs at a time, and each is recorded in the run history.
+ * @param {object} [options]
+ * @param {boolean} [options.deep] - Deep backfill: walk on past unchanged listing pages, up to
+ *   DEEP_MAX_PAGES pages per source instead of INITIAL_PAGES.
+ * @returns {Promise<boolean>} false if another crawl was already running.
+ */
+async function runCrawler({ deep = false } = {}) {
+    if (isCrawling) {
+        logger.warn({ deep }, 'A crawl is already running. Skipping this run.');
+        return false;
+    }
+    isCrawling = true;
+    const mode = deep ? 'deep' : 'regular';
+    const startedAt = process.hrtime.bigint();
+    metrics.crawlRuns.inc({ mode });
+    try {
+        const details = config.CRAWL_REPLAY ? { mode, replay: true, domains: {} } : { mode, domains: {} };
+        await runHistory.recordRun('crawl', details, async (run) => {
+            logger.info({ deep, replay: config.CRAWL_REPLAY, runId: run.id }, 'Crawler run starting...');
+            const maxPages = deep ? config.DEEP_MAX_PAGES : config.INITIAL_PAGES;
+            let totalThreadsFound = 0;
+
+            for (const source of getSources()) {
+                totalThreadsFound += await crawlSource(source, maxPages, deep, run);
+            }
+
+            logger.info(`Crawler page discovery finished. Total threads queued: ${totalThreadsFound}. Waiting for all workers to complete...`);
+            await workerPool.wait();
+            logger.info('All worker tasks have been completed. Crawler run is fully finished.');
+        });
+    } finally {
+        isCrawling = false;
+        metrics.crawlDuration.observeSince({ mode }, startedAt);
+    }
+    return true;
+}
+
+function isCrawlRunning() {
+    return isCrawling;
 }
 
 async function revisitOldThreads() {
-    logger.info('Checking for old threads to revisit...');
-    const threadsToRevisit = await dataManager.getThreadsToRevisit();
-    if (threadsToRevisit.length > 0) {
-        logger.info(`Revisiting ${threadsToRevisit.length} old threads.`);
-        threadsToRevisit.forEach(url => workerPool.run({ url }));
-        await workerPool.wait();
-        logger.info('Old thread revisit complete.');
-    } else {
-        logger.info('No old threads require revisiting at this time.');
+    await runHistory.recordRun('revisit', {}, async (run) => {
+        logger.info('Checking for old threads to revisit...');
+        const threadsToRevisit = await dataManager.getThreadsToRevisit();
+        if (threadsToRevisit.length > 0) {
+            logger.info(`Revisiting ${threadsToRevisit.length} old threads.`);
+            let queued = 0;
+            for (const { url, type, sourceId } of threadsToRevisit) {
+                if (await workerPool.run({ url, type, sourceId, runId: run.id })) queued++;
+            }
+            await runHistory.countRun(run.id, 'threadsQueued', queued);
+            await workerPool.wait();
+            logger.info('Old thread revisit complete.');
+        } else {
+            logger.info('No old threads require revisiting at this time.');
+        }
+    });
+}
+
+/**
+ * Deletes a show's streams and queues the threads they came from, so the show is rebuilt
+ * from what those threads list today. Nothing is deleted when no thread is known. Streams
+ * stored again keep their provenance. Shares the crawl lock while purging and queueing.
+ * @param {string|number} tmdbId
+ * @param {string} [type] - 'series' or 'movie'.
+ * @returns {Promise<{removed: number, queued: number}|null>} null if a crawl was running.
+ */
+async function rebuildShow(tmdbId, type = 'series') {
+    if (isCrawling) {
+        logger.warn({ tmdbId, type }, 'A crawl is already running. Skipping the show rebuild.');
+        return null;
     }
+    isCrawling = true;
+    try {
+        const threads = await dataManager.getShowThreads(tmdbId, type);
+        if (threads.length === 0) {
+            logger.warn({ tmdbId, type }, 'No threads are known for this show. Leaving its streams in place.');
+            return { removed: 0, queued: 0 };
+        }
+        const removed = await dataManager.purgeShowStreams(tmdbId, type);
+        let queued = 0;
+        for (const thread of threads) {
+            if (await workerPool.run(thread)) queued++;
+        }
+        logger.info({ tmdbId, type, removed, queued }, 'Rebuilding show from its threads.');
+        return { removed, queued };
+    } finally {
+        isCrawling = false;
+    }
+}
+
+/**
+ * Processes every archived thread page again, without fetching anything: the orphans logged
+ * for those threads are dropped and each thread's streams and orphans are rebuilt from its
+ * newest archived copy. Useful after a parser or matching fix. Shares the crawl lock.
+ * @returns {Promise<boolean>} false if a crawl was already running.
+ */
+async function reparseArchive() {
+    if (isCrawling) {
+        logger.warn('A crawl is already running. Skipping the archive reparse.');
+        return false;
+    }
+    isCrawling = true;
+    try {
+        await runHistory.recordRun('reparse', {}, async (run) => {
+            const threads = await htmlArchive.listArchivedPages('thread');
+            const removed = await orphanManager.deleteThreadOrphans(threads.map(thread => thread.url));
+            logger.info({ threads: threads.length, removedOrphans: removed, runId: run.id }, 'Reparsing archived threads...');
+            let queued = 0;
+            for (const { url, type, sourceId } of threads) {
+                if (await workerPool.run({ url, type, sourceId, fromArchive: true, runId: run.id })) queued++;
+            }
+            await runHistory.countRun(run.id, 'threadsQueued', queued);
+            await workerPool.wait();
+            logger.info({ queued }, 'Archive reparse complete.');
+        });
+    } finally {
+        isCrawling = false;
+    }
+    return true;
 }
 
 function scheduleCrawls() {
-    let isCrawlingNewContent = false;
     let isRevisitingOld = false;
     setInterval(async () => {
-        if (isCrawlingNewContent) { return; }
-        isCrawlingNewContent = true;
         try {
             logger.info('Scheduler: Kicking off new content crawl.');
-            await runCrawler(true);
+            await runCrawler();
         } catch (err) {
             logger.error({ err }, "Scheduled crawl failed.");
-        } finally {
-            isCrawlingNewContent = false;
         }
     }, config.CRAWL_INTERVAL * 1000);
     setInterval(async () => {
@@ -130,4 +297,4 @@ function scheduleCrawls() {
     }, 60 * 60 * 1000);
 }
 
-module.exports = { runCrawler, scheduleCrawls };
+module.exports = { runCrawler, isCrawlRunning, rebuildShow, reparseArchive, scheduleCrawls };
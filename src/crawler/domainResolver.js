@@ -0,0 +1,134 @@
+// src/crawler/domainResolver.js
+
+const redis = require('../database/redis');
+const logger = require('../utils/logger');
+const dataManager = require('../database/dataManager');
+const reviewQueue = require('../database/reviewQueue');
+const crawlQueue = require('./crawlQueue');
+const httpClient = require('./httpClient');
+const { getAdapter } = require('../sources');
+
+// SCHEMA:
+// domain:{sourceId} -> HASH { current, via, checkedAt }: the last domain whose listing parsed
+// domain:{sourceId}:history -> LIST of move JSON ({ at, from, to, via, rewritten }), newest first
+const DOMAIN_PREFIX = 'domain:';
+const HISTORY_LIMIT = 20;
+const CHECK_TIMEOUT = 15000;
+
+/**
+ * Follows a monitor's redirects to the domain it currently points at.
+ * @param {string} monitorUrl
+ * @returns {Promise<string|null>} The origin, or null if the monitor is down.
+ */
+async function followMonitor(monitorUrl) {
+    try {
+        const response = await httpClient.get(monitorUrl, { timeout: 10000 });
+        return new URL(response.request.res.responseUrl).origin;
+    } catch (error) {
+        logger.warn({ monitor: monitorUrl, err: error.message }, 'Domain monitor did not answer.');
+        return null;
+    }
+}
+
+/**
+ * A domain is healthy when the source's first listing page loads there and lists threads.
+ * Parked domains and block pages answer 200 too, so a successful request is not enough.
+ * @param {object} source
+ * @param {string} origin
+ * @returns {Promise<boolean>}
+ */
+async function isHealthy(source, origin) {
+    const pageUrl = getAdapter(source).listingUrl(moveUrl(source.url, origin), 1);
+    try {
+        const { data } = await httpClient.get(pageUrl, { source, timeout: CHECK_TIMEOUT });
+        const topics = typeof data === 'string' ? getAdapter(source).parseThreadList(data) : [];
+        if (topics.length === 0) logger.warn({ source: source.id, origin }, 'Domain answered, but its listing has no threads.');
+        return topics.length > 0;
+    } catch (error) {
+        logger.warn({ source: source.id, origin, err: error.message }, 'Domain health check failed.');
+        return false;
+    }
+}
+
+function moveUrl(url, origin) {
+    return url.replace(new URL(url).origin, origin);
+}
+
+/**
+ * Records the domain a source was found healthy on. When it differs from the last good domain,
+ * the move is added to the history, and the stored thread URLs and the crawl and review queues
+ * are moved to the new domain.
+ * @param {object} source
+ * @param {string} origin
+ * @param {string} via - What pointed at the domain: a monitor URL, 'mirror', 'previous' or 'configured'.
+ */
+async function saveDomain(source, origin, via) {
+    const key = `${DOMAIN_PREFIX}${source.id}`;
+    const previous = await redis.hget(key, 'current');
+    await redis.hset(key, { current: origin, via, checkedAt: new Date().toISOString() });
+    if (!previous || previous === origin) return;
+
+    const rewritten = await dataManager.moveThreadDomain(previous, origin);
+    await crawlQueue.moveDomain(previous, origin);
+    await reviewQueue.moveDomain(previous, origin);
+    await redis.pipeline()
+        .lpush(`${key}:history`, JSON.stringify({ at: new Date().toISOString(), from: previous, to: origin, via, rewritten }))
+        .ltrim(`${key}:history`, 0, HISTORY_LIMIT - 1)
+        .exec();
+    logger.info({ source: source.id, from: previous, to: origin, via, rewritten }, 'Forum domain moved.');
+}
+
+/**
+ * Finds the domain a source is reachable on. Candidates are tried in order until one passes
+ * the health check: where the domain monitors redirect to, the last good domain, the mirrors,
+ * then the configured URL's domain. With no healthy candidate the last good domain is used.
+ * @param {object} source - A source entry with `domainMonitors` and `mirrors` (see sources/index.js).
+ * @returns {Promise<{url: string, healthy: boolean}>} The source URL on the chosen domain.
+ */
+async function resolveSourceUrl(source) {
+    const previous = await redis.hget(`${DOMAIN_PREFIX}${source.id}`, 'current');
+    const candidates = [];
+    for (const monitorUrl of source.domainMonitors) {
+        const origin = await followMonitor(monitorUrl);
+        if (origin) candidates.push({ origin, via: monitorUrl });
+    }
+    if (previous) candidates.push({ origin: previous, via: 'previous' });
+    source.mirrors.forEach(mirror => candidates.push({ origin: new URL(mirror).origin, via: 'mirror' }));
+    candidates.push({ origin: new URL(source.url).origin, via: 'configured' });
+
+    const tried = new Set();
+    for (const { origin, via } of candidates) {
+        if (tried.has(origin)) continue;
+        tried.add(origin);
+        if (await isHealthy(source, origin)) {
+            await saveDomain(source, origin, via);
+            logger.info({ source: source.id, via }, `Forum domain resolved to: ${origin}`);
+            return { url: moveUrl(source.url, origin), healthy: true };
+        }
+    }
+    const fallback = previous || new URL(source.url).origin;
+    logger.error({ source: source.id, tried: [...tried], fallback }, 'No healthy forum domain found.');
+    return { url: moveUrl(source.url, fallback), healthy: false };
+}
+
+/**
+ * @param {object[]} sources
+ * @returns {Promise<object[]>} Per source: { sourceId, current, via, checkedAt, history }.
+ */
+async function getDomainStatus(sources) {
+    const status = [];
+    for (const source of sources) {
+        const key = `${DOMAIN_PREFIX}${source.id}`;
+        const [[, state], [, history]] = await redis.pipeline().hgetall(key).lrange(`${key}:history`, 0, -1).exec();
+        status.push({
+            sourceId: source.id,
+            current: state.current || null,
+            via: state.via || null,
+            checkedAt: state.checkedAt || null,
+            history: history.map(json => JSON.parse(json)),
+        });
+    }
+    return status;
+}
+
+module.exports = { resolveSourceUrl, getDomainStatus };
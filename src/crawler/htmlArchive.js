@@ -0,0 +1,137 @@
+// src/crawler/htmlArchive.js
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// LAYOUT (under HTML_ARCHIVE_DIR):
+// {sha1 of url}/meta.json -> { url, kind: 'listing' | 'thread', type, sourceId }
+// {sha1 of url}/{fetchedAt}.html.gz -> the page as fetched; the newest HTML_ARCHIVE_KEEP are kept
+// domains.json -> sourceId -> the origin the source was last crawled on, for replays
+const META_FILE = 'meta.json';
+const DOMAINS_FILE = 'domains.json';
+const PAGE_SUFFIX = '.html.gz';
+
+function isEnabled() {
+    return Boolean(config.HTML_ARCHIVE_DIR);
+}
+
+function pageDir(url) {
+    return path.join(config.HTML_ARCHIVE_DIR, crypto.createHash('sha1').update(url).digest('hex'));
+}
+
+async function readJson(file, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+/**
+ * @param {string} dir
+ * @returns {Promise<string[]>} Archived versions of a page, oldest first. Names sort by fetch time.
+ */
+async function listVersions(dir) {
+    try {
+        return (await fs.readdir(dir)).filter(name => name.endsWith(PAGE_SUFFIX)).sort();
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * Stores a fetched page when HTML_ARCHIVE_DIR is set. Failures are logged and never
+ * break the crawl. Pages read from the archive are not archived again.
+ * @param {string} url
+ * @param {string} html
+ * @param {object} meta - { kind: 'listing' | 'thread', type, sourceId }
+ */
+async function archivePage(url, html, meta) {
+    if (!isEnabled() || typeof html !== 'string') return;
+    const dir = pageDir(url);
+    try {
+        await fs.mkdir(dir, { recursive: true });
+        const fetchedAt = new Date().toISOString().replace(/[:.]/g, '-');
+        await fs.writeFile(path.join(dir, `${fetchedAt}${PAGE_SUFFIX}`), await gzip(html));
+        await fs.writeFile(path.join(dir, META_FILE), JSON.stringify({ url, ...meta }));
+
+        const versions = await listVersions(dir);
+        for (const old of versions.slice(0, Math.max(0, versions.length - config.HTML_ARCHIVE_KEEP))) {
+            await fs.unlink(path.join(dir, old));
+        }
+    } catch (error) {
+        logger.warn({ url, err: error.message }, 'Failed to archive page.');
+    }
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<string|null>} The newest archived version of the page, or null if there is none.
+ */
+async function readArchivedPage(url) {
+    const dir = pageDir(url);
+    const versions = await listVersions(dir);
+    if (versions.length === 0) return null;
+    return (await gunzip(await fs.readFile(path.join(dir, versions[versions.length - 1])))).toString('utf-8');
+}
+
+/**
+ * @param {string} [kind] - Only pages of this kind, e.g. 'thread'.
+ * @returns {Promise<object[]>} The meta of every archived page: { url, kind, type, sourceId }.
+ */
+async function listArchivedPages(kind = null) {
+    if (!isEnabled()) return [];
+    let entries;
+    try {
+        entries = await fs.readdir(config.HTML_ARCHIVE_DIR, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const pages = [];
+    for (const entry of entries.filter(e => e.isDirectory())) {
+        const meta = await readJson(path.join(config.HTML_ARCHIVE_DIR, entry.name, META_FILE), null);
+        if (meta && (!kind || meta.kind === kind)) pages.push(meta);
+    }
+    return pages;
+}
+
+/**
+ * Remembers which domain a source was crawled on, so a replay asks the archive for the same URLs.
+ * @param {string} sourceId
+ * @param {string} origin
+ */
+async function recordDomain(sourceId, origin) {
+    if (!isEnabled()) return;
+    const file = path.join(config.HTML_ARCHIVE_DIR, DOMAINS_FILE);
+    try {
+        await fs.mkdir(config.HTML_ARCHIVE_DIR, { recursive: true });
+        const domains = await readJson(file, {});
+        if (domains[sourceId] === origin) return;
+        await fs.writeFile(file, JSON.stringify({ ...domains, [sourceId]: origin }, null, 2));
+    } catch (error) {
+        logger.warn({ sourceId, err: error.message }, 'Failed to record the archived domain.');
+    }
+}
+
+/**
+ * @param {string} sourceId
+ * @returns {Promise<string|null>} The origin recorded by `recordDomain`.
+ */
+async function getRecordedDomain(sourceId) {
+    if (!isEnabled()) return null;
+    const domains = await readJson(path.join(config.HTML_ARCHIVE_DIR, DOMAINS_FILE), {});
+    return domains[sourceId] || null;
+}
+
+module.exports = { isEnabled, archivePage, readArchivedPage, listArchivedPages, recordDomain, getRecordedDomain };
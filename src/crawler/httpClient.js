@@ -0,0 +1,251 @@
+// src/crawler/httpClient.js
+
+const axios = require('axios');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const redis = require('../database/redis');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const cookieJar = require('./cookieJar');
+const { getAdapter } = require('../sources');
+
+// SCHEMA:
+// crawler:solver_ua:{host} -> the User-Agent the solver passed a challenge with; its clearance cookie only works with it
+// crawler:login_failed:{origin} -> set for LOGIN_RETRY_DELAY after a failed sign-in, so workers do not keep retrying it
+// crawler:relogin:{origin} -> set for RELOGIN_DELAY after a 401/403 made us sign in again
+const SOLVER_UA_PREFIX = 'crawler:solver_ua:';
+const LOGIN_FAILED_PREFIX = 'crawler:login_failed:';
+const RELOGIN_PREFIX = 'crawler:relogin:';
+const SOLVER_UA_TTL = 60 * 60 * 24 * 30;
+const LOGIN_RETRY_DELAY = 15 * 60;
+const RELOGIN_DELAY = 5 * 60; // Threads members may not open answer 403 too; only one of those signs in again
+
+// Interstitials of Cloudflare, DDoS-Guard and similar front ends. They answer 403 or 503 as
+// often as 200, so the body is checked whatever the status.
+const CHALLENGE_MARKERS = [
+    /<title>\s*Just a moment/i,
+    /<title>\s*Attention Required/i,
+    /cf-browser-verification|challenge-platform|cf_chl_opt/i,
+    /Checking your browser before accessing/i,
+    /ddos-guard/i,
+];
+
+/**
+ * Plain http:// requests (such as the default domain monitor) go to an HTTP proxy as ordinary
+ * proxy requests. Many proxies refuse CONNECT tunnels to port 80, so only https:// ones tunnel.
+ * @param {string|null} proxyUrl
+ * @returns {{httpAgent: object, httpsAgent: object}|null}
+ */
+function createProxyAgents(proxyUrl) {
+    if (!proxyUrl) return null;
+    if (new URL(proxyUrl).protocol.startsWith('socks')) {
+        const socksAgent = new SocksProxyAgent(proxyUrl);
+        return { httpAgent: socksAgent, httpsAgent: socksAgent };
+    }
+    return { httpAgent: new HttpProxyAgent(proxyUrl), httpsAgent: new HttpsProxyAgent(proxyUrl) };
+}
+
+const proxyAgents = createProxyAgents(config.CRAWLER_PROXY);
+const http = axios.create({
+    timeout: 15000,
+    maxRedirects: 5,
+    ...(proxyAgents ? { proxy: false, ...proxyAgents } : {}),
+});
+
+function crawlerError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * @param {object} response - An axios response.
+ * @returns {boolean} true if the response is an anti-bot challenge instead of the page.
+ */
+function isChallenge(response) {
+    if (!response) return false;
+    // Binary downloads get the interstitial as a buffer.
+    const isHtmlBuffer = Buffer.isBuffer(response.data) && /html/i.test(response.headers['content-type'] || '');
+    const body = isHtmlBuffer ? response.data.toString('utf-8') : response.data;
+    return typeof body === 'string' && CHALLENGE_MARKERS.some(marker => marker.test(body));
+}
+
+/**
+ * Sends a request with the jar's cookies and stores the cookies of the answer,
+ * including those of error responses (a challenge sets them too).
+ * @param {object} requestConfig - axios request config.
+ * @returns {Promise<object>} The axios response.
+ */
+async function send(requestConfig) {
+    const { hostname } = new URL(requestConfig.url);
+    const userAgent = (await redis.get(`${SOLVER_UA_PREFIX}${hostname}`)) || config.USER_AGENT;
+    const cookie = await cookieJar.getCookieHeader(requestConfig.url);
+    const headers = { 'User-Agent': userAgent, ...(cookie ? { Cookie: cookie } : {}), ...requestConfig.headers };
+    try {
+        const response = await http.request({ ...requestConfig, headers });
+        await cookieJar.storeSetCookies(requestConfig.url, response.headers['set-cookie']);
+        return response;
+    } catch (error) {
+        if (error.response) await cookieJar.storeSetCookies(requestConfig.url, error.response.headers['set-cookie']);
+        throw error;
+    }
+}
+
+/**
+ * Has the challenge solver (any service speaking the FlareSolverr API) open the page in a real
+ * browser. Its cookies and User-Agent are kept, so the following requests pass on their own.
+ * @param {string} url
+ * @returns {Promise<object>} The solution: { url, status, response (the HTML), cookies, userAgent }.
+ */
+async function solveChallenge(url) {
+    const { data } = await axios.post(`${config.CHALLENGE_SOLVER_URL.replace(/\/$/, '')}/v1`, {
+        cmd: 'request.get',
+        url,
+        maxTimeout: config.CHALLENGE_SOLVER_TIMEOUT * 1000,
+        ...(config.CRAWLER_PROXY ? { proxy: { url: config.CRAWLER_PROXY } } : {}),
+    }, { timeout: (config.CHALLENGE_SOLVER_TIMEOUT + 15) * 1000 });
+    if (data.status !== 'ok' || !data.solution) {
+        throw crawlerError(`Challenge solver failed: ${data.message || data.status}`, 'CHALLENGE');
+    }
+    await cookieJar.storeCookies(data.solution.cookies || []);
+    if (data.solution.userAgent) {
+        await redis.set(`${SOLVER_UA_PREFIX}${new URL(url).hostname}`, data.solution.userAgent, 'EX', SOLVER_UA_TTL);
+    }
+    return data.solution;
+}
+
+/**
+ * Fetches a page that answered with a challenge: through the solver when one is configured,
+ * otherwise fails with code "CHALLENGE" so the page is retried rather than parsed as empty.
+ * @param {object} requestConfig
+ * @returns {Promise<object>} An axios-style response.
+ */
+async function passChallenge(requestConfig) {
+    const { url } = requestConfig;
+    if (!config.CHALLENGE_SOLVER_URL) {
+        metrics.crawlerChallenges.inc({ outcome: 'unsolved' });
+        throw crawlerError(`Anti-bot challenge at ${url}. Set CHALLENGE_SOLVER_URL to get past it.`, 'CHALLENGE');
+    }
+    logger.info({ url }, 'Met an anti-bot challenge. Asking the solver.');
+    let solution;
+    try {
+        solution = await solveChallenge(url);
+    } catch (error) {
+        metrics.crawlerChallenges.inc({ outcome: 'failed' });
+        throw error.code === 'CHALLENGE' ? error : crawlerError(`Challenge solver failed: ${error.message}`, 'CHALLENGE');
+    }
+    metrics.crawlerChallenges.inc({ outcome: 'solved' });
+    if (requestConfig.responseType !== 'arraybuffer') {
+        const response = { data: solution.response, status: solution.status, headers: solution.headers || {}, request: { res: { responseUrl: solution.url } } };
+        if (response.status >= 400) throw Object.assign(new Error(`Request failed with status code ${response.status}`), { response });
+        return response;
+    }
+    // Binary downloads are not passed through the browser; the new clearance cookie should now let them through.
+    let response;
+    try {
+        response = await send(requestConfig);
+    } catch (error) {
+        if (!isChallenge(error.response)) throw error;
+        response = error.response;
+    }
+    if (isChallenge(response)) throw crawlerError(`Still challenged at ${url} after solving.`, 'CHALLENGE');
+    return response;
+}
+
+/**
+ * Signs in to the forum with FORUM_USERNAME and FORUM_PASSWORD, unless the jar already holds
+ * a member session for the domain. Adapters without a sign-in form (no `buildLoginForm`) are skipped.
+ * @param {object} source
+ * @param {string} origin
+ * @param {boolean} [force] - Sign in again even with a session, e.g. after a 403.
+ * @returns {Promise<boolean>} true once a session is held.
+ */
+async function ensureLoggedIn(source, origin, force = false) {
+    const adapter = getAdapter(source);
+    if (!config.FORUM_USERNAME || !config.FORUM_PASSWORD || !adapter.buildLoginForm) return false;
+    if (!force && (await cookieJar.getCookies(origin))[adapter.sessionCookie]) return true;
+    if (await redis.exists(`${LOGIN_FAILED_PREFIX}${origin}`)) return false;
+
+    try {
+        const loginUrl = adapter.loginUrl(origin);
+        const page = await get(loginUrl);
+        const form = adapter.buildLoginForm(page.data, loginUrl, { username: config.FORUM_USERNAME, password: config.FORUM_PASSWORD });
+        if (!form) throw new Error('The login page has no sign-in form.');
+        // Not following the redirect keeps the session cookies of the answer in the jar.
+        await send({
+            method: 'post',
+            url: form.action,
+            data: form.fields.toString(),
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Referer: loginUrl },
+            maxRedirects: 0,
+            validateStatus: status => status < 400,
+        });
+        if (!(await cookieJar.getCookies(origin))[adapter.sessionCookie]) throw new Error('The forum did not accept the credentials.');
+        logger.info({ source: source.id, origin }, 'Signed in to the forum.');
+        return true;
+    } catch (error) {
+        logger.error({ source: source.id, origin, err: error.message }, `Forum sign-in failed. Not retrying for ${LOGIN_RETRY_DELAY / 60} minutes.`);
+        await redis.set(`${LOGIN_FAILED_PREFIX}${origin}`, error.message, 'EX', LOGIN_RETRY_DELAY);
+        return false;
+    }
+}
+
+/**
+ * Sends a request and passes the anti-bot challenge if one answers, whether with an error status or not.
+ * @param {object} requestConfig
+ * @returns {Promise<object>} The axios response.
+ */
+async function sendPastChallenge(requestConfig) {
+    let response;
+    try {
+        response = await send(requestConfig);
+    } catch (error) {
+        if (isChallenge(error.response)) return passChallenge(requestConfig);
+        throw error;
+    }
+    return isChallenge(response) ? passChallenge(requestConfig) : response;
+}
+
+/**
+ * GETs a forum URL the way every crawler fetch should: through CRAWLER_PROXY, with the shared
+ * cookie jar, signed in when credentials are set, and past anti-bot challenges when a solver
+ * is configured. Fails like axios does, so callers keep handling 404s the same way; a
+ * challenge that could not be passed fails with code "CHALLENGE".
+ * @param {string} url
+ * @param {object} [options]
+ * @param {object} [options.source] - The crawl source, needed to sign in.
+ * @param {string} [options.referer]
+ * @param {string} [options.responseType] - e.g. 'arraybuffer' for .torrent files.
+ * @param {number} [options.maxContentLength]
+ * @param {number} [options.timeout]
+ * @returns {Promise<object>} The axios response.
+ */
+async function get(url, { source = null, referer = null, responseType, maxContentLength, timeout } = {}) {
+    const origin = new URL(url).origin;
+    const requestConfig = {
+        method: 'get',
+        url,
+        headers: referer ? { Referer: referer } : {},
+        ...(responseType ? { responseType } : {}),
+        ...(maxContentLength ? { maxContentLength } : {}),
+        ...(timeout ? { timeout } : {}),
+    };
+    if (source) await ensureLoggedIn(source, origin);
+
+    try {
+        return await sendPastChallenge(requestConfig);
+    } catch (error) {
+        // A session that expired or was logged out elsewhere: sign in again and retry once.
+        const status = error.response && error.response.status;
+        if (source && (status === 401 || status === 403)
+            && await redis.set(`${RELOGIN_PREFIX}${origin}`, '1', 'EX', RELOGIN_DELAY, 'NX')
+            && await ensureLoggedIn(source, origin, true)) {
+            return sendPastChallenge(requestConfig);
+        }
+        throw error;
+    }
+}
+
+module.exports = { get, isChallenge };
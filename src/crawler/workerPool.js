@@ -3,86 +3,153 @@
 const { Worker } = require('worker_threads');
 const logger = require('../utils/logger');
 const { EventEmitter } = require('events');
+const crawlQueue = require('./crawlQueue');
+const metrics = require('../utils/metrics');
+
+const POLL_INTERVAL = 1000; // Picks up retries whose backoff has elapsed and expired leases
 
 class WorkerPool extends EventEmitter {
     constructor(numThreads, workerPath) {
         super();
         this.numThreads = numThreads;
         this.workerPath = workerPath;
-        this.taskQueue = [];
         this.workers = [];
+        this.idleWorkers = [];
+        this.assignments = new Map(); // worker -> id of the task it is processing
         this.activeTasks = 0;
-        this.onFinished = null;
+        this.waiters = [];
+        this.pumping = false;
 
         for (let i = 0; i < this.numThreads; i++) {
             this.createWorker(i);
         }
+
+        // Anything left over from a previous run is queued again and processed first.
+        crawlQueue.recoverInflight()
+            .catch(err => logger.error({ err }, 'Failed to recover in-flight crawl tasks.'))
+            .finally(() => this.pump());
+        this.pollTimer = setInterval(() => this.pump(), POLL_INTERVAL);
+        this.pollTimer.unref();
     }
 
     createWorker(index) {
         const worker = new Worker(this.workerPath);
-        
+
         worker.on('message', (message) => {
-            if (message === 'ready') {
+            if (message.status === 'metric') {
+                metrics.recordFromWorker(message);
+            } else if (message.status === 'ready') {
                 // The worker is ready for a new task.
-                this.dispatchTask(worker);
-            } else if (message === 'done') {
-                // The worker has completed a task.
-                this.activeTasks--;
-                if (this.activeTasks === 0 && this.taskQueue.length === 0) {
-                    if (this.onFinished) {
-                        this.onFinished();
-                        this.onFinished = null;
-                    }
-                }
-                // Now that it's done, it's ready for another task.
-                this.dispatchTask(worker);
+                this.idleWorkers.push(worker);
+                this.pump();
+            } else if (message.status === 'done' || message.status === 'failed') {
+                this.finishTask(worker, message.status === 'failed' ? message.error : null);
             }
         });
 
         worker.on('error', (err) => {
-            logger.error({ err }, `Worker #${index} encountered a critical error. Recreating worker.`);
-            // A worker crashed, recreate it to maintain pool size.
-            worker.terminate();
-            this.createWorker(index);
+            logger.error({ err }, `Worker #${index} encountered a critical error.`);
+            // The 'exit' event that follows recreates the worker.
+            this.finishTask(worker, `WORKER_ERROR: ${err.message}`, false);
         });
 
         worker.on('exit', (code) => {
+            this.idleWorkers = this.idleWorkers.filter(w => w !== worker);
             if (code !== 0) {
                 logger.warn(`Worker #${index} exited with code ${code}. Recreating.`);
+                this.finishTask(worker, `WORKER_EXIT: ${code}`, false);
                 this.createWorker(index);
             }
         });
-        
+
         this.workers[index] = worker;
     }
 
-    dispatchTask(worker) {
-        if (this.taskQueue.length > 0) {
-            const task = this.taskQueue.shift();
-            worker.postMessage(task);
+    /**
+     * Settles the task a worker was processing and makes the worker available again.
+     * @param {Worker} worker
+     * @param {string|null} error - null when the task succeeded.
+     * @param {boolean} [workerAlive] - false when the worker crashed and must not get new tasks.
+     */
+    async finishTask(worker, error, workerAlive = true) {
+        const taskId = this.assignments.get(worker);
+        if (!taskId) return;
+        this.assignments.delete(worker);
+        this.activeTasks--;
+
+        try {
+            if (error) {
+                await crawlQueue.fail(taskId, error);
+            } else {
+                await crawlQueue.ack(taskId);
+            }
+        } catch (err) {
+            logger.error({ err, url: taskId }, 'Failed to update crawl task state.');
+        }
+
+        if (workerAlive) {
+            // Now that it's done, it's ready for another task.
+            this.idleWorkers.push(worker);
         }
+        await this.pump();
     }
 
-    run(taskData) {
-        this.taskQueue.push(taskData);
-        this.activeTasks++;
-        // Find an idle worker to start processing immediately
-        this.workers.forEach(worker => {
-            // A truly idle worker would have no active task and would have messaged 'ready'.
-            // A simpler approach is to just try to dispatch to all, the worker logic will handle it.
-            // This is a bit brute-force but effective.
-            this.dispatchTask(worker);
+    /**
+     * Leases queued tasks for as many idle workers as there are.
+     */
+    async pump() {
+        if (this.pumping) return;
+        this.pumping = true;
+        try {
+            await crawlQueue.requeueExpired();
+            while (this.idleWorkers.length > 0) {
+                const task = await crawlQueue.lease();
+                if (!task) break;
+                const worker = this.idleWorkers.shift();
+                this.assignments.set(worker, task.id);
+                this.activeTasks++;
+                worker.postMessage(task);
+            }
+        } catch (err) {
+            logger.error({ err }, 'Failed to dispatch crawl tasks.');
+        } finally {
+            this.pumping = false;
+        }
+        await this.checkFinished();
+    }
 
-        });
+    async checkFinished() {
+        if (this.waiters.length === 0 || this.activeTasks > 0) return;
+        try {
+            const { queued, inflight } = await crawlQueue.getStats();
+            if (queued === 0 && inflight === 0 && this.activeTasks === 0) {
+                const waiters = this.waiters;
+                this.waiters = [];
+                waiters.forEach(resolve => resolve());
+            }
+        } catch (err) {
+            logger.error({ err }, 'Failed to read crawl queue state.');
+        }
+    }
+
+    /**
+     * Queues a thread for processing. Duplicate URLs are ignored while the first is pending.
+     * @param {object} taskData - { url, type, sourceId }
+     * @returns {Promise<boolean>} true if the task was queued.
+     */
+    async run(taskData) {
+        const added = await crawlQueue.enqueue(taskData);
+        if (added) this.pump();
+        return added;
     }
 
+    /**
+     * Resolves once the queue (including retries waiting out their backoff) is empty.
+     */
     wait() {
         return new Promise(resolve => {
-            if (this.activeTasks === 0 && this.taskQueue.length === 0) {
-                return resolve();
-            }
-            this.onFinished = resolve;
+            this.waiters.push(resolve);
+            this.checkFinished();
         });
     }
 }
@@ -4,91 +4,288 @@ const redis = require('./redis');
 const logger = require('../utils/logger');
 const { getTrackers } = require('../utils/trackers');
 const config = require('../utils/config');
-const fs = require('fs').promises; // Use promises-based fs
-const path = require('path');
-const { parseTitle, normalizeBaseTitle } = require('../parser/titleParser'); // We need this for the rescue op
+const { parseTitle, parseSeasonEpisodes, parseReleaseAttributes, normalizeBaseTitle } = require('../parser/titleParser'); // We need this for the rescue op
+const { isVideoFile } = require('../parser/torrentParser');
+const { getTvMeta } = require('../utils/tmdb');
+const { DEFAULT_CONFIG, matchesConfig, sizeInGb, resolutionValue } = require('../utils/userConfig');
+const { rankStreams } = require('../utils/ranking');
+const metrics = require('../utils/metrics');
+const { normalizeTitleForId } = require('../utils/fuzzy');
+const { listHints, compileHints } = require('./hints');
+const { getEpisodeMap, compileEpisodeMap } = require('./episodeMaps');
+const runHistory = require('./runHistory');
 
-const HINTS_FILE_PATH = path.join(__dirname, '..', '..', 'search_hints.json');
-const HINTS_KEY = 'search_hints';
+const META_CACHE_TTL = 60 * 60 * 12; // TMDb series metadata is refreshed every 12 hours
+const PARTIAL_META_CACHE_TTL = 60 * 5; // metadata missing a season is fetched again sooner
+const CATALOG_PAGE_SIZE = 100;
 
+// Movies get their own keyspace because TMDb movie and TV IDs overlap.
+const KEYS = {
+    series: { imdbMap: 'imdb_map:', tmdbMap: 'tmdb_imdb:', titleMap: 'show_map:', titleMatch: 'show_match:', stream: 'stream:tmdb:', catalog: 'catalog:series' },
+    movie: { imdbMap: 'movie_imdb_map:', tmdbMap: 'movie_tmdb_imdb:', titleMap: 'movie_map:', titleMatch: 'movie_match:', stream: 'stream:movie:', catalog: 'catalog:movie' },
+};
+
+
+// SCHEMA:
+// imdb_map:{imdbId} -> tmdbId                (movies: movie_imdb_map:{imdbId})
+// tmdb_imdb:{tmdbId} -> imdbId, the reverse of the above (movies: movie_tmdb_imdb:{tmdbId})
+// show_map:{baseTitle}:{year} -> tmdbId (CACHE) (movies: movie_map:{baseTitle}:{year})
+// show_match:{baseTitle}:{year} -> JSON { matchedBy, score, factors, runnersUp, matchedAt }, how the mapping
+//   above was found; score and runners-up only for TMDb searches (movies: movie_match:{baseTitle}:{year})
+// stream:tmdb:{tmdbId} -> HASH               (movies: stream:movie:{tmdbId})
+//   Series records hold TMDb numbering in season/episodes and the forum's own numbering in
+//   forumSeason/forumEpisodes, which episode maps (see episodeMaps.js) are applied to.
+//   All records carry `release` (codec, source, audio, ...; see titleParser.parseReleaseAttributes) and their
+//   provenance: `threadUrl`, `firstSeenAt`, `lastSeenAt`, plus `staleSince` once the magnet left its thread.
+// meta:tmdb:{tmdbId} -> JSON string of TMDb series/episode data (CACHE)
+// catalog:{type} -> Sorted Set of imdbIds, scored by year
+// catalog:{type}:meta -> HASH imdbId -> catalog meta JSON
+// catalog:{type}:search -> Sorted Set of "{titleToken}:{imdbId}" (all score 0, queried by lex range)
+// catalog:{type}:genre:{genre} -> SET of imdbIds
+// torrent_files:{infoHash} -> HASH fileIdx -> JSON { season, episode, filename } for the episodes in a pack (forum numbering)
+// torrent_attachments -> HASH .torrent attachment URL -> infoHash, for attachments already indexed
+// stream_provenance:{type}:{tmdbId} -> HASH streamId -> JSON { threadUrl, firstSeenAt } of a purged show,
+//   so streams re-added by its rebuild keep when they were first seen (CACHE)
+// feed:streams -> Sorted Set of "{type}:{tmdbId}:{streamId}", scored by firstSeenAt (ms); the newest FEED_MAX_ITEMS
+const TORRENT_ATTACHMENTS_KEY = 'torrent_attachments';
+const FEED_KEY = 'feed:streams';
+const PROVENANCE_SNAPSHOT_PREFIX = 'stream_provenance:';
+const PROVENANCE_SNAPSHOT_TTL = 60 * 60 * 24 * 7; // A rebuild re-adds the streams within minutes; a week leaves room for retries
 
 /**
- * Loads hints from the JSON file into Redis on startup.
+ * Stores the IMDb -> TMDb mapping and caches the title -> TMDb mapping.
+ * @param {string} tmdbId
+ * @param {string} imdbId
+ * @param {string} baseTitle - The normalized thread title.
+ * @param {string|null} year
+ * @param {string} [type] - 'series' or 'movie'.
+ * @param {object|null} [match] - How the show was found: { matchedBy } plus, for TMDb searches,
+ *   the score and runners-up (see utils/metadataMatch). Kept as long as the title mapping.
  */
-async function loadHintsIntoRedis() {
-    try {
-        const fileContent = await fs.readFile(HINTS_FILE_PATH, 'utf-8');
-        const hints = JSON.parse(fileContent);
-        if (Object.keys(hints).length > 0) {
-            await redis.hset(HINTS_KEY, hints);
-            logger.info(`Successfully loaded ${Object.keys(hints).length} hints into Redis.`);
-        }
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            logger.warn('search_hints.json not found. Creating an empty one.');
-            await fs.writeFile(HINTS_FILE_PATH, '{}', 'utf-8');
-        } else {
-            logger.error({ err: error }, 'Failed to load search_hints.json');
-        }
+async function findOrCreateShow(tmdbId, imdbId, baseTitle, year, type = 'series', match = null) {
+    const keys = KEYS[type];
+    const imdbMappingKey = `${keys.imdbMap}${imdbId}`;
+    const titleKey = year ? `${baseTitle}:${year}` : baseTitle;
+    const titleMappingTtl = 60 * 60 * 24 * 30; // Cache title mapping for 30 days
+
+    const pipeline = redis.pipeline();
+    pipeline.set(imdbMappingKey, tmdbId);
+    pipeline.set(`${keys.tmdbMap}${tmdbId}`, imdbId);
+    pipeline.set(`${keys.titleMap}${titleKey}`, tmdbId, 'EX', titleMappingTtl);
+    if (match) {
+        pipeline.set(`${keys.titleMatch}${titleKey}`, JSON.stringify({ tmdbId, ...match, matchedAt: new Date().toISOString() }), 'EX', titleMappingTtl);
     }
+    await pipeline.exec();
+
+    logger.debug({ imdbId, tmdbId, title: baseTitle, type }, 'Created/refreshed ID mappings.');
 }
 
 /**
- * Adds a new hint to both Redis and the persistent JSON file.
- * @param {string} title - The normalized title to use as the key.
- * @param {string} id - The TMDb or IMDb ID (e.g., "tmdb:123" or "tt123").
+ * Reads TMDb series metadata through the `meta:tmdb:{id}` cache. Metadata missing a season
+ * is only cached for a few minutes.
+ * @param {string} tmdbId
+ * @returns {Promise<object|null>} See `getTvMeta`.
  */
-async function addHint(title, id) {
-    try {
-        // Update Redis immediately for instant use
-        await redis.hset(HINTS_KEY, { [title]: id });
+async function getCachedTvMeta(tmdbId) {
+    const cacheKey = `meta:tmdb:${tmdbId}`;
+    const cached = await redis.get(cacheKey);
+    if (cached) return JSON.parse(cached);
 
-        // Update the JSON file for persistence
-        const fileContent = await fs.readFile(HINTS_FILE_PATH, 'utf-8');
-        const hints = JSON.parse(fileContent);
-        hints[title] = id;
-        await fs.writeFile(HINTS_FILE_PATH, JSON.stringify(hints, null, 2), 'utf-8');
+    const tmdbMeta = await getTvMeta(tmdbId);
+    if (!tmdbMeta) return null;
+    const ttl = tmdbMeta.complete === false ? PARTIAL_META_CACHE_TTL : META_CACHE_TTL;
+    await redis.set(cacheKey, JSON.stringify(tmdbMeta), 'EX', ttl);
+    logger.debug({ tmdbId, complete: tmdbMeta.complete, ttl }, 'Cached TMDb series metadata.');
+    return tmdbMeta;
+}
 
-        logger.info({ title, id }, 'Successfully added/updated search hint.');
-        return true;
-    } catch (error) {
-        logger.error({ err: error }, 'Failed to add search hint.');
-        return false;
+/**
+ * Loads the episode map of a series. TMDb episode counts are only fetched for absolute numbering,
+ * which is left out while the metadata misses a season, as the counts would put episodes in the
+ * wrong season. Streams are remapped when read, so they move once the metadata is complete.
+ * @param {string} tmdbId
+ * @param {object} [tmdbMeta] - Already loaded metadata, to skip the cache lookup.
+ * @returns {Promise<function(number, number[]): {season: number, episodes: number[]}>}
+ */
+async function loadEpisodeMapper(tmdbId, tmdbMeta = null) {
+    const rule = await getEpisodeMap(tmdbId);
+    if (rule && rule.absolute && !tmdbMeta) {
+        tmdbMeta = await getCachedTvMeta(tmdbId);
+    }
+    if (rule && rule.absolute && tmdbMeta && tmdbMeta.complete === false) {
+        logger.warn({ tmdbId }, 'TMDb metadata is missing a season. Skipping absolute episode numbering.');
+        tmdbMeta = null;
     }
+    return compileEpisodeMap(rule, tmdbMeta ? tmdbMeta.episodes : []);
 }
 
 /**
- * Gets a hint from the Redis cache.
- * @param {string} title - The normalized title.
- * @returns {Promise<string|null>} The TMDb or IMDb ID.
+ * Applies the current episode map to a stored series record. Records stored before
+ * forum numbering was kept carry it in season/episodes.
+ * @param {object} stream
+ * @param {function} mapEpisodes - From `loadEpisodeMapper`.
+ * @returns {object}
  */
-async function getHint(title) {
-    return redis.hget(HINTS_KEY, title);
+function remapStream(stream, mapEpisodes) {
+    const forumSeason = stream.forumSeason !== undefined ? stream.forumSeason : stream.season;
+    const forumEpisodes = stream.forumEpisodes || stream.episodes;
+    return { ...stream, forumSeason, forumEpisodes, ...mapEpisodes(forumSeason, forumEpisodes) };
 }
 
-// SCHEMA:
-// imdb_map:{imdbId} -> tmdbId
-// show_map:{baseTitle}:{year} -> tmdbId (CACHE)
-// stream:tmdb:{tmdbId} -> HASH
-// catalog:series -> Sorted Set
+/**
+ * Fills in the release attributes of records stored before they were parsed.
+ * @param {object} stream - A parsed stream record.
+ * @returns {object}
+ */
+function withRelease(stream) {
+    return stream.release ? stream : { ...stream, release: parseReleaseAttributes(stream.title) };
+}
+
+/**
+ * Formats the release attributes as one description line, e.g. "HQ HDRip · HEVC 10bit · DD+ 5.1, AAC 2.0 · ESub".
+ * @param {object} release
+ * @returns {string} Empty when nothing was recognised.
+ */
+function describeRelease(release) {
+    const video = [release.videoCodec, release.bitDepth ? `${release.bitDepth}bit` : null, ...release.hdr].filter(Boolean).join(' ');
+    const source = release.source ? `${release.hq ? 'HQ ' : ''}${release.source}` : null;
+    return [source, video, release.audio.join(', '), release.subtitles.join(', ')].filter(Boolean).join(' · ');
+}
 
-async function findOrCreateShow(tmdbId, imdbId, baseTitle, year) {
-    const imdbMappingKey = `imdb_map:${imdbId}`;
-    const titleMappingKey = year ? `show_map:${baseTitle}:${year}` : `show_map:${baseTitle}`;
+/**
+ * @param {string} attachmentUrl
+ * @returns {Promise<boolean>} true if the .torrent behind this URL was indexed before.
+ */
+async function isTorrentAttachmentIndexed(attachmentUrl) {
+    return (await redis.hexists(TORRENT_ATTACHMENTS_KEY, attachmentUrl)) === 1;
+}
+
+/**
+ * Records which file of a torrent holds which episode, so packs can be opened at the right file.
+ * Files whose names carry no single episode number (extras, samples, subtitles) are skipped.
+ * @param {string} attachmentUrl - Where the .torrent was downloaded from.
+ * @param {object} torrent - The result of `parseTorrentFile`.
+ * @returns {Promise<number>} How many episode files were found.
+ */
+async function addTorrentFiles(attachmentUrl, torrent) {
+    const entries = {};
+    for (const file of torrent.files) {
+        if (!isVideoFile(file.path)) continue;
+        const filename = file.path.split('/').pop();
+        const { season, episodes } = parseSeasonEpisodes(filename);
+        // File names inside a pack often carry only the episode, e.g. "E05.mkv" or "Episode 5.mkv".
+        const bareEpisode = episodes.length === 0 && filename.match(/(?:^|[\s._-])(?:E|EP|Episode)[\s._-]?(\d{1,3})(?=[\s._-]|\.\w+$)/i);
+        if (bareEpisode) episodes.push(parseInt(bareEpisode[1], 10));
+        if (episodes.length !== 1) continue;
+        entries[file.index] = JSON.stringify({ season, episode: episodes[0], filename });
+    }
 
     const pipeline = redis.pipeline();
-    pipeline.set(imdbMappingKey, tmdbId);
-    pipeline.set(titleMappingKey, tmdbId, 'EX', 60 * 60 * 24 * 30); // Cache title mapping for 30 days
+    if (Object.keys(entries).length > 0) {
+        pipeline.del(`torrent_files:${torrent.infoHash}`);
+        pipeline.hset(`torrent_files:${torrent.infoHash}`, entries);
+    }
+    pipeline.hset(TORRENT_ATTACHMENTS_KEY, attachmentUrl, torrent.infoHash);
     await pipeline.exec();
 
-    logger.debug({ imdbId, tmdbId, title: baseTitle }, 'Created/refreshed ID mappings.');
+    logger.debug({ infoHash: torrent.infoHash, files: torrent.files.length, episodes: Object.keys(entries).length }, 'Stored torrent file index.');
+    return Object.keys(entries).length;
+}
+
+/**
+ * @param {string} infoHash
+ * @param {number} fileIdx
+ * @returns {Promise<object|null>} The indexed episode file ({ season, episode, filename }), if any.
+ */
+async function getTorrentFile(infoHash, fileIdx) {
+    const json = await redis.hget(`torrent_files:${infoHash.toLowerCase()}`, String(fileIdx));
+    return json ? JSON.parse(json) : null;
 }
 
-async function addStream(tmdbId, streamInfo) {
-    const { infoHash, name, resolution, languages, size, episodes, season: parsedSeason } = streamInfo;
+/**
+ * Finds the file of a pack that holds the requested episode.
+ * @param {object} stream - A remapped pack record (see `remapStream`).
+ * @param {Array<object>} files - The pack's `torrent_files` entries, with `fileIdx` added.
+ * @param {function} mapEpisodes - From `loadEpisodeMapper`.
+ * @param {number} season - Requested TMDb season.
+ * @param {number} episode - Requested TMDb episode.
+ * @returns {object|null}
+ */
+function findPackFile(stream, files, mapEpisodes, season, episode) {
+    return files.find(file => {
+        // Files without a season number belong to the pack's season.
+        const mapped = mapEpisodes(file.season || stream.forumSeason, [file.episode]);
+        return mapped.season === season && mapped.episodes[0] === episode;
+    }) || null;
+}
+
+/**
+ * Builds the provenance fields of a stream being stored. The first-seen time and the thread
+ * survive re-adds, and a rebuild (see `purgeShowStreams`); being seen again clears `staleSince`,
+ * since the record is rewritten without it.
+ * @param {string} type - 'series' or 'movie'.
+ * @param {string|number} tmdbId
+ * @param {string} streamId
+ * @param {string|null} threadUrl - The thread the magnet was found in, if known.
+ * @returns {Promise<{threadUrl: string|null, firstSeenAt: string, lastSeenAt: string}>}
+ */
+async function getStreamProvenance(type, tmdbId, streamId, threadUrl) {
+    const [[, existingJson], [, snapshotJson]] = await redis.pipeline()
+        .hget(`${KEYS[type].stream}${tmdbId}`, streamId)
+        .hget(`${PROVENANCE_SNAPSHOT_PREFIX}${type}:${tmdbId}`, streamId)
+        .exec();
+    const existing = existingJson ? JSON.parse(existingJson) : snapshotJson ? JSON.parse(snapshotJson) : {};
+    const now = new Date().toISOString();
+    return { threadUrl: threadUrl || existing.threadUrl || null, firstSeenAt: existing.firstSeenAt || now, lastSeenAt: now };
+}
+
+/**
+ * A stream is new to the feed only if no earlier first-seen time was carried over, e.g. by a rebuild.
+ * @param {object} provenance - From `getStreamProvenance`.
+ * @returns {boolean}
+ */
+function isFirstSighting(provenance) {
+    return provenance.firstSeenAt === provenance.lastSeenAt;
+}
+
+/**
+ * Adds a newly stored stream to the feed index and drops the oldest entries past FEED_MAX_ITEMS.
+ * @param {string} type - 'series' or 'movie'.
+ * @param {string} tmdbId
+ * @param {string} streamId
+ * @param {string} firstSeenAt - ISO date.
+ */
+async function addToFeed(type, tmdbId, streamId, firstSeenAt) {
+    await redis.pipeline()
+        .zadd(FEED_KEY, Date.parse(firstSeenAt), `${type}:${tmdbId}:${streamId}`)
+        .zremrangebyrank(FEED_KEY, 0, -config.FEED_MAX_ITEMS - 1)
+        .exec();
+}
+
+/**
+ * Stores a parsed magnet under its show or movie.
+ * Series streams need season or episode info; movie streams are stored as-is.
+ * @param {string} tmdbId
+ * @param {object} streamInfo - The result of `parseTitle`, plus the `source` id and `threadUrl` it was crawled from.
+ * @param {string} [type] - 'series' or 'movie'.
+ * @returns {Promise<{streamId: string, isNew: boolean}|null>} null if the stream could not be stored.
+ */
+async function addStream(tmdbId, streamInfo, type = 'series') {
+    const { infoHash, name, resolution, languages, size, episodes, season: parsedSeason, source = null, threadUrl = null } = streamInfo;
+    const release = streamInfo.release || parseReleaseAttributes(name);
+    if (type === 'movie') {
+        const streamId = `${infoHash}:movie:${resolution}`;
+        const streamKey = `${KEYS.movie.stream}${tmdbId}`;
+        const provenance = await getStreamProvenance('movie', tmdbId, streamId, threadUrl);
+        const streamData = JSON.stringify({ id: streamId, infoHash, title: name, resolution, languages, size, release, source, ...provenance });
+        const added = await redis.hset(streamKey, streamId, streamData);
+        if (added > 0 && isFirstSighting(provenance)) await addToFeed('movie', tmdbId, streamId, provenance.firstSeenAt);
+        logger.debug({ tmdbId, streamId }, 'Added/updated movie stream.');
+        return { streamId, isNew: added > 0 };
+    }
     if (!parsedSeason && episodes.length === 0) {
         logger.warn({ tmdbId, name }, "Could not add stream: No season or episode info could be parsed.");
-        return;
+        return null;
     }
     const season = parsedSeason || 1;
     const isEpisodePack = episodes.length > 1;
@@ -101,45 +298,174 @@ async function addStream(tmdbId, streamInfo) {
     } else {
         streamIdSuffix = `s${season}e${episodes[0]}`;
     }
+    // The ID keeps the forum numbering, so re-adding a stream after its show's episode map changed replaces it.
     const streamId = `${infoHash}:${streamIdSuffix}:${resolution}`;
-    const streamKey = `stream:tmdb:${tmdbId}`;
+    const streamKey = `${KEYS.series.stream}${tmdbId}`;
+    const mapEpisodes = await loadEpisodeMapper(tmdbId);
+    const mapped = mapEpisodes(season, episodes);
+    const provenance = await getStreamProvenance('series', tmdbId, streamId, threadUrl);
     const streamData = JSON.stringify({
-        id: streamId, infoHash, season, episodes, isEpisodePack, isSeasonPack,
-        title: name, resolution, languages, size
+        id: streamId, infoHash, season: mapped.season, episodes: mapped.episodes, forumSeason: season, forumEpisodes: episodes,
+        isEpisodePack, isSeasonPack, title: name, resolution, languages, size, release, source, ...provenance
     });
-    await redis.hset(streamKey, streamId, streamData);
+    const added = await redis.hset(streamKey, streamId, streamData);
+    if (added > 0 && isFirstSighting(provenance)) await addToFeed('series', tmdbId, streamId, provenance.firstSeenAt);
     logger.debug({ tmdbId, streamId }, 'Added/updated stream.');
+    return { streamId, isNew: added > 0 };
+}
+
+/**
+ * Reconciles a show's streams with a revisited thread: streams from this thread whose magnet is
+ * gone are marked stale, and removed once they have been stale for STALE_STREAM_GRACE_HOURS.
+ * Streams the thread added to another show before it was matched differently are treated the same.
+ * Records without a `threadUrl` (stored before provenance was tracked) are left alone.
+ * @param {string} threadUrl
+ * @param {string} type - 'series' or 'movie'.
+ * @param {string|number} tmdbId - The show the thread matched this time.
+ * @param {string[]} seenStreamIds - What `addStream` returned for the thread's current magnets.
+ * @returns {Promise<{stale: number, removed: number}>}
+ */
+async function reconcileThreadStreams(threadUrl, type, tmdbId, seenStreamIds) {
+    const previousTmdbId = await redis.hget(threadKey(threadUrl), 'tmdbId');
+    const showIds = [...new Set([String(tmdbId), previousTmdbId].filter(Boolean))];
+    const seen = new Set(seenStreamIds);
+    const now = new Date();
+    const removeBefore = now.getTime() - config.STALE_STREAM_GRACE_HOURS * 60 * 60 * 1000;
+    let stale = 0;
+    let removed = 0;
+
+    for (const showId of showIds) {
+        const streamKey = `${KEYS[type].stream}${showId}`;
+        const records = await redis.hgetall(streamKey);
+        const pipeline = redis.pipeline();
+        for (const [streamId, json] of Object.entries(records)) {
+            const stream = JSON.parse(json);
+            if (stream.threadUrl !== threadUrl || (showId === String(tmdbId) && seen.has(streamId))) continue;
+            if (!stream.staleSince) {
+                pipeline.hset(streamKey, streamId, JSON.stringify({ ...stream, staleSince: now.toISOString() }));
+                stale++;
+            } else if (Date.parse(stream.staleSince) < removeBefore) {
+                pipeline.hdel(streamKey, streamId);
+                removed++;
+            }
+        }
+        await pipeline.exec();
+    }
+    await redis.hset(threadKey(threadUrl), 'tmdbId', String(tmdbId));
+
+    if (stale > 0 || removed > 0) {
+        logger.info({ url: threadUrl, tmdbId, stale, removed }, 'Reconciled streams of a revisited thread.');
+    }
+    return { stale, removed };
+}
+
+/**
+ * Lists the threads a show's streams came from, so the show can be rebuilt from them. Also finds
+ * threads that matched the show but whose streams are already gone.
+ * @param {string|number} tmdbId
+ * @param {string} [type] - 'series' or 'movie'.
+ * @returns {Promise<Array<{url: string, type: string, sourceId: string|null}>>}
+ */
+async function getShowThreads(tmdbId, type = 'series') {
+    const records = await redis.hvals(`${KEYS[type].stream}${tmdbId}`);
+    const urls = new Set(records.map(json => JSON.parse(json).threadUrl).filter(Boolean));
+
+    const keys = await redis.keys('thread:*');
+    const pipeline = redis.pipeline();
+    keys.forEach(key => pipeline.hmget(key, 'tmdbId', 'type'));
+    const results = keys.length > 0 ? await pipeline.exec() : [];
+    results.forEach(([, [threadTmdbId, threadType]], index) => {
+        if (threadTmdbId === String(tmdbId) && (threadType || 'series') === type) {
+            urls.add(Buffer.from(keys[index].substring(7), 'base64').toString('utf-8'));
+        }
+    });
+
+    const threads = [];
+    for (const url of urls) {
+        const sourceId = await redis.hget(threadKey(url), 'source');
+        threads.push({ url, type, sourceId: sourceId || null });
+    }
+    return threads;
+}
+
+/**
+ * Deletes every stream stored for a show. Its catalog entry and ID mappings are kept, and so is
+ * each stream's thread and first-seen time, for the streams its rebuild stores again.
+ * @param {string|number} tmdbId
+ * @param {string} [type] - 'series' or 'movie'.
+ * @returns {Promise<number>} How many streams were deleted.
+ */
+async function purgeShowStreams(tmdbId, type = 'series') {
+    const streamKey = `${KEYS[type].stream}${tmdbId}`;
+    const snapshotKey = `${PROVENANCE_SNAPSHOT_PREFIX}${type}:${tmdbId}`;
+    const records = await redis.hgetall(streamKey);
+    const snapshot = {};
+    for (const [streamId, json] of Object.entries(records)) {
+        const { threadUrl = null, firstSeenAt } = JSON.parse(json);
+        if (firstSeenAt) snapshot[streamId] = JSON.stringify({ threadUrl, firstSeenAt });
+    }
+    const pipeline = redis.pipeline();
+    if (Object.keys(snapshot).length > 0) {
+        pipeline.hset(snapshotKey, snapshot).expire(snapshotKey, PROVENANCE_SNAPSHOT_TTL);
+    }
+    await pipeline.del(streamKey).exec();
+    const count = Object.keys(records).length;
+    logger.info({ tmdbId, type, count }, 'Purged all streams of a show.');
+    return count;
 }
 
-async function getStreamsByTmdbId(tmdbId, requestedSeason, requestedEpisode) {
-    const streamData = await redis.hvals(`stream:tmdb:${tmdbId}`);
+/**
+ * Returns the Stremio streams for a show, optionally narrowed to one episode, ranked by `rankStreams`.
+ * @param {string} tmdbId - The TMDb series ID.
+ * @param {number|null} requestedSeason
+ * @param {number|null} requestedEpisode
+ * @param {object} [userConfig] - Preferences decoded from the install URL (see utils/userConfig).
+ * @returns {Promise<Array<object>>}
+ */
+async function getStreamsByTmdbId(tmdbId, requestedSeason, requestedEpisode, userConfig = DEFAULT_CONFIG) {
+    const streamData = await redis.hvals(`${KEYS.series.stream}${tmdbId}`);
     if (!streamData.length) return [];
     
-    const allStreams = streamData.map(data => JSON.parse(data));
+    const mapEpisodes = await loadEpisodeMapper(tmdbId);
+    const allStreams = streamData
+        .map(data => withRelease(remapStream(JSON.parse(data), mapEpisodes)))
+        .filter(stream => matchesConfig(stream, userConfig));
     let filteredStreams = [];
 
     if (requestedSeason && requestedEpisode) {
         const exactMatches = allStreams.filter(stream => !stream.isEpisodePack && !stream.isSeasonPack && stream.season === requestedSeason && stream.episodes.includes(requestedEpisode));
-        if (exactMatches.length > 0) {
-            filteredStreams = exactMatches;
+        const episodePackMatches = allStreams.filter(stream => stream.isEpisodePack && stream.season === requestedSeason && requestedEpisode >= stream.episodes[0] && requestedEpisode <= stream.episodes[stream.episodes.length - 1]);
+        const seasonPackMatches = allStreams.filter(stream => stream.isSeasonPack && stream.season === requestedSeason);
+        if (userConfig.packs === 'fallback') {
+            filteredStreams = [exactMatches, episodePackMatches, seasonPackMatches].find(matches => matches.length > 0) || [];
         } else {
-            const episodePackMatches = allStreams.filter(stream => stream.isEpisodePack && stream.season === requestedSeason && requestedEpisode >= stream.episodes[0] && requestedEpisode <= stream.episodes[stream.episodes.length - 1]);
-            if (episodePackMatches.length > 0) {
-                filteredStreams = episodePackMatches;
-            } else {
-                const seasonPackMatches = allStreams.filter(stream => stream.isSeasonPack && stream.season === requestedSeason);
-                if (seasonPackMatches.length > 0) filteredStreams = seasonPackMatches;
-            }
+            filteredStreams = [...exactMatches, ...episodePackMatches, ...seasonPackMatches];
         }
     } else {
         filteredStreams = allStreams;
     }
 
     if (filteredStreams.length === 0) return [];
+    const rankedStreams = rankStreams(filteredStreams, userConfig, { episodeRequested: Boolean(requestedSeason && requestedEpisode) });
+
+    // Packs open at the requested episode's file when their .torrent was indexed.
+    const packFiles = new Map();
+    if (requestedSeason && requestedEpisode) {
+        const packs = rankedStreams.filter(stream => stream.isEpisodePack || stream.isSeasonPack);
+        const pipeline = redis.pipeline();
+        packs.forEach(stream => pipeline.hgetall(`torrent_files:${stream.infoHash}`));
+        const results = packs.length > 0 ? await pipeline.exec() : [];
+        results.forEach(([, files], index) => {
+            const entries = Object.entries(files || {}).map(([fileIdx, json]) => ({ fileIdx: parseInt(fileIdx, 10), ...JSON.parse(json) }));
+            const file = findPackFile(packs[index], entries, mapEpisodes, requestedSeason, requestedEpisode);
+            if (file) packFiles.set(packs[index].id, file);
+        });
+    }
 
     const bestTrackers = getTrackers();
-    const streams = filteredStreams.map(parsed => {
+    return rankedStreams.map(parsed => {
         const langString = parsed.languages.join(' / ');
+        const releaseLine = describeRelease(parsed.release);
         const seasonNum = String(parsed.season).padStart(2, '0');
         const streamName = `[TB+] - ${parsed.resolution}`;
         let streamDescription;
@@ -153,62 +479,219 @@ async function getStreamsByTmdbId(tmdbId, requestedSeason, requestedEpisode) {
             const episodeNum = String(parsed.episodes[0]).padStart(2, '0');
             streamDescription = `📺 S${seasonNum}E${episodeNum}\n💾 ${parsed.size || 'N/A'}\n🗣️ ${langString}`;
         }
+        if (releaseLine) streamDescription += `\n🎞️ ${releaseLine}`;
         
-        let videoSizeBytes = 0;
-        if (parsed.size) {
-            const sizeMatch = parsed.size.match(/(\d+(\.\d+)?)\s*(GB|MB)/i);
-            if (sizeMatch) {
-                const sizeValue = parseFloat(sizeMatch[1]);
-                const sizeUnit = sizeMatch[3].toUpperCase();
-                videoSizeBytes = sizeUnit === 'GB' ? sizeValue * 1e9 : sizeValue * 1e6;
-            }
-        }
+        const sizeGb = sizeInGb(parsed.size);
+        const videoSizeBytes = sizeGb ? sizeGb * 1e9 : 0;
+        const packFile = packFiles.get(parsed.id);
         
         return {
             name: streamName, 
             description: streamDescription, 
             infoHash: parsed.infoHash,
+            fileIdx: packFile ? packFile.fileIdx : undefined,
             sources: bestTrackers, 
             behaviorHints: { 
                 bingeGroup: `tamilblasters-${parsed.resolution}`, 
-                videoSize: videoSizeBytes > 0 ? videoSizeBytes : undefined 
+                // The pack's size says nothing about the single file inside it.
+                videoSize: videoSizeBytes > 0 && !packFile ? videoSizeBytes : undefined,
+                filename: packFile ? packFile.filename : undefined,
             }
         };
     });
+}
 
-    streams.sort((a, b) => {
-        const seasonA = parseInt(a.description.match(/S(\d+)|Season (\d+)/)?.[1] || 0);
-        const seasonB = parseInt(b.description.match(/S(\d+)|Season (\d+)/)?.[1] || 0);
-        if (seasonB !== seasonA) return seasonB - seasonA;
+/**
+ * Returns the Stremio streams stored for a movie, ranked by `rankStreams`.
+ * @param {string} tmdbId - The TMDb movie ID.
+ * @param {object} [userConfig] - Preferences decoded from the install URL (see utils/userConfig).
+ * @returns {Promise<Array<object>>}
+ */
+async function getMovieStreams(tmdbId, userConfig = DEFAULT_CONFIG) {
+    const streamData = await redis.hvals(`${KEYS.movie.stream}${tmdbId}`);
+    if (!streamData.length) return [];
 
-        const episodeA = parseInt(a.description.match(/E(\d+)/)?.[1] || 0);
-        const episodeB = parseInt(b.description.match(/E(\d+)/)?.[1] || 0);
-        if (episodeB !== episodeA) return episodeB - episodeA;
+    const movieStreams = streamData
+        .map(data => withRelease(JSON.parse(data)))
+        .filter(stream => matchesConfig(stream, userConfig));
 
-        const resA = parseInt(a.name.match(/\d{3,4}/)?.[0] || 0);
-        const resB = parseInt(b.name.match(/\d{3,4}/)?.[0] || 0);
-        return resB - resA;
+    const bestTrackers = getTrackers();
+    return rankStreams(movieStreams, userConfig).map(parsed => {
+        const sizeGb = sizeInGb(parsed.size);
+        const releaseLine = describeRelease(parsed.release);
+        return {
+            name: `[TB+] - ${parsed.resolution}`,
+            // Drop the "www.1TamilBlasters.xx - " prefix every release name starts with
+            description: `🎬 ${parsed.title.replace(/^www\.\S+\s*-\s*/i, '')}\n💾 ${parsed.size || 'N/A'}\n🗣️ ${parsed.languages.join(' / ')}`
+                + (releaseLine ? `\n🎞️ ${releaseLine}` : ''),
+            infoHash: parsed.infoHash,
+            sources: bestTrackers,
+            behaviorHints: {
+                bingeGroup: `tamilblasters-${parsed.resolution}`,
+                videoSize: sizeGb ? sizeGb * 1e9 : undefined
+            }
+        };
     });
+}
 
-    return streams;
+/**
+ * Reads the streams of the feed index, newest first. Entries whose stream was since removed are skipped.
+ * @returns {Promise<Array<{type: string, tmdbId: string, stream: object}>>}
+ */
+async function readFeedIndex() {
+    const members = await redis.zrevrange(FEED_KEY, 0, -1);
+    const entries = members.map(member => {
+        const [type, tmdbId, ...rest] = member.split(':');
+        return { type, tmdbId, streamId: rest.join(':') };
+    });
+    const pipeline = redis.pipeline();
+    entries.forEach(({ type, tmdbId, streamId }) => pipeline.hget(`${KEYS[type].stream}${tmdbId}`, streamId));
+    const results = entries.length > 0 ? await pipeline.exec() : [];
+    return entries
+        .map(({ type, tmdbId }, i) => ({ type, tmdbId, json: results[i][1] }))
+        .filter(entry => entry.json)
+        .map(({ type, tmdbId, json }) => ({ type, tmdbId, stream: JSON.parse(json) }));
+}
+
+/**
+ * Reads every stream stored for a show or movie, newest first.
+ * @param {string} imdbId
+ * @returns {Promise<Array<{type: string, tmdbId: string, stream: object}>>}
+ */
+async function readShowFeed(imdbId) {
+    const entries = [];
+    for (const type of Object.keys(KEYS)) {
+        const tmdbId = await getTmdbIdByImdbId(imdbId, type);
+        if (!tmdbId) continue;
+        const records = await redis.hvals(`${KEYS[type].stream}${tmdbId}`);
+        records.forEach(json => entries.push({ type, tmdbId, stream: JSON.parse(json) }));
+    }
+    return entries.sort((a, b) => String(b.stream.firstSeenAt).localeCompare(String(a.stream.firstSeenAt)));
+}
+
+/**
+ * Lists newly added streams for the RSS/Atom feeds, newest first. Streams stored before
+ * `firstSeenAt` was recorded have no date and are left out.
+ * @param {object} [options]
+ * @param {string|null} [options.imdbId] - Only this series or movie, over all its streams rather than the newest FEED_MAX_ITEMS.
+ * @param {string[]} [options.languages] - Keep streams in at least one of these language codes.
+ * @param {string[]} [options.resolutions] - Keep streams in one of these resolutions, e.g. "1080p".
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<{type: string, tmdbId: string, imdbId: string|null, showName: string|null, stream: object}>>}
+ *   `stream` is the stored record, with its release attributes filled in.
+ */
+async function getFeedItems({ imdbId = null, languages = [], resolutions = [], limit = 50 } = {}) {
+    const entries = imdbId ? await readShowFeed(imdbId) : await readFeedIndex();
+    const wantedResolutions = resolutions.map(resolutionValue);
+    const items = entries
+        .filter(({ stream }) => stream.firstSeenAt
+            && (languages.length === 0 || (stream.languages || []).some(lang => languages.includes(lang)))
+            && (wantedResolutions.length === 0 || wantedResolutions.includes(resolutionValue(stream.resolution))))
+        .slice(0, limit);
+
+    // Show names come from the catalog, through the reverse IMDb mapping.
+    const names = new Map();
+    for (const { type, tmdbId } of items) {
+        const showKey = `${type}:${tmdbId}`;
+        if (names.has(showKey)) continue;
+        const showImdbId = imdbId || await redis.get(`${KEYS[type].tmdbMap}${tmdbId}`);
+        const metaJson = showImdbId ? await redis.hget(catalogKeys(type).meta, showImdbId) : null;
+        names.set(showKey, { imdbId: showImdbId, name: metaJson ? JSON.parse(metaJson).name : null });
+    }
+    return items.map(({ type, tmdbId, stream }) => ({
+        type,
+        tmdbId,
+        imdbId: names.get(`${type}:${tmdbId}`).imdbId,
+        showName: names.get(`${type}:${tmdbId}`).name,
+        stream: withRelease(stream),
+    }));
+}
+
+/**
+ * Collects the "season:episode" keys that at least one stored stream can play.
+ * Season packs cover every episode TMDb lists for that season.
+ * @param {Array<object>} streams - Parsed stream records from `stream:tmdb:{id}`.
+ * @param {Array<object>} episodes - The TMDb episode list of the series.
+ * @returns {Set<string>}
+ */
+function getAvailableEpisodes(streams, episodes) {
+    const available = new Set();
+    for (const stream of streams) {
+        if (stream.isSeasonPack) {
+            episodes
+                .filter(ep => ep.season === stream.season)
+                .forEach(ep => available.add(`${ep.season}:${ep.episode}`));
+        } else {
+            stream.episodes.forEach(ep => available.add(`${stream.season}:${ep}`));
+        }
+    }
+    return available;
+}
+
+/**
+ * Builds a Stremio meta object for a series from (cached) TMDb data, marking
+ * the episodes that have streams in `stream:tmdb:{id}`.
+ * @param {string} tmdbId - The TMDb series ID.
+ * @param {string} [metaId] - The ID the client asked for ("tt123" or "tmdb:123").
+ * @returns {Promise<object|null>} The Stremio meta object.
+ */
+async function getSeriesMeta(tmdbId, metaId) {
+    const tmdbMeta = await getCachedTvMeta(tmdbId);
+    if (!tmdbMeta) return null;
+
+    const id = metaId || tmdbMeta.imdbId || `tmdb:${tmdbId}`;
+    const streamData = await redis.hvals(`${KEYS.series.stream}${tmdbId}`);
+    const mapEpisodes = await loadEpisodeMapper(tmdbId, tmdbMeta);
+    const available = getAvailableEpisodes(streamData.map(data => remapStream(JSON.parse(data), mapEpisodes)), tmdbMeta.episodes);
+
+    const videos = tmdbMeta.episodes.map(ep => ({
+        id: `${id}:${ep.season}:${ep.episode}`,
+        title: ep.name || `Episode ${ep.episode}`,
+        season: ep.season,
+        episode: ep.episode,
+        released: ep.airDate ? new Date(ep.airDate).toISOString() : undefined,
+        thumbnail: ep.thumbnail || undefined,
+        overview: ep.overview || undefined,
+        available: available.has(`${ep.season}:${ep.episode}`),
+    }));
+
+    const startYear = tmdbMeta.firstAirDate ? tmdbMeta.firstAirDate.substring(0, 4) : '';
+    const endYear = !tmdbMeta.inProduction && tmdbMeta.lastAirDate ? tmdbMeta.lastAirDate.substring(0, 4) : '';
+    let releaseInfo;
+    if (startYear) {
+        releaseInfo = !endYear ? `${startYear}-` : (endYear === startYear ? startYear : `${startYear}-${endYear}`);
+    }
+
+    return {
+        id,
+        type: 'series',
+        name: tmdbMeta.name,
+        poster: tmdbMeta.poster,
+        background: tmdbMeta.background,
+        description: tmdbMeta.overview,
+        genres: tmdbMeta.genres,
+        releaseInfo,
+        videos,
+    };
 }
 
-async function getTmdbIdByImdbId(imdbId) {
-    const mappingKey = `imdb_map:${imdbId}`;
+async function getTmdbIdByImdbId(imdbId, type = 'series') {
+    const mappingKey = `${KEYS[type].imdbMap}${imdbId}`;
     return redis.get(mappingKey);
 }
 
-async function findCachedTmdbId(baseTitle, year) {
+async function findCachedTmdbId(baseTitle, year, type = 'series') {
+    const { titleMap } = KEYS[type];
     let mappingKey;
     if (year) {
-        mappingKey = `show_map:${baseTitle}:${year}`;
+        mappingKey = `${titleMap}${baseTitle}:${year}`;
         const tmdbId = await redis.get(mappingKey);
         if (tmdbId) {
             logger.debug({ title: baseTitle, year }, 'Found cached TMDb ID with year.');
             return tmdbId;
         }
     }
-    mappingKey = `show_map:${baseTitle}`;
+    mappingKey = `${titleMap}${baseTitle}`;
     const tmdbId = await redis.get(mappingKey);
     if (tmdbId) {
         logger.debug({ title: baseTitle }, 'Found cached TMDb ID without year.');
@@ -216,24 +699,134 @@ async function findCachedTmdbId(baseTitle, year) {
     return tmdbId;
 }
 
-async function updateCatalog(imdbId, name, poster, year) {
-    const catalogKey = 'catalog:series';
+function catalogKeys(type) {
+    const base = KEYS[type].catalog;
+    return { ids: base, meta: `${base}:meta`, search: `${base}:search`, genrePrefix: `${base}:genre:` };
+}
+
+function titleTokens(name) {
+    return [...new Set(normalizeTitleForId(name).split(' ').filter(Boolean))];
+}
+
+/**
+ * Adds or refreshes a show in the custom catalog and keeps its search and genre
+ * indexes in step with the stored meta.
+ * @param {string} imdbId
+ * @param {string} name
+ * @param {string|null} poster
+ * @param {string|number|null} year
+ * @param {Array<string>} [genres] - TMDb genre names; previously stored genres are kept when empty.
+ * @param {string} [type] - 'series' or 'movie'.
+ * @returns {Promise<boolean>} true if the show was not in the catalog yet.
+ */
+async function updateCatalog(imdbId, name, poster, year, genres = [], type = 'series') {
+    const keys = catalogKeys(type);
     const score = year ? parseInt(year, 10) : 0;
+    const previousData = await redis.hget(keys.meta, imdbId);
+    const previous = previousData ? JSON.parse(previousData) : null;
+    const finalGenres = genres.length > 0 ? genres : (previous?.genres || []);
+
     const meta = {
         id: imdbId,
-        type: 'series',
+        type,
         name: name,
         poster: poster,
+        genres: finalGenres,
+        releaseInfo: year ? String(year) : undefined,
     };
-    await redis.zadd(catalogKey, score, JSON.stringify(meta));
-    logger.debug({ imdbId, name }, 'Updated custom catalog.');
+
+    const pipeline = redis.pipeline();
+    if (previous) {
+        titleTokens(previous.name).forEach(token => pipeline.zrem(keys.search, `${token}:${imdbId}`));
+        (previous.genres || []).forEach(genre => pipeline.srem(`${keys.genrePrefix}${genre}`, imdbId));
+    }
+    pipeline.zadd(keys.ids, score, imdbId);
+    pipeline.hset(keys.meta, imdbId, JSON.stringify(meta));
+    titleTokens(name).forEach(token => pipeline.zadd(keys.search, 0, `${token}:${imdbId}`));
+    finalGenres.forEach(genre => pipeline.sadd(`${keys.genrePrefix}${genre}`, imdbId));
+    await pipeline.exec();
+    logger.debug({ imdbId, name, type }, 'Updated custom catalog.');
+    return !previous;
+}
+
+/**
+ * Finds catalog entries whose title has a word starting with every word of the query.
+ * @param {string} query
+ * @param {string} type - 'series' or 'movie'.
+ * @returns {Promise<Set<string>>} Matching imdbIds.
+ */
+async function searchCatalogIds(query, type) {
+    const tokens = titleTokens(query);
+    if (tokens.length === 0) return new Set();
+
+    let matches = null;
+    for (const token of tokens) {
+        const entries = await redis.zrangebylex(catalogKeys(type).search, `[${token}`, `[${token}\xff`);
+        const ids = new Set(entries.map(entry => entry.substring(entry.lastIndexOf(':') + 1)));
+        matches = matches ? new Set([...matches].filter(id => ids.has(id))) : ids;
+        if (matches.size === 0) break;
+    }
+    return matches;
+}
+
+/**
+ * Returns one page of the custom catalog, newest shows first.
+ * @param {object} [extra] - Stremio catalog extras.
+ * @param {string} [extra.search] - Title search query.
+ * @param {string} [extra.genre] - TMDb genre name.
+ * @param {string|number} [extra.year] - First-air year.
+ * @param {string|number} [extra.skip] - Number of entries to skip.
+ * @param {string} [type] - 'series' or 'movie'.
+ * @returns {Promise<Array<object>>}
+ */
+async function getCustomCatalog({ search, genre, year, skip } = {}, type = 'series') {
+    const keys = catalogKeys(type);
+    const offset = parseInt(skip, 10) || 0;
+    let ids;
+
+    if (!search && !genre && !year) {
+        ids = await redis.zrevrange(keys.ids, offset, offset + CATALOG_PAGE_SIZE - 1);
+    } else {
+        const filters = [];
+        if (search) filters.push(await searchCatalogIds(search, type));
+        if (genre) filters.push(new Set(await redis.smembers(`${keys.genrePrefix}${genre}`)));
+
+        // Keep the catalog's ordering by walking the (ID-only) sorted set.
+        const orderedIds = year
+            ? await redis.zrevrangebyscore(keys.ids, parseInt(year, 10), parseInt(year, 10))
+            : await redis.zrevrange(keys.ids, 0, -1);
+        ids = orderedIds
+            .filter(id => filters.every(filter => filter.has(id)))
+            .slice(offset, offset + CATALOG_PAGE_SIZE);
+    }
+
+    if (!ids || ids.length === 0) return [];
+    const metas = await redis.hmget(keys.meta, ...ids);
+    return metas.filter(Boolean).map(item => JSON.parse(item));
 }
 
-async function getCustomCatalog() {
-    const catalogKey = 'catalog:series';
-    const results = await redis.zrevrange(catalogKey, 0, -1);
-    if (!results || results.length === 0) return [];
-    return results.map(item => JSON.parse(item));
+/**
+ * Converts a catalog written by older versions (JSON metas as sorted set members)
+ * into the ID-based layout with search and genre indexes.
+ */
+async function migrateCatalog() {
+    const catalogKey = KEYS.series.catalog;
+    const members = await redis.zrange(catalogKey, 0, -1, 'WITHSCORES');
+    let migrated = 0;
+    for (let i = 0; i < members.length; i += 2) {
+        const member = members[i];
+        if (!member.startsWith('{')) continue;
+        const meta = JSON.parse(member);
+        await redis.zrem(catalogKey, member);
+        if (meta.id) {
+            const score = parseInt(members[i + 1], 10);
+            await updateCatalog(meta.id, meta.name, meta.poster, score || null);
+            migrated++;
+        }
+    }
+    if (migrated > 0) {
+        logger.info(`Migrated ${migrated} catalog entries to the indexed catalog layout.`);
+    }
 }
 
 // --- `logUnmatchedMagnet` now accepts and stores the normalizedTitle ---
@@ -244,21 +837,25 @@ async function getCustomCatalog() {
  * @param {string} sourceUrl - The URL of the forum thread.
  * @param {string} reason - The reason for the failure.
  * @param {string} normalizedTitle - The cleaned title that was used for the API search.
+ * @param {string} [type] - 'series' or 'movie', so the rescue job knows where the stream belongs.
+ * @param {string|null} [source] - The id of the crawl source the thread belongs to.
  */
-async function logUnmatchedMagnet(magnetUri, threadTitle, sourceUrl, reason, normalizedTitle) {
+async function logUnmatchedMagnet(magnetUri, threadTitle, sourceUrl, reason, normalizedTitle, type = 'series', source = null) {
     const orphanKey = 'unmatched_magnets';
     
     const infoHashMatch = magnetUri.match(/btih:([a-fA-F0-9]{40})/i);
     const dnMatch = magnetUri.match(/dn=([^&]+)/i);
 
     const infoHash = infoHashMatch ? infoHashMatch[1] : 'N/A';
-    const displayName = dnMatch ? decodeURIComponent(dnMatch[1]).replace(/\+/g, ' ') : 'N/A';
+    const displayName = dnMatch ? decodeURIComponent(dnMatch[1].replace(/\+/g, ' ')) : 'N/A';
 
     const data = {
         infoHash,
         displayName,
         threadTitle,
         normalizedTitle, // Add the normalized title to the log
+        type,
+        source,
         sourceUrl,
         reason,
         attempts: 1,
@@ -270,9 +867,113 @@ async function logUnmatchedMagnet(magnetUri, threadTitle, sourceUrl, reason, nor
 }
 // --- END OF CHANGE ---
 
-async function updateThreadTimestamp(threadUrl) {
-    const threadKey = `thread:${Buffer.from(threadUrl).toString('base64')}`;
-    await redis.hset(threadKey, 'lastVisited', new Date().toISOString());
+function threadKey(threadUrl) {
+    return `thread:${Buffer.from(threadUrl).toString('base64')}`;
+}
+
+/**
+ * Records that a thread was processed.
+ * @param {string} threadUrl
+ * @param {string} [type] - 'series' or 'movie'.
+ * @param {string|null} [source] - The crawl source id.
+ * @param {object|null} [listing] - What the forum listing showed for the thread when it was
+ *   queued ({ replyCount, lastReplyAt }); used to detect changes on the next crawl.
+ */
+async function updateThreadTimestamp(threadUrl, type = 'series', source = null, listing = null) {
+    const fields = { lastVisited: new Date().toISOString(), type };
+    if (source) fields.source = source;
+    if (listing) {
+        fields.listedReplyCount = listing.replyCount ?? '';
+        fields.listedLastReplyAt = listing.lastReplyAt ?? '';
+    }
+    await redis.hset(threadKey(threadUrl), fields);
+}
+
+/**
+ * Splits listing entries into those worth queueing: threads never processed, and
+ * threads whose reply count or last-reply time differ from what was recorded.
+ * @param {Array<{url: string, replyCount: number|null, lastReplyAt: string|null}>} topics
+ * @returns {Promise<Array<object>>} The new or changed topics.
+ */
+async function filterNewOrChangedThreads(topics) {
+    if (topics.length === 0) return [];
+    const pipeline = redis.pipeline();
+    topics.forEach(topic => pipeline.hmget(threadKey(topic.url), 'lastVisited', 'listedReplyCount', 'listedLastReplyAt'));
+    const results = await pipeline.exec();
+
+    return topics.filter((topic, index) => {
+        const [lastVisited, listedReplyCount, listedLastReplyAt] = results[index][1];
+        if (!lastVisited) return true;
+        // Processed before listing state was recorded: queue once so it gets recorded.
+        if (listedReplyCount === null && listedLastReplyAt === null) return true;
+        const replyCountChanged = topic.replyCount !== null && String(topic.replyCount) !== listedReplyCount;
+        const lastReplyChanged = topic.lastReplyAt !== null && topic.lastReplyAt !== listedLastReplyAt;
+        return replyCountChanged || lastReplyChanged;
+    });
+}
+
+/**
+ * Moves everything this module stores under a thread or attachment URL from one forum domain
+ * to another, so threads the listing now links on the new domain are still recognised: thread
+ * records, stream provenance (including rebuild snapshots), indexed .torrent attachments and
+ * orphans. A record already stored under the new URL wins over the old one. The crawl and
+ * review queues move their own entries (see crawlQueue.moveDomain and reviewQueue.moveDomain).
+ * @param {string} fromOrigin - e.g. "https://www.1tamilblasters.fi"
+ * @param {string} toOrigin
+ * @returns {Promise<number>} How many thread records were moved.
+ */
+async function moveThreadDomain(fromOrigin, toOrigin) {
+    const moveUrl = url => (url && url.startsWith(`${fromOrigin}/`) ? `${toOrigin}${url.slice(fromOrigin.length)}` : null);
+
+    let threads = 0;
+    for (const key of await redis.keys('thread:*')) {
+        const newUrl = moveUrl(Buffer.from(key.substring(7), 'base64').toString('utf-8'));
+        if (!newUrl) continue;
+        if (!await redis.renamenx(key, threadKey(newUrl))) await redis.del(key);
+        threads++;
+    }
+
+    let streams = 0;
+    const streamKeys = [
+        ...await redis.keys(`${KEYS.series.stream}*`),
+        ...await redis.keys(`${KEYS.movie.stream}*`),
+        ...await redis.keys(`${PROVENANCE_SNAPSHOT_PREFIX}*`),
+    ];
+    for (const streamKey of streamKeys) {
+        const pipeline = redis.pipeline();
+        for (const [streamId, json] of Object.entries(await redis.hgetall(streamKey))) {
+            const stream = JSON.parse(json);
+            const newUrl = moveUrl(stream.threadUrl);
+            if (!newUrl) continue;
+            pipeline.hset(streamKey, streamId, JSON.stringify({ ...stream, threadUrl: newUrl }));
+            streams++;
+        }
+        await pipeline.exec();
+    }
+
+    let attachments = 0;
+    for (const [attachmentUrl, infoHash] of Object.entries(await redis.hgetall(TORRENT_ATTACHMENTS_KEY))) {
+        const newUrl = moveUrl(attachmentUrl);
+        if (!newUrl) continue;
+        await redis.pipeline().hsetnx(TORRENT_ATTACHMENTS_KEY, newUrl, infoHash).hdel(TORRENT_ATTACHMENTS_KEY, attachmentUrl).exec();
+        attachments++;
+    }
+
+    // LREM and LPUSH per entry, so orphans the workers log meanwhile are not lost.
+    const orphanKey = 'unmatched_magnets';
+    const pipeline = redis.pipeline();
+    let orphans = 0;
+    for (const raw of await redis.lrange(orphanKey, 0, -1)) {
+        const orphan = JSON.parse(raw);
+        const newUrl = moveUrl(orphan.sourceUrl);
+        if (!newUrl) continue;
+        pipeline.lrem(orphanKey, 1, raw).lpush(orphanKey, JSON.stringify({ ...orphan, sourceUrl: newUrl }));
+        orphans++;
+    }
+    await pipeline.exec();
+
+    logger.info({ from: fromOrigin, to: toOrigin, threads, streams, attachments, orphans }, 'Moved stored thread URLs to a new domain.');
+    return threads;
 }
 
 async function getThreadsToRevisit() {
@@ -280,16 +981,20 @@ async function getThreadsToRevisit() {
     if (!keys.length) return [];
 
     const pipeline = redis.pipeline();
-    keys.forEach(key => pipeline.hget(key, 'lastVisited'));
+    keys.forEach(key => pipeline.hmget(key, 'lastVisited', 'type', 'source'));
     const results = await pipeline.exec();
     
     const revisitThreshold = new Date();
     revisitThreshold.setHours(revisitThreshold.getHours() - config.THREAD_REVISIT_HOURS);
     
     const threadsToRevisit = [];
-    results.forEach(([, lastVisited], index) => {
+    results.forEach(([, [lastVisited, type, sourceId]], index) => {
         if (lastVisited && new Date(lastVisited) < revisitThreshold) {
-            threadsToRevisit.push(Buffer.from(keys[index].substring(7), 'base64').toString('ascii'));
+            threadsToRevisit.push({
+                url: Buffer.from(keys[index].substring(7), 'base64').toString('ascii'),
+                type: type || 'series',
+                sourceId: sourceId || null
+            });
         }
     });
     return threadsToRevisit;
@@ -297,67 +1002,84 @@ async function getThreadsToRevisit() {
 
 
 // --- rescueOrphanedMagnets now uses the normalizedTitle from the orphan object ---
-async function rescueOrphanedMagnets() {
-    logger.info('Starting ultimate orphan rescue job...');
+/**
+ * Re-matches orphans against the hints and the title cache and stores the streams of those that match.
+ * Every rescue is recorded in the run history.
+ * @param {object} [options]
+ * @param {string} [options.normalizedTitle] - Only rescue orphans with this title. Other orphans
+ *   are left untouched, including their attempt counters.
+ * @returns {Promise<{rescued: number, remaining: number}>}
+ */
+async function rescueOrphanedMagnets({ normalizedTitle = null } = {}) {
+    return runHistory.recordRun('rescue', { title: normalizedTitle }, run => rescueOrphans(run, normalizedTitle));
+}
+
+async function rescueOrphans(run, normalizedTitle) {
+    logger.info({ title: normalizedTitle }, 'Starting ultimate orphan rescue job...');
     const orphanKey = 'unmatched_magnets';
     const allOrphans = await redis.lrange(orphanKey, 0, -1);
+    const candidates = normalizedTitle
+        ? allOrphans.filter(orphanString => JSON.parse(orphanString).normalizedTitle === normalizedTitle)
+        : allOrphans;
 
-    if (allOrphans.length === 0) {
+    if (candidates.length === 0) {
         logger.info('No orphans to rescue.');
-        return;
+        return { rescued: 0, remaining: 0 };
     }
 
     // --- START OF THE ULTIMATE FIX ---
-    // 1. Get all known show mappings from the cache AND the manual hints.
-    const knownTitles = new Map();
-    
-    // Load from manual hints first (highest priority)
-    const hints = await redis.hgetall('search_hints');
-    for (const title in hints) {
-        knownTitles.set(title, hints[title]); // Value is "tmdb:123" or "tt123"
-    }
-    
-    // Load from automatic cache (will not overwrite manual hints)
-    const showMapKeys = await redis.keys('show_map:*');
-    if (showMapKeys.length > 0) {
-        const tmdbIds = await redis.mget(showMapKeys);
-        showMapKeys.forEach((key, index) => {
+    // 1. Manual hints have the highest priority, resolved through the same matcher the workers use.
+    const hints = await listHints();
+    const matchHint = compileHints(hints);
+
+    // 2. Get all known show mappings from the automatic cache, per content type.
+    const knownTitles = { series: new Map(), movie: new Map() };
+    for (const type of Object.keys(knownTitles)) {
+        const titleMapKeys = await redis.keys(`${KEYS[type].titleMap}*`);
+        if (titleMapKeys.length === 0) continue;
+        const tmdbIds = await redis.mget(titleMapKeys);
+        titleMapKeys.forEach((key, index) => {
             const title = key.split(':').slice(1, -1).join(':') || key.split(':').slice(1).join(':');
-            if (title && !knownTitles.has(title)) { // Don't overwrite a manual hint
-                knownTitles.set(title, `tmdb:${tmdbIds[index]}`);
+            if (title && !knownTitles[type].has(title)) {
+                knownTitles[type].set(title, `tmdb:${tmdbIds[index]}`);
             }
         });
     }
     // --- END OF THE ULTIMATE FIX ---
     
-    if (knownTitles.size === 0) {
+    if (hints.length === 0 && knownTitles.series.size === 0 && knownTitles.movie.size === 0) {
         logger.warn('Orphan rescue job: No known shows in cache or hints to match against.');
-        return;
+        return { rescued: 0, remaining: candidates.length };
     }
 
-    let rescuedCount = 0;
+    const rescuedOrphans = [];
     const updatedOrphans = [];
+    let newStreams = 0;
 
-    for (const orphanString of allOrphans) {
+    for (const orphanString of candidates) {
         let orphan = JSON.parse(orphanString);
         let rescued = false;
         
         const baseTitle = orphan.normalizedTitle; 
+        const type = orphan.type || 'series';
+        const yearMatch = (orphan.threadTitle || '').match(/\b(19|20)\d{2}\b/);
+        const hint = matchHint(baseTitle, yearMatch ? yearMatch[0] : null, type);
+        const id = hint ? hint.target : knownTitles[type].get(baseTitle); // This will be "tmdb:123" or "tt123"
 
-        if (baseTitle && knownTitles.has(baseTitle)) {
-            const id = knownTitles.get(baseTitle); // This will be "tmdb:123" or "tt123"
+        if (baseTitle && id) {
             const [source, externalId] = id.split(':');
             
-            let tmdbId = source === 'tmdb' ? externalId : await getTmdbIdByImdbId(id);
+            let tmdbId = source === 'tmdb' ? externalId : await getTmdbIdByImdbId(id, type);
 
             if (tmdbId) {
-                logger.info({ title: baseTitle, tmdbId }, 'Rescuing orphan! Found a match.');
+                logger.info({ title: baseTitle, tmdbId, type }, 'Rescuing orphan! Found a match.');
                 const minimalMagnet = `magnet:?xt=urn:btih:${orphan.infoHash}&dn=${encodeURIComponent(orphan.displayName)}`;
                 const parsedStream = parseTitle(minimalMagnet);
                 if (parsedStream) {
-                    await addStream(tmdbId, parsedStream);
+                    const stored = await addStream(tmdbId, { ...parsedStream, source: orphan.source || null, threadUrl: orphan.sourceUrl || null }, type);
+                    if (stored && stored.isNew) newStreams++;
                     rescued = true;
-                    rescuedCount++;
+                    rescuedOrphans.push(orphanString);
                 }
             }
         }
@@ -368,31 +1090,51 @@ async function rescueOrphanedMagnets() {
         }
     }
     
-    if (allOrphans.length > 0) {
-        const pipeline = redis.pipeline();
+    const pipeline = redis.pipeline();
+    if (normalizedTitle) {
+        // A targeted rescue only removes what it rescued, so orphans logged meanwhile are kept.
+        rescuedOrphans.forEach(orphanString => pipeline.lrem(orphanKey, 1, orphanString));
+    } else {
         pipeline.del(orphanKey);
         if (updatedOrphans.length > 0) pipeline.rpush(orphanKey, updatedOrphans);
-        await pipeline.exec();
     }
+    await pipeline.exec();
+    await runHistory.countRun(run.id, 'orphansRescued', rescuedOrphans.length);
+    await runHistory.countRun(run.id, 'newStreams', newStreams);
     
-    logger.info({ rescued: rescuedCount, remaining: updatedOrphans.length }, 'Orphan rescue job finished.');
+    logger.info({ rescued: rescuedOrphans.length, remaining: updatedOrphans.length }, 'Orphan rescue job finished.');
+    return { rescued: rescuedOrphans.length, remaining: updatedOrphans.length };
 }
 
-
+metrics.registerGauge('orphan_magnets', 'Magnets in the orphan list.', async () => [[{}, await redis.llen('unmatched_magnets')]]);
+metrics.registerGauge('catalog_items', 'Catalog entries, by type.', async () => {
+    const types = Object.keys(KEYS);
+    const counts = await Promise.all(types.map(type => redis.zcard(catalogKeys(type).ids)));
+    return types.map((type, index) => [{ type }, counts[index]]);
+});
 
 module.exports = {
     findOrCreateShow,
     addStream,
     getStreamsByTmdbId,
+    getMovieStreams,
+    getFeedItems,
+    getSeriesMeta,
     getTmdbIdByImdbId,
+    reconcileThreadStreams,
+    getShowThreads,
+    purgeShowStreams,
+    isTorrentAttachmentIndexed,
+    addTorrentFiles,
+    getTorrentFile,
     updateThreadTimestamp,
+    filterNewOrChangedThreads,
     getThreadsToRevisit,
+    moveThreadDomain,
     updateCatalog,
     getCustomCatalog,
+    migrateCatalog,
     logUnmatchedMagnet,
     findCachedTmdbId,
-     loadHintsIntoRedis,
-    addHint,
-    getHint,
     rescueOrphanedMagnets // Export the new function
 };
@@ -0,0 +1,188 @@
+// src/database/episodeMaps.js
+
+const redis = require('./redis');
+const logger = require('../utils/logger');
+
+// SCHEMA:
+// episode_maps -> HASH tmdbId -> rule JSON, for series whose forum numbering differs from TMDb:
+// {
+//   seasonOffset: -2,            // TMDb season = forum season + offset ("Season 3" -> season 1)
+//   seasonMap: { "3": { season: 1, episodeOffset: -10 } }, // per forum season, wins over the offset
+//   absolute: true,              // episode numbers past the end of their season are absolute
+//   note: "...", updatedAt
+// }
+const EPISODE_MAPS_KEY = 'episode_maps';
+
+function ruleError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_EPISODE_MAP';
+    return error;
+}
+
+function toInteger(value, field) {
+    const text = String(value).trim();
+    if (!/^[-+]?\d+$/.test(text)) throw ruleError(`${field} must be a whole number.`);
+    return parseInt(text, 10);
+}
+
+/**
+ * Parses the season map, either as an object or in the form's text format:
+ * "3:1, 4:2:-10" maps forum season 3 to season 1, and forum season 4 to season 2 minus 10 episodes.
+ * @param {object|string} raw
+ * @returns {object} forumSeason -> { season, episodeOffset }
+ */
+function parseSeasonMap(raw) {
+    if (!raw) return {};
+    const entries = typeof raw === 'string'
+        ? raw.split(/[,\r\n]/).map(part => part.trim()).filter(Boolean).map(part => {
+            const [from, season, episodeOffset = 0] = part.split(':');
+            if (season === undefined) throw ruleError(`Season map entry "${part}" must look like "3:1" or "3:1:-10".`);
+            return [from, { season, episodeOffset }];
+        })
+        : Object.entries(raw);
+
+    const seasonMap = {};
+    for (const [from, target] of entries) {
+        const forumSeason = toInteger(from, 'Forum season');
+        const { season, episodeOffset = 0 } = typeof target === 'object' && target !== null ? target : { season: target };
+        const mapped = { season: toInteger(season, 'TMDb season'), episodeOffset: toInteger(episodeOffset, 'Episode offset') };
+        if (forumSeason < 0 || mapped.season < 0) throw ruleError('Seasons cannot be negative.');
+        seasonMap[forumSeason] = mapped;
+    }
+    return seasonMap;
+}
+
+/**
+ * Validates a rule from the API or the admin form.
+ * @param {object} data - { seasonOffset, seasonMap, absolute, note }
+ * @returns {object}
+ * @throws {Error} with `code` "INVALID_EPISODE_MAP".
+ */
+function sanitizeRule(data) {
+    if (!data || typeof data !== 'object') throw ruleError('Episode map must be an object.');
+    const rule = {
+        seasonOffset: data.seasonOffset === undefined || data.seasonOffset === '' ? 0 : toInteger(data.seasonOffset, 'Season offset'),
+        seasonMap: parseSeasonMap(data.seasonMap),
+        absolute: [true, '1', 'true', 'on'].includes(data.absolute),
+        note: data.note ? String(data.note).trim().slice(0, 200) : null,
+    };
+    if (rule.seasonOffset === 0 && Object.keys(rule.seasonMap).length === 0 && !rule.absolute) {
+        throw ruleError('The rule does not change anything. Set an offset, a season map or absolute numbering.');
+    }
+    return rule;
+}
+
+/**
+ * Formats a season map in the text format `parseSeasonMap` reads.
+ * @param {object} seasonMap
+ * @returns {string}
+ */
+function formatSeasonMap(seasonMap) {
+    return Object.entries(seasonMap || {})
+        .map(([from, { season, episodeOffset }]) => episodeOffset ? `${from}:${season}:${episodeOffset}` : `${from}:${season}`)
+        .join(', ');
+}
+
+/**
+ * Builds the function that turns forum numbering into TMDb numbering for one show.
+ * A season map entry wins over the season offset. With `absolute`, episode numbers
+ * beyond the episode count of their (mapped) season are counted from the first
+ * episode of season 1 using the TMDb episode list; specials (season 0) are skipped.
+ * Forum season 0 stays as it is unless the season map lists it.
+ * An absolute pack that crosses a season boundary keeps only its first season's part.
+ * @param {object|null} rule
+ * @param {Array<{season: number, episode: number}>} [tmdbEpisodes] - Needed for `absolute`.
+ * @returns {function(number, number[]): {season: number, episodes: number[]}}
+ */
+function compileEpisodeMap(rule, tmdbEpisodes = []) {
+    if (!rule) return (season, episodes) => ({ season, episodes });
+
+    const counts = new Map();
+    for (const ep of tmdbEpisodes) {
+        if (ep.season > 0) counts.set(ep.season, Math.max(counts.get(ep.season) || 0, ep.episode));
+    }
+    const seasons = [...counts.keys()].sort((a, b) => a - b);
+
+    const fromAbsolute = (absoluteEpisode) => {
+        let remaining = absoluteEpisode;
+        for (const season of seasons) {
+            if (remaining <= counts.get(season)) return { season, episode: remaining };
+            remaining -= counts.get(season);
+        }
+        return null;
+    };
+
+    return (forumSeason, forumEpisodes) => {
+        if (forumSeason === 0 && !rule.seasonMap[0]) return { season: 0, episodes: forumEpisodes };
+        const target = rule.seasonMap[forumSeason] || { season: Math.max(1, forumSeason + rule.seasonOffset), episodeOffset: 0 };
+        let season = target.season;
+        let episodes = forumEpisodes.map(ep => ep + target.episodeOffset).filter(ep => ep > 0);
+
+        const lastEpisode = episodes[episodes.length - 1];
+        if (rule.absolute && episodes.length > 0 && seasons.length > 0 && !(lastEpisode <= counts.get(season))) {
+            const converted = forumEpisodes.map(fromAbsolute).filter(Boolean);
+            if (converted.length > 0) {
+                season = converted[0].season;
+                episodes = converted.filter(ep => ep.season === season).map(ep => ep.episode);
+            }
+        }
+
+        // An offset that pushes every episode below 1 is a bad rule, not a reason to lose the stream.
+        if (forumEpisodes.length > 0 && episodes.length === 0) {
+            return { season: forumSeason, episodes: forumEpisodes };
+        }
+        return { season, episodes };
+    };
+}
+
+/**
+ * @param {string|number} tmdbId
+ * @returns {Promise<object|null>}
+ */
+async function getEpisodeMap(tmdbId) {
+    const json = await redis.hget(EPISODE_MAPS_KEY, String(tmdbId));
+    return json ? JSON.parse(json) : null;
+}
+
+/**
+ * @returns {Promise<Array<object>>} All rules with their `tmdbId`.
+ */
+async function listEpisodeMaps() {
+    const stored = await redis.hgetall(EPISODE_MAPS_KEY);
+    return Object.entries(stored)
+        .map(([tmdbId, json]) => ({ tmdbId, ...JSON.parse(json) }))
+        .sort((a, b) => Number(a.tmdbId) - Number(b.tmdbId));
+}
+
+/**
+ * Creates or replaces the rule of a show. It applies to stored streams right away.
+ * @param {string|number} tmdbId
+ * @param {object} data - See `sanitizeRule`.
+ * @returns {Promise<object>}
+ */
+async function setEpisodeMap(tmdbId, data) {
+    if (!/^\d+$/.test(String(tmdbId))) throw ruleError('TMDb ID must be numeric.');
+    const rule = { ...sanitizeRule(data), updatedAt: new Date().toISOString() };
+    await redis.hset(EPISODE_MAPS_KEY, String(tmdbId), JSON.stringify(rule));
+    logger.info({ tmdbId, rule }, 'Saved episode numbering map.');
+    return rule;
+}
+
+/**
+ * @param {string|number} tmdbId
+ * @returns {Promise<boolean>} false if the show had no rule.
+ */
+async function deleteEpisodeMap(tmdbId) {
+    const deleted = await redis.hdel(EPISODE_MAPS_KEY, String(tmdbId));
+    if (deleted) logger.info({ tmdbId }, 'Deleted episode numbering map.');
+    return deleted > 0;
+}
+
+module.exports = {
+    compileEpisodeMap,
+    formatSeasonMap,
+    getEpisodeMap,
+    listEpisodeMaps,
+    setEpisodeMap,
+    deleteEpisodeMap,
+};
@@ -0,0 +1,345 @@
+// src/database/hints.js
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const redis = require('./redis');
+const logger = require('../utils/logger');
+
+const HINTS_FILE_PATH = path.join(__dirname, '..', '..', 'search_hints.json');
+const LEGACY_HINTS_KEY = 'search_hints';
+const MATCH_TYPES = ['exact', 'prefix', 'regex'];
+const CONTENT_TYPES = ['series', 'movie'];
+
+// SCHEMA:
+// hints -> HASH hintId -> hint JSON
+// A hint maps thread titles to a TMDb or IMDb ID:
+// { id, target: "tmdb:123" | "tt123", type: 'series' | 'movie', match: 'exact' | 'prefix' | 'regex', patterns: [...], year: "2024" | null, updatedAt }
+// type: hints only apply to threads and orphans of their type, since TMDb TV and movie IDs overlap.
+//   Hints stored before movies were crawled have none and count as series.
+// exact: the normalized title equals one of the patterns (aliases)
+// prefix: the normalized title starts with one of the patterns
+// regex: one of the patterns (case-insensitive) matches the normalized title
+// year: when set, the hint only applies to threads whose title carries that year
+// search_hints.json holds the same records as a JSON array and is the copy that survives a Redis purge.
+const HINTS_KEY = 'hints';
+
+function normalizePattern(pattern) {
+    return String(pattern).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function hintError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_HINT';
+    return error;
+}
+
+/**
+ * Validates hint input from the API, the admin forms or an import.
+ * @param {object} data - { target, type, match, patterns, year }. `patterns` may be an array
+ *   or a comma/newline separated string; `title` is accepted as a single pattern.
+ * @returns {object} The hint without `id` and `updatedAt`.
+ * @throws {Error} with `code` "INVALID_HINT".
+ */
+function sanitizeHint(data) {
+    if (!data || typeof data !== 'object') throw hintError('Hint must be an object.');
+
+    const target = String(data.target || '').trim();
+    if (!/^tmdb:\d+$/.test(target) && !/^tt\d+$/.test(target)) {
+        throw hintError('Target must be in the format "tmdb:12345" or "tt1234567".');
+    }
+    const type = data.type || 'series';
+    if (!CONTENT_TYPES.includes(type)) throw hintError(`Type must be one of: ${CONTENT_TYPES.join(', ')}.`);
+    const match = data.match || 'exact';
+    if (!MATCH_TYPES.includes(match)) throw hintError(`Match must be one of: ${MATCH_TYPES.join(', ')}.`);
+
+    let patterns = data.patterns !== undefined ? data.patterns : data.title;
+    if (typeof patterns === 'string') {
+        // Regexes may contain commas, so they are only split on newlines.
+        patterns = patterns.split(match === 'regex' ? /\r?\n/ : /[,\r\n]/);
+    }
+    if (!Array.isArray(patterns)) throw hintError('At least one pattern is required.');
+    patterns = patterns.map(pattern => match === 'regex' ? String(pattern).trim() : normalizePattern(pattern)).filter(Boolean);
+    patterns = [...new Set(patterns)];
+    if (patterns.length === 0) throw hintError('At least one pattern is required.');
+    if (match === 'regex') {
+        for (const pattern of patterns) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (error) {
+                throw hintError(`Invalid regex "${pattern}": ${error.message}`);
+            }
+        }
+    }
+
+    const year = data.year ? String(data.year).trim() : null;
+    if (year && !/^(19|20)\d{2}$/.test(year)) throw hintError('Year must be a four-digit year.');
+
+    return { target, type, match, patterns, year };
+}
+
+/**
+ * Builds a matcher over a set of hints. Exact hints win over prefix hints, which win over
+ * regex hints; a hint with a matching year wins over one without a year, and among prefix
+ * hints the longest prefix wins. Hints of another content type never match.
+ * @param {object[]} hints
+ * @returns {function(string, (string|null)=, string=): (object|null)} (normalizedTitle, year, type) => hint
+ */
+function compileHints(hints) {
+    const exact = new Map();
+    const prefixes = [];
+    const regexes = [];
+
+    for (const hint of hints) {
+        for (const pattern of hint.patterns) {
+            if (hint.match === 'exact') {
+                if (!exact.has(pattern)) exact.set(pattern, []);
+                exact.get(pattern).push(hint);
+            } else if (hint.match === 'prefix') {
+                prefixes.push({ pattern, hint });
+            } else {
+                try {
+                    regexes.push({ regex: new RegExp(pattern, 'i'), hint });
+                } catch (error) {
+                    logger.warn({ hintId: hint.id, pattern }, 'Skipping hint with an invalid regex.');
+                }
+            }
+        }
+    }
+    prefixes.sort((a, b) => b.pattern.length - a.pattern.length);
+
+    const best = (candidates, year, type) => {
+        const ofType = candidates.filter(hint => (hint.type || 'series') === type);
+        return ofType.find(hint => hint.year && hint.year === year) || ofType.find(hint => !hint.year) || null;
+    };
+
+    return (title, year = null, type = 'series') => {
+        if (!title) return null;
+        const normalized = normalizePattern(title);
+        return best(exact.get(normalized) || [], year, type)
+            || best(prefixes.filter(({ pattern }) => normalized.startsWith(pattern)).map(({ hint }) => hint), year, type)
+            || best(regexes.filter(({ regex }) => regex.test(normalized)).map(({ hint }) => hint), year, type);
+    };
+}
+
+/**
+ * @returns {Promise<object[]>} All hints, ordered by their first pattern.
+ */
+async function listHints() {
+    const stored = await redis.hgetall(HINTS_KEY);
+    return Object.values(stored)
+        .map(json => JSON.parse(json))
+        .sort((a, b) => a.patterns[0].localeCompare(b.patterns[0]));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getHintById(id) {
+    const json = await redis.hget(HINTS_KEY, id);
+    return json ? JSON.parse(json) : null;
+}
+
+/**
+ * Builds a matcher over the current hints, for jobs that resolve many titles at once.
+ * @returns {Promise<function(string, (string|null)=, string=): (object|null)>}
+ */
+async function loadHintMatcher() {
+    return compileHints(await listHints());
+}
+
+/**
+ * Resolves a thread title through the hints.
+ * @param {string} title - The normalized title.
+ * @param {string|null} [year] - The year from the thread title, if any.
+ * @param {string} [type] - 'series' or 'movie': the thread's content type.
+ * @returns {Promise<string|null>} The TMDb or IMDb ID ("tmdb:123" or "tt123").
+ */
+async function getHint(title, year = null, type = 'series') {
+    const hint = (await loadHintMatcher())(title, year, type);
+    return hint ? hint.target : null;
+}
+
+// File writes are chained so two admin edits never interleave. Each write dumps the
+// whole Redis hash to a temporary file and renames it over the old one.
+let fileWriteChain = Promise.resolve();
+
+function persistHints() {
+    const write = fileWriteChain.then(async () => {
+        const hints = await listHints();
+        const tempPath = `${HINTS_FILE_PATH}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(hints, null, 2), 'utf-8');
+        await fs.rename(tempPath, HINTS_FILE_PATH);
+    });
+    fileWriteChain = write.catch(err => logger.error({ err }, 'Failed to write search_hints.json'));
+    return write;
+}
+
+async function saveHint(id, data) {
+    const hint = { id, ...sanitizeHint(data), updatedAt: new Date().toISOString() };
+    await redis.hset(HINTS_KEY, id, JSON.stringify(hint));
+    return hint;
+}
+
+/**
+ * @param {object} data - See `sanitizeHint`.
+ * @returns {Promise<object>} The stored hint.
+ */
+async function createHint(data) {
+    const hint = await saveHint(crypto.randomBytes(6).toString('hex'), data);
+    await persistHints();
+    logger.info({ hint }, 'Created search hint.');
+    return hint;
+}
+
+/**
+ * @param {string} id
+ * @param {object} data - See `sanitizeHint`. Omitted fields keep their current value.
+ * @returns {Promise<object|null>} The updated hint, or null if it does not exist.
+ */
+async function updateHint(id, data) {
+    const existing = await getHintById(id);
+    if (!existing) return null;
+    const hint = await saveHint(id, { ...existing, ...data });
+    await persistHints();
+    logger.info({ hint }, 'Updated search hint.');
+    return hint;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<boolean>} false if the hint did not exist.
+ */
+async function deleteHint(id) {
+    const deleted = await redis.hdel(HINTS_KEY, id);
+    if (!deleted) return false;
+    await persistHints();
+    logger.info({ hintId: id }, 'Deleted search hint.');
+    return true;
+}
+
+/**
+ * Maps one exact title to an ID, reusing the exact hint with the same type and year that
+ * already lists the title. Used by the quick-add form, the orphan console and match reviews.
+ * @param {string} title - The normalized title.
+ * @param {string} target - The TMDb or IMDb ID (e.g., "tmdb:123" or "tt123").
+ * @param {string} [type] - 'series' or 'movie'.
+ * @param {string|null} [year] - Only apply the hint to titles with this year.
+ * @returns {Promise<boolean>}
+ */
+async function addHint(title, target, type = 'series', year = null) {
+    try {
+        const pattern = normalizePattern(title);
+        const existing = (await listHints()).find(hint => hint.match === 'exact' && (hint.year || null) === (year || null)
+            && (hint.type || 'series') === type && hint.patterns.includes(pattern));
+        if (existing) {
+            await updateHint(existing.id, { target });
+        } else {
+            await createHint({ target, type, match: 'exact', patterns: [pattern], year });
+        }
+        return true;
+    } catch (error) {
+        logger.error({ err: error, title, target, type }, 'Failed to add search hint.');
+        return false;
+    }
+}
+
+/**
+ * Converts the pre-CRUD file format ({ "normalized title": "tmdb:123" }) into hint input.
+ * @param {object|object[]} data
+ * @returns {object[]}
+ */
+function fromLegacyFormat(data) {
+    if (Array.isArray(data)) return data;
+    return Object.entries(data || {}).map(([title, target]) => ({ target, match: 'exact', patterns: [title] }));
+}
+
+/**
+ * Imports hints in the export format (or the legacy title -> ID map).
+ * Hints with an `id` that already exists are updated; the rest are created.
+ * @param {object|object[]} data
+ * @param {object} [options]
+ * @param {boolean} [options.replace] - Delete all existing hints first.
+ * @returns {Promise<{imported: number, errors: Array<{index: number, error: string}>}>}
+ */
+async function importHints(data, { replace = false } = {}) {
+    const records = fromLegacyFormat(data);
+    const valid = [];
+    const errors = [];
+    records.forEach((record, index) => {
+        try {
+            const id = record && typeof record.id === 'string' && /^[a-f0-9]{1,32}$/.test(record.id) ? record.id : crypto.randomBytes(6).toString('hex');
+            valid.push({ id, ...sanitizeHint(record), updatedAt: new Date().toISOString() });
+        } catch (error) {
+            errors.push({ index, error: error.message });
+        }
+    });
+
+    const pipeline = redis.pipeline();
+    if (replace) pipeline.del(HINTS_KEY);
+    valid.forEach(hint => pipeline.hset(HINTS_KEY, hint.id, JSON.stringify(hint)));
+    await pipeline.exec();
+    await persistHints();
+
+    logger.info({ imported: valid.length, rejected: errors.length, replace }, 'Imported search hints.');
+    return { imported: valid.length, errors };
+}
+
+/**
+ * @returns {Promise<object[]>} All hints, in the format `importHints` accepts.
+ */
+async function exportHints() {
+    return listHints();
+}
+
+/**
+ * Loads the hints file into Redis on startup. The file is authoritative: Redis is
+ * rebuilt from it, and files in the legacy format are converted in place. Without a
+ * file, the hints already in Redis (including legacy ones) are written out instead.
+ */
+async function loadHintsIntoRedis() {
+    let data;
+    try {
+        data = JSON.parse(await fs.readFile(HINTS_FILE_PATH, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            logger.warn('search_hints.json not found. Creating it from the hints in Redis.');
+            const legacyHints = await redis.hgetall(LEGACY_HINTS_KEY);
+            if (Object.keys(legacyHints).length > 0) {
+                await importHints(legacyHints);
+                await redis.del(LEGACY_HINTS_KEY);
+            } else {
+                await persistHints();
+            }
+        } else {
+            logger.error({ err: error }, 'Failed to load search_hints.json');
+        }
+        return;
+    }
+
+    if (!Array.isArray(data)) {
+        logger.info('Converting search_hints.json to the hint list format.');
+    }
+    const { imported, errors } = await importHints(data, { replace: true });
+    errors.forEach(({ index, error }) => logger.warn({ index, error }, 'Skipped an invalid hint in search_hints.json'));
+    await redis.del(LEGACY_HINTS_KEY);
+    logger.info(`Successfully loaded ${imported} hints into Redis.`);
+}
+
+module.exports = {
+    MATCH_TYPES,
+    CONTENT_TYPES,
+    compileHints,
+    loadHintMatcher,
+    getHint,
+    listHints,
+    getHintById,
+    createHint,
+    updateHint,
+    deleteHint,
+    addHint,
+    importHints,
+    exportHints,
+    loadHintsIntoRedis,
+};
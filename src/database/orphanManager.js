@@ -0,0 +1,222 @@
+// src/database/orphanManager.js
+
+const redis = require('./redis');
+const logger = require('../utils/logger');
+const dataManager = require('./dataManager');
+const { addHint } = require('./hints');
+const { getTvDetails, getMovieDetails } = require('../utils/tmdb');
+
+// SCHEMA:
+// unmatched_magnets -> LIST of orphan JSON (see dataManager.logUnmatchedMagnet)
+// unmatched_magnets:dismissed -> SET of JSON [normalizedTitle, reason] groups hidden from the orphan console
+const ORPHAN_KEY = 'unmatched_magnets';
+const DISMISSED_KEY = 'unmatched_magnets:dismissed';
+const EXPORT_COLUMNS = ['infoHash', 'displayName', 'threadTitle', 'normalizedTitle', 'type', 'source', 'sourceUrl', 'reason', 'attempts', 'loggedAt'];
+
+function groupId(normalizedTitle, reason) {
+    return JSON.stringify([normalizedTitle || null, reason || null]);
+}
+
+/**
+ * Reads the orphan list, keeping each raw entry so it can later be removed with LREM.
+ * @returns {Promise<Array<{raw: string, orphan: object}>>}
+ */
+async function readOrphans() {
+    const entries = await redis.lrange(ORPHAN_KEY, 0, -1);
+    return entries.map(raw => {
+        try {
+            return { raw, orphan: JSON.parse(raw) };
+        } catch (error) {
+            return null;
+        }
+    }).filter(Boolean);
+}
+
+/**
+ * Applies the console filters to a single orphan.
+ * @param {object} orphan
+ * @param {object} filters - { search, reason, type }
+ * @returns {boolean}
+ */
+function matchesFilters(orphan, { search, reason, type } = {}) {
+    if (reason && orphan.reason !== reason) return false;
+    if (type && (orphan.type || 'series') !== type) return false;
+    if (search) {
+        const needle = search.toLowerCase();
+        const haystack = [orphan.normalizedTitle, orphan.threadTitle, orphan.displayName].filter(Boolean).join(' ').toLowerCase();
+        if (!haystack.includes(needle)) return false;
+    }
+    return true;
+}
+
+/**
+ * Groups orphans by normalized title and failure reason, largest groups first.
+ * @param {object} [filters]
+ * @param {string} [filters.search] - Substring of the normalized title, thread title or magnet name.
+ * @param {string} [filters.reason] - Exact failure reason, e.g. "NO_METADATA_MATCH".
+ * @param {string} [filters.type] - 'series' or 'movie'.
+ * @param {boolean} [filters.includeDismissed] - Also return dismissed groups.
+ * @returns {Promise<{total: number, reasons: string[], groups: object[]}>}
+ */
+async function getOrphanGroups(filters = {}) {
+    const [orphans, dismissed] = await Promise.all([readOrphans(), redis.smembers(DISMISSED_KEY)]);
+    const dismissedIds = new Set(dismissed);
+    const reasons = new Set();
+    const groups = new Map();
+
+    for (const { orphan } of orphans) {
+        if (orphan.reason) reasons.add(orphan.reason);
+        if (!matchesFilters(orphan, filters)) continue;
+
+        const id = groupId(orphan.normalizedTitle, orphan.reason);
+        if (dismissedIds.has(id) && !filters.includeDismissed) continue;
+
+        if (!groups.has(id)) {
+            groups.set(id, {
+                normalizedTitle: orphan.normalizedTitle || null,
+                reason: orphan.reason || null,
+                types: [],
+                count: 0,
+                threads: [],
+                firstLoggedAt: orphan.loggedAt,
+                lastLoggedAt: orphan.loggedAt,
+                dismissed: dismissedIds.has(id),
+            });
+        }
+        const group = groups.get(id);
+        const type = orphan.type || 'series';
+        group.count++;
+        if (!group.types.includes(type)) group.types.push(type);
+        if (orphan.sourceUrl && !group.threads.some(thread => thread.url === orphan.sourceUrl)) {
+            group.threads.push({ url: orphan.sourceUrl, title: orphan.threadTitle });
+        }
+        if (orphan.loggedAt < group.firstLoggedAt) group.firstLoggedAt = orphan.loggedAt;
+        if (orphan.loggedAt > group.lastLoggedAt) group.lastLoggedAt = orphan.loggedAt;
+    }
+
+    const sorted = [...groups.values()].sort((a, b) => b.count - a.count || String(b.lastLoggedAt).localeCompare(String(a.lastLoggedAt)));
+    return { total: orphans.length, reasons: [...reasons].sort(), groups: sorted };
+}
+
+/**
+ * Hides a group from the orphan console, or shows it again. The orphans themselves are kept,
+ * so a later rescue can still pick them up.
+ * @param {string|null} normalizedTitle
+ * @param {string|null} reason
+ * @param {boolean} [dismissed]
+ */
+async function dismissOrphanGroup(normalizedTitle, reason, dismissed = true) {
+    const id = groupId(normalizedTitle, reason);
+    if (dismissed) {
+        await redis.sadd(DISMISSED_KEY, id);
+    } else {
+        await redis.srem(DISMISSED_KEY, id);
+    }
+    logger.info({ title: normalizedTitle, reason, dismissed }, 'Updated orphan group visibility.');
+}
+
+/**
+ * Deletes every orphan in a group.
+ * @param {string|null} normalizedTitle
+ * @param {string|null} reason
+ * @returns {Promise<number>} How many orphans were removed.
+ */
+async function deleteOrphanGroup(normalizedTitle, reason) {
+    const id = groupId(normalizedTitle, reason);
+    const members = (await readOrphans()).filter(({ orphan }) => groupId(orphan.normalizedTitle, orphan.reason) === id);
+
+    // LREM per entry instead of rewriting the list, so orphans logged meanwhile by the workers survive.
+    const pipeline = redis.pipeline();
+    members.forEach(({ raw }) => pipeline.lrem(ORPHAN_KEY, 1, raw));
+    pipeline.srem(DISMISSED_KEY, id);
+    await pipeline.exec();
+
+    logger.info({ title: normalizedTitle, reason, deleted: members.length }, 'Deleted orphan group.');
+    return members.length;
+}
+
+/**
+ * Deletes the orphans logged for these threads, e.g. before the threads are processed again.
+ * @param {string[]} threadUrls
+ * @returns {Promise<number>} How many orphans were removed.
+ */
+async function deleteThreadOrphans(threadUrls) {
+    const urls = new Set(threadUrls);
+    const members = (await readOrphans()).filter(({ orphan }) => urls.has(orphan.sourceUrl));
+    if (members.length === 0) return 0;
+
+    const pipeline = redis.pipeline();
+    members.forEach(({ raw }) => pipeline.lrem(ORPHAN_KEY, 1, raw));
+    await pipeline.exec();
+
+    logger.info({ threads: urls.size, deleted: members.length }, 'Deleted the orphans of reparsed threads.');
+    return members.length;
+}
+
+/**
+ * Maps every orphan with this title to a TMDb or IMDb ID: saves a search hint, registers the
+ * show in the ID maps and catalog, then rescues the group's magnets right away.
+ * @param {string} normalizedTitle
+ * @param {string} id - "tmdb:123" or "tt123".
+ * @param {string} [type] - 'series' or 'movie'. Defaults to the type the orphans were logged with.
+ * @returns {Promise<{rescued: number, remaining: number}>}
+ */
+async function assignOrphanGroup(normalizedTitle, id, type = null) {
+    if (!id.startsWith('tmdb:') && !id.startsWith('tt')) {
+        throw new Error('ID must be in the format "tmdb:12345" or "tt1234567".');
+    }
+    if (!type) {
+        const member = (await readOrphans()).find(({ orphan }) => orphan.normalizedTitle === normalizedTitle);
+        type = (member && member.orphan.type) || 'series';
+    }
+
+    const saved = await addHint(normalizedTitle, id, type);
+    if (!saved) throw new Error('Failed to save search hint.');
+
+    // The rescue resolves IMDb IDs through the ID map, so make sure the show is in it (and in the catalog).
+    const getDetails = type === 'movie' ? getMovieDetails : getTvDetails;
+    const details = await getDetails(id.startsWith('tmdb:') ? id.slice('tmdb:'.length) : id);
+    if (details) {
+        const releaseDate = details.first_air_date || details.release_date;
+        const year = releaseDate ? releaseDate.substring(0, 4) : null;
+        const poster = details.poster_path ? `https://image.tmdb.org/t/p/w500${details.poster_path}` : null;
+        await dataManager.findOrCreateShow(details.tmdbId, details.imdbId, normalizedTitle, null, type, { matchedBy: 'manual' });
+        await dataManager.updateCatalog(details.imdbId, details.name, poster, year, details.genres, type);
+    } else {
+        logger.warn({ title: normalizedTitle, id, type }, 'Could not fetch details for the assigned ID. Rescuing with the hint only.');
+    }
+
+    const result = await dataManager.rescueOrphanedMagnets({ normalizedTitle });
+    logger.info({ title: normalizedTitle, id, type, ...result }, 'Assigned an ID to an orphan group.');
+    return result;
+}
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports the orphans matching the console filters.
+ * @param {object} [filters] - { search, reason, type }
+ * @param {string} [format] - 'json' or 'csv'.
+ * @returns {Promise<string>}
+ */
+async function exportOrphans(filters = {}, format = 'json') {
+    const orphans = (await readOrphans()).map(({ orphan }) => orphan).filter(orphan => matchesFilters(orphan, filters));
+    if (format === 'csv') {
+        const rows = orphans.map(orphan => EXPORT_COLUMNS.map(column => csvField(orphan[column])).join(','));
+        return [EXPORT_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+    }
+    return JSON.stringify(orphans, null, 2);
+}
+
+module.exports = {
+    getOrphanGroups,
+    dismissOrphanGroup,
+    deleteOrphanGroup,
+    deleteThreadOrphans,
+    assignOrphanGroup,
+    exportOrphans,
+};
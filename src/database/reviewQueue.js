@@ -0,0 +1,217 @@
+// src/database/reviewQueue.js
+
+const crypto = require('crypto');
+const redis = require('./redis');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const dataManager = require('./dataManager');
+const { addHint } = require('./hints');
+const { parseTitle } = require('../parser/titleParser');
+const { getTvDetails, getMovieDetails } = require('../utils/tmdb');
+const { summarizeCandidate } = require('../utils/metadataMatch');
+
+// SCHEMA:
+// review_queue -> HASH itemId -> held thread JSON:
+// {
+//   id, threadUrl, threadTitle, baseTitle, year, type, source,
+//   magnets: [...],                  // published once an admin picks the show
+//   candidates: [{ id, name, year, score, poster, overview }], // best first, see tmdb.searchTmdb
+//   heldAt
+// }
+// review_rejected -> SET of "{type}:{year}:{baseTitle}" (year empty when unknown): titles an admin said
+//   none of the candidates fit. Their threads go straight to the orphans instead of being held again.
+const REVIEW_KEY = 'review_queue';
+const REJECTED_KEY = 'review_rejected';
+
+function reviewError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_REVIEW';
+    return error;
+}
+
+function itemId(threadUrl) {
+    return crypto.createHash('sha1').update(threadUrl).digest('hex').slice(0, 16);
+}
+
+function titleKey(baseTitle, year, type) {
+    return `${type}:${year || ''}:${baseTitle}`;
+}
+
+/**
+ * @param {string} baseTitle
+ * @param {string|null} year
+ * @param {string} type - 'series' or 'movie'.
+ * @returns {Promise<boolean>} true if a review of this title was rejected.
+ */
+async function isRejected(baseTitle, year, type) {
+    return (await redis.sismember(REJECTED_KEY, titleKey(baseTitle, year, type))) === 1;
+}
+
+/**
+ * Holds an ambiguously matched thread until an admin picks its show. Holding the same
+ * thread again replaces the earlier item, so it always lists the thread's current magnets.
+ * @param {object} item - { threadUrl, threadTitle, baseTitle, year, type, source, magnets, candidates }
+ * @returns {Promise<string>} The item ID.
+ */
+async function holdThread(item) {
+    const id = itemId(item.threadUrl);
+    await redis.hset(REVIEW_KEY, id, JSON.stringify({ id, ...item, heldAt: new Date().toISOString() }));
+    logger.info({ threadUrl: item.threadUrl, title: item.baseTitle, candidates: item.candidates.length }, 'Held thread for match review.');
+    return id;
+}
+
+/**
+ * Drops the review item of a thread that has since been matched another way, e.g. by a new hint.
+ * @param {string} threadUrl
+ */
+async function discardThread(threadUrl) {
+    await redis.hdel(REVIEW_KEY, itemId(threadUrl));
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getReview(id) {
+    const json = await redis.hget(REVIEW_KEY, id);
+    return json ? JSON.parse(json) : null;
+}
+
+/**
+ * @param {object} [filters]
+ * @param {string} [filters.thread] - Part of the thread URL or title.
+ * @param {string} [filters.type] - 'series' or 'movie'.
+ * @returns {Promise<object[]>} Held threads, newest first.
+ */
+async function listReviews({ thread = null, type = null } = {}) {
+    const stored = await redis.hvals(REVIEW_KEY);
+    const needle = thread ? thread.toLowerCase() : null;
+    return stored
+        .map(json => JSON.parse(json))
+        .filter(item => !type || item.type === type)
+        .filter(item => !needle || item.threadUrl.toLowerCase().includes(needle) || (item.threadTitle || '').toLowerCase().includes(needle))
+        .sort((a, b) => b.heldAt.localeCompare(a.heldAt));
+}
+
+/**
+ * Stores the magnets of a held thread under the chosen show, as the worker would have.
+ * @param {object} item
+ * @param {string|number} tmdbId
+ * @returns {Promise<number>} How many streams were stored.
+ */
+async function publishItem(item, tmdbId) {
+    const seenStreamIds = [];
+    for (const magnetUri of item.magnets) {
+        const parsedStream = parseTitle(magnetUri);
+        if (parsedStream) {
+            const stored = await dataManager.addStream(tmdbId, { ...parsedStream, source: item.source, threadUrl: item.threadUrl }, item.type);
+            if (stored) seenStreamIds.push(stored.streamId);
+        } else {
+            await dataManager.logUnmatchedMagnet(magnetUri, item.threadTitle, item.threadUrl, 'MAGNET_PARSE_FAILED', item.baseTitle, item.type, item.source);
+        }
+    }
+    await dataManager.reconcileThreadStreams(item.threadUrl, item.type, tmdbId, seenStreamIds);
+    return seenStreamIds.length;
+}
+
+/**
+ * Resolves a held thread: saves a search hint for its title (with its year, if known), registers
+ * the show and publishes the streams of every held thread with the same title, year and type,
+ * since the hint now covers them too.
+ * @param {string} id - The review item ID.
+ * @param {string|number} choice - A candidate's TMDb ID, "tmdb:123" or "tt123".
+ * @returns {Promise<{tmdbId: number, imdbId: string, threads: number, streams: number}|null>} null if the item is gone.
+ * @throws {Error} with `code` "INVALID_REVIEW" for an unusable ID.
+ */
+async function approveReview(id, choice) {
+    const item = await getReview(id);
+    if (!item) return null;
+
+    const text = String(choice || '').trim();
+    const target = /^\d+$/.test(text) ? `tmdb:${text}` : text;
+    if (!/^tmdb:\d+$/.test(target) && !/^tt\d+$/.test(target)) {
+        throw reviewError('ID must be a TMDb ID, "tmdb:12345" or "tt1234567".');
+    }
+    const getDetails = item.type === 'movie' ? getMovieDetails : getTvDetails;
+    const details = await getDetails(target.startsWith('tmdb:') ? target.slice('tmdb:'.length) : target);
+    if (!details) throw reviewError(`TMDb has no ${item.type} with the ID ${target}, or it has no IMDb ID.`);
+
+    if (!await addHint(item.baseTitle, target, item.type, item.year)) throw new Error('Failed to save search hint.');
+    const chosen = item.candidates.find(candidate => String(candidate.id) === String(details.tmdbId));
+    await dataManager.findOrCreateShow(details.tmdbId, details.imdbId, item.baseTitle, item.year, item.type, {
+        matchedBy: 'review',
+        score: chosen ? chosen.score : null,
+        runnersUp: item.candidates.filter(candidate => candidate !== chosen).map(summarizeCandidate),
+    });
+    const releaseDate = details.first_air_date || details.release_date;
+    const poster = details.poster_path ? `https://image.tmdb.org/t/p/w500${details.poster_path}` : null;
+    await dataManager.updateCatalog(details.imdbId, details.name, poster, releaseDate ? releaseDate.substring(0, 4) : null, details.genres, item.type);
+
+    const items = (await listReviews({ type: item.type }))
+        .filter(other => other.baseTitle === item.baseTitle && (other.year || null) === (item.year || null));
+    let streams = 0;
+    for (const held of items) {
+        streams += await publishItem(held, details.tmdbId);
+        await redis.hdel(REVIEW_KEY, held.id);
+    }
+    await redis.srem(REJECTED_KEY, titleKey(item.baseTitle, item.year, item.type));
+    logger.info({ title: item.baseTitle, target, threads: items.length, streams }, 'Approved match review.');
+    return { tmdbId: details.tmdbId, imdbId: details.imdbId, threads: items.length, streams };
+}
+
+/**
+ * Gives up on a held thread: its magnets become orphans, where a hint can still rescue them.
+ * The title is remembered, so revisits of its threads are not held for review again.
+ * @param {string} id
+ * @returns {Promise<number|null>} How many magnets were orphaned, or null if the item is gone.
+ */
+async function rejectReview(id) {
+    const item = await getReview(id);
+    if (!item) return null;
+    for (const magnetUri of item.magnets) {
+        await dataManager.logUnmatchedMagnet(magnetUri, item.threadTitle, item.threadUrl, 'REVIEW_REJECTED', item.baseTitle, item.type, item.source);
+    }
+    await redis.pipeline()
+        .sadd(REJECTED_KEY, titleKey(item.baseTitle, item.year, item.type))
+        .hdel(REVIEW_KEY, id)
+        .exec();
+    logger.info({ title: item.baseTitle, threadUrl: item.threadUrl, magnets: item.magnets.length }, 'Rejected match review. Magnets moved to orphans.');
+    return item.magnets.length;
+}
+
+/**
+ * Moves held threads from one forum domain to another, so a revisit on the new domain replaces
+ * the item instead of holding the thread twice. An item already held under the new URL wins.
+ * @param {string} fromOrigin - e.g. "https://www.1tamilblasters.fi"
+ * @param {string} toOrigin
+ * @returns {Promise<number>} How many items were moved.
+ */
+async function moveDomain(fromOrigin, toOrigin) {
+    let moved = 0;
+    for (const json of await redis.hvals(REVIEW_KEY)) {
+        const item = JSON.parse(json);
+        if (!item.threadUrl.startsWith(`${fromOrigin}/`)) continue;
+        const threadUrl = `${toOrigin}${item.threadUrl.slice(fromOrigin.length)}`;
+        const id = itemId(threadUrl);
+        await redis.pipeline()
+            .hsetnx(REVIEW_KEY, id, JSON.stringify({ ...item, id, threadUrl }))
+            .hdel(REVIEW_KEY, item.id)
+            .exec();
+        moved++;
+    }
+    if (moved > 0) logger.info({ from: fromOrigin, to: toOrigin, moved }, 'Moved held threads to a new domain.');
+    return moved;
+}
+
+metrics.registerGauge('review_queue_items', 'Threads held for a match review.', async () => [[{}, await redis.hlen(REVIEW_KEY)]]);
+
+module.exports = {
+    holdThread,
+    discardThread,
+    isRejected,
+    getReview,
+    listReviews,
+    approveReview,
+    rejectReview,
+    moveDomain,
+};
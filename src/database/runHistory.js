@@ -0,0 +1,118 @@
+// src/database/runHistory.js
+
+const crypto = require('crypto');
+const redis = require('./redis');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+
+// SCHEMA:
+// runs:history -> LIST of run report JSON, newest first, trimmed to RUN_HISTORY_LIMIT
+// runs:active:{runId} -> HASH counter -> count, for a run in progress
+// runs:active:{runId}:errors -> LIST of error JSON ({ at, message, url }), for a run in progress
+// Counters live in Redis rather than on the run object because worker threads report
+// into them too: crawl tasks carry their run's id (see crawler.js and threadProcessor.js).
+const HISTORY_KEY = 'runs:history';
+const ACTIVE_PREFIX = 'runs:active:';
+const ACTIVE_TTL = 60 * 60 * 24 * 7; // Left behind by runs a restart interrupted
+const MAX_ERRORS = 50; // Errors stored per run; `errorCount` keeps the full count
+
+const RUN_KINDS = ['crawl', 'revisit', 'rescue', 'reparse'];
+const COUNTERS = ['pagesCrawled', 'threadsQueued', 'threadsProcessed', 'newShows', 'newStreams', 'orphansAdded', 'orphansRescued', 'heldForReview', 'errorCount'];
+
+/**
+ * Adds to a counter of a run in progress. Does nothing without a run id, so tasks queued
+ * outside a recorded run (e.g. a show rebuild) need no special case.
+ * @param {string|null} runId
+ * @param {string} counter - One of COUNTERS.
+ * @param {number} [by]
+ */
+async function countRun(runId, counter, by = 1) {
+    if (!runId || by === 0) return;
+    const key = `${ACTIVE_PREFIX}${runId}`;
+    await redis.pipeline().hincrby(key, counter, by).expire(key, ACTIVE_TTL).exec();
+}
+
+/**
+ * Records an error against a run in progress.
+ * @param {string|null} runId
+ * @param {string} message
+ * @param {string} [url] - The page or thread that failed.
+ */
+async function recordRunError(runId, message, url = null) {
+    if (!runId) return;
+    const errorsKey = `${ACTIVE_PREFIX}${runId}:errors`;
+    await redis.pipeline()
+        .rpush(errorsKey, JSON.stringify({ at: new Date().toISOString(), message, url }))
+        .ltrim(errorsKey, 0, MAX_ERRORS - 1)
+        .expire(errorsKey, ACTIVE_TTL)
+        .exec();
+    await countRun(runId, 'errorCount');
+}
+
+/**
+ * Collects a finished run's counters and errors into its report and adds it to the history.
+ * @param {object} run
+ * @param {string} status - 'completed' or 'failed'.
+ * @returns {Promise<object>} The report.
+ */
+async function saveReport(run, status) {
+    const key = `${ACTIVE_PREFIX}${run.id}`;
+    const [[, counts], [, errors]] = await redis.pipeline().hgetall(key).lrange(`${key}:errors`, 0, -1).exec();
+    const finishedAt = new Date();
+    const report = {
+        ...run,
+        status,
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - new Date(run.startedAt),
+        ...Object.fromEntries(COUNTERS.map(counter => [counter, parseInt(counts[counter], 10) || 0])),
+        errors: errors.map(json => JSON.parse(json)),
+    };
+    await redis.pipeline()
+        .lpush(HISTORY_KEY, JSON.stringify(report))
+        .ltrim(HISTORY_KEY, 0, config.RUN_HISTORY_LIMIT - 1)
+        .del(key, `${key}:errors`)
+        .exec();
+    return report;
+}
+
+/**
+ * Runs `job` as a recorded run. The job gets the run object: its `id` is what `countRun` and
+ * `recordRunError` take, and fields it sets (e.g. `domains`) end up in the report. A job that
+ * throws is recorded as failed and the error is rethrown.
+ * @param {string} kind - One of RUN_KINDS.
+ * @param {object} details - Stored with the report, e.g. the crawl mode.
+ * @param {function(object): Promise<*>} job
+ * @returns {Promise<*>} What `job` resolved to.
+ */
+async function recordRun(kind, details, job) {
+    const run = { id: `${kind}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`, kind, ...details, startedAt: new Date().toISOString() };
+    let status = 'completed';
+    try {
+        return await job(run);
+    } catch (error) {
+        status = 'failed';
+        await recordRunError(run.id, error.message).catch(() => {});
+        throw error;
+    } finally {
+        try {
+            const report = await saveReport(run, status);
+            logger.info({ runId: run.id, kind, status, durationMs: report.durationMs }, 'Recorded run report.');
+        } catch (err) {
+            logger.error({ err, runId: run.id }, 'Failed to record run report.');
+        }
+    }
+}
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.kind] - Only runs of this kind.
+ * @param {number} [options.limit]
+ * @returns {Promise<object[]>} Run reports, newest first.
+ */
+async function listRuns({ kind = null, limit = 20 } = {}) {
+    const stored = await redis.lrange(HISTORY_KEY, 0, -1);
+    const runs = stored.map(json => JSON.parse(json)).filter(run => !kind || run.kind === kind);
+    return runs.slice(0, limit);
+}
+
+module.exports = { RUN_KINDS, countRun, recordRunError, recordRun, listRuns };
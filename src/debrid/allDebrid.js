@@ -0,0 +1,79 @@
+// src/debrid/allDebrid.js
+
+const axios = require('axios');
+const { debridError, requestError, pickFile } = require('./providerUtils');
+
+const LABEL = 'AllDebrid';
+const AGENT = 'tamilblasters-addon'; // AllDebrid requires every request to name its app
+const STATUS_READY = 4;
+
+/**
+ * Client for the AllDebrid API v4 (https://docs.alldebrid.com/). AllDebrid no longer says which
+ * magnets it has cached, so only the account's own ready magnets count as cached; uploading
+ * any other magnet starts its download.
+ * @param {object} options
+ * @param {string} options.baseUrl - e.g. "https://api.alldebrid.com/v4"; tests point it at a local server.
+ * @param {number} options.timeout - Milliseconds per request.
+ * @returns {object} The provider client (see debrid/index.js).
+ */
+function createAllDebridClient({ baseUrl, timeout }) {
+    const http = axios.create({ baseURL: baseUrl, timeout });
+
+    // AllDebrid answers 200 with { status: 'error', error: { code, message } } for most failures.
+    async function call(apiKey, url, params) {
+        let data;
+        try {
+            ({ data } = await http.get(url, { params: { agent: AGENT, apikey: apiKey, ...params } }));
+        } catch (error) {
+            throw requestError(LABEL, error);
+        }
+        if (data.status !== 'success') {
+            const { code = '', message = 'unknown error' } = data.error || {};
+            throw debridError(`${LABEL}: ${message}`, code.startsWith('AUTH_') ? 'DEBRID_AUTH' : 'DEBRID_FAILED');
+        }
+        return data.data;
+    }
+
+    return {
+        name: 'alldebrid',
+        label: 'AD',
+        canDownload: true,
+
+        /**
+         * @param {string} apiKey
+         * @param {string[]} infoHashes - Lower case.
+         * @returns {Promise<Set<string>>} The hashes of the account's magnets that are ready to play.
+         */
+        async checkCached(apiKey, infoHashes) {
+            const { magnets } = await call(apiKey, '/magnet/status', {});
+            const ready = new Set((magnets || [])
+                .filter(magnet => magnet.statusCode === STATUS_READY)
+                .map(magnet => String(magnet.hash).toLowerCase()));
+            return new Set(infoHashes.filter(hash => ready.has(hash)));
+        },
+
+        /**
+         * Uploads the magnet (AllDebrid answers with the account's existing magnet if it has
+         * one) and unlocks the link of the wanted file.
+         * @param {string} apiKey
+         * @param {object} torrent - { magnet, fileIdx, filename }
+         * @returns {Promise<string>} The download URL.
+         */
+        async resolve(apiKey, { magnet, fileIdx, filename }) {
+            const { magnets: [uploaded] } = await call(apiKey, '/magnet/upload', { magnets: [magnet] });
+            if (!uploaded || uploaded.error) throw debridError(`${LABEL}: ${uploaded && uploaded.error ? uploaded.error.message : 'upload failed'}`);
+            const { magnets: status } = await call(apiKey, '/magnet/status', { id: uploaded.id });
+            if (status.statusCode !== STATUS_READY) {
+                throw debridError(`${LABEL} is still downloading this torrent (${status.status}).`, 'DEBRID_NOT_READY');
+            }
+            // Links are not in torrent order, so only the name can single out a pack's file.
+            const files = (status.links || []).map(link => ({ path: link.filename, size: link.size, link: link.link }));
+            const file = pickFile(files, { fileIdx: null, filename });
+            if (!file) throw debridError(`${LABEL}: the torrent has no files.`);
+            const { link } = await call(apiKey, '/link/unlock', { link: file.link });
+            return link;
+        },
+    };
+}
+
+module.exports = { createAllDebridClient };
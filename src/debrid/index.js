@@ -0,0 +1,150 @@
+// src/debrid/index.js
+
+const crypto = require('crypto');
+const redis = require('../database/redis');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
+const dataManager = require('../database/dataManager');
+const { getTrackers } = require('../utils/trackers');
+const { DEBRID_PROVIDERS } = require('../utils/userConfig');
+const { debridError } = require('./providerUtils');
+const { createRealDebridClient } = require('./realDebrid');
+const { createAllDebridClient } = require('./allDebrid');
+const { createPremiumizeClient } = require('./premiumize');
+
+// SCHEMA:
+// debrid:cached:{provider}:{sha1 of the API key}:{infoHash} -> '1' or '0': whether the torrent plays right away (CACHE)
+// debrid:link:{provider}:{sha1 of the API key}:{infoHash}:{fileIdx} -> the resolved download URL (CACHE)
+// Both are per account: Real-Debrid and AllDebrid only report the torrents in the account.
+const CACHED_PREFIX = 'debrid:cached:';
+const LINK_PREFIX = 'debrid:link:';
+const CACHED_TTL = 60 * 60;
+const UNCACHED_TTL = 10 * 60; // Checked again sooner: the torrent may be added meanwhile
+const LINK_TTL = 60 * 60; // Players request the URL again when seeking or resuming
+
+// Provider name (as stored in the user config) -> client: { name, label, canDownload, checkCached(apiKey, infoHashes),
+// resolve(apiKey, { infoHash, fileIdx, filename, magnet }) }. `canDownload` clients start downloading a torrent
+// they do not have when asked to resolve it. Clients throw errors from providerUtils.debridError.
+const providers = new Map();
+
+/**
+ * Adds a provider client, or replaces the one with the same name (e.g. with a mock in tests).
+ * @param {object} client
+ */
+function registerProvider(client) {
+    providers.set(client.name, client);
+}
+
+function getProvider(name) {
+    return providers.get(name) || null;
+}
+
+const timeout = config.DEBRID_TIMEOUT * 1000;
+registerProvider(createRealDebridClient({ baseUrl: config.REALDEBRID_API_URL, timeout }));
+registerProvider(createAllDebridClient({ baseUrl: config.ALLDEBRID_API_URL, timeout }));
+registerProvider(createPremiumizeClient({ baseUrl: config.PREMIUMIZE_API_URL, timeout }));
+
+function accountHash(apiKey) {
+    return crypto.createHash('sha1').update(apiKey).digest('hex');
+}
+
+/**
+ * @param {object} provider
+ * @param {string} apiKey
+ * @param {string[]} infoHashes - Lower case, unique.
+ * @returns {Promise<Set<string>>} The cached ones, from Redis where known and the provider otherwise.
+ */
+async function getCachedHashes(provider, apiKey, infoHashes) {
+    const prefix = `${CACHED_PREFIX}${provider.name}:${accountHash(apiKey)}:`;
+    const known = await redis.mget(infoHashes.map(hash => `${prefix}${hash}`));
+    const cached = new Set(infoHashes.filter((hash, i) => known[i] === '1'));
+    const unknown = infoHashes.filter((hash, i) => known[i] === null);
+    if (unknown.length === 0) return cached;
+
+    const found = await provider.checkCached(apiKey, unknown);
+    const pipeline = redis.pipeline();
+    for (const hash of unknown) {
+        if (found.has(hash)) cached.add(hash);
+        pipeline.set(`${prefix}${hash}`, found.has(hash) ? '1' : '0', 'EX', found.has(hash) ? CACHED_TTL : UNCACHED_TTL);
+    }
+    await pipeline.exec();
+    return cached;
+}
+
+/**
+ * Turns streams into HTTP streams played through `/resolve` on the user's debrid service.
+ * Cached ones are marked ⚡. Uncached ones are marked ⬇ on services that start downloading
+ * a torrent when it is played, and stay P2P on the others. A failed availability check is
+ * shown as a notice at the top of the P2P streams rather than failing the response.
+ * @param {object[]} streams - Stremio streams from dataManager.
+ * @param {object} userConfig - With `debridProvider` and `debridApiKey` (see utils/userConfig).
+ * @param {string} addonBase - The configured addon URL, e.g. "https://host/{config}".
+ * @returns {Promise<object[]>}
+ */
+async function applyDebrid(streams, userConfig, addonBase) {
+    const provider = getProvider(userConfig.debridProvider);
+    if (!provider || !userConfig.debridApiKey || streams.length === 0) return streams;
+    const serviceName = DEBRID_PROVIDERS[provider.name] || provider.name;
+
+    let cached;
+    try {
+        cached = await getCachedHashes(provider, userConfig.debridApiKey, [...new Set(streams.map(stream => stream.infoHash.toLowerCase()))]);
+        metrics.debridChecks.inc({ provider: provider.name, outcome: 'success' });
+    } catch (error) {
+        metrics.debridChecks.inc({ provider: provider.name, outcome: error.code || 'error' });
+        logger.error({ provider: provider.name, code: error.code, err: error.message }, 'Debrid availability check failed. Returning P2P streams.');
+        const notice = {
+            name: `${provider.label}⚠️`,
+            description: `${serviceName} could not be checked${error.code === 'DEBRID_AUTH' ? ': it refused the API key' : ''}. Showing P2P streams.\n${error.message}`,
+            externalUrl: `${addonBase}/configure`,
+        };
+        return [notice, ...streams];
+    }
+
+    return streams.map(stream => {
+        const infoHash = stream.infoHash.toLowerCase();
+        const isCached = cached.has(infoHash);
+        if (!isCached && !provider.canDownload) return stream;
+        const fileIdx = stream.fileIdx === undefined ? 'auto' : stream.fileIdx;
+        return {
+            name: `${provider.label}${isCached ? '⚡' : '⬇'} ${stream.name}`,
+            description: isCached ? stream.description : `${stream.description}\n⏳ Not in your ${serviceName} account yet: playing starts the download.`,
+            url: `${addonBase}/resolve/${provider.name}/${infoHash}/${fileIdx}`,
+            behaviorHints: stream.behaviorHints,
+        };
+    });
+}
+
+/**
+ * Gets a playable URL for a torrent file from the user's debrid service.
+ * @param {string} providerName
+ * @param {string} apiKey
+ * @param {string} infoHash
+ * @param {number|null} fileIdx - null picks the largest video file.
+ * @returns {Promise<string>}
+ * @throws {Error} with `code` DEBRID_AUTH, DEBRID_NOT_READY or DEBRID_FAILED.
+ */
+async function resolveLink(providerName, apiKey, infoHash, fileIdx) {
+    const provider = getProvider(providerName);
+    if (!provider) throw debridError(`Unknown debrid provider: ${providerName}`);
+    const hash = infoHash.toLowerCase();
+    const linkKey = `${LINK_PREFIX}${provider.name}:${accountHash(apiKey)}:${hash}:${fileIdx === null ? 'auto' : fileIdx}`;
+    const stored = await redis.get(linkKey);
+    if (stored) return stored;
+
+    const packFile = fileIdx === null ? null : await dataManager.getTorrentFile(hash, fileIdx);
+    const magnet = `magnet:?xt=urn:btih:${hash}${getTrackers().map(tracker => `&tr=${encodeURIComponent(tracker)}`).join('')}`;
+    try {
+        const url = await provider.resolve(apiKey, { infoHash: hash, fileIdx, filename: packFile ? packFile.filename : null, magnet });
+        if (!url) throw debridError(`${provider.name} returned no link.`);
+        await redis.set(linkKey, url, 'EX', LINK_TTL);
+        metrics.debridResolves.inc({ provider: provider.name, outcome: 'success' });
+        return url;
+    } catch (error) {
+        metrics.debridResolves.inc({ provider: provider.name, outcome: error.code || 'error' });
+        throw error;
+    }
+}
+
+module.exports = { registerProvider, getProvider, applyDebrid, resolveLink };
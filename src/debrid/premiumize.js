@@ -0,0 +1,72 @@
+// src/debrid/premiumize.js
+
+const axios = require('axios');
+const { debridError, requestError, pickFile } = require('./providerUtils');
+
+const LABEL = 'Premiumize';
+const CHECK_BATCH = 40; // Hashes per cache check; longer URLs get refused
+
+/**
+ * Client for the Premiumize API (https://app.swaggerhub.com/apis-docs/premiumize.me/api).
+ * @param {object} options
+ * @param {string} options.baseUrl - e.g. "https://www.premiumize.me/api"; tests point it at a local server.
+ * @param {number} options.timeout - Milliseconds per request.
+ * @returns {object} The provider client (see debrid/index.js).
+ */
+function createPremiumizeClient({ baseUrl, timeout }) {
+    const http = axios.create({ baseURL: baseUrl, timeout });
+
+    // Premiumize answers 200 with { status: 'error', message } for most failures.
+    async function call(apiKey, request) {
+        let data;
+        try {
+            ({ data } = await http.request({ ...request, params: { apikey: apiKey, ...request.params } }));
+        } catch (error) {
+            throw requestError(LABEL, error);
+        }
+        if (data.status !== 'success') {
+            const message = data.message || 'unknown error';
+            throw debridError(`${LABEL}: ${message}`, /logged in|api ?key/i.test(message) ? 'DEBRID_AUTH' : 'DEBRID_FAILED');
+        }
+        return data;
+    }
+
+    return {
+        name: 'premiumize',
+        label: 'PM',
+        canDownload: false, // directdl only serves cached torrents
+
+        /**
+         * @param {string} apiKey
+         * @param {string[]} infoHashes - Lower case.
+         * @returns {Promise<Set<string>>} The hashes Premiumize has cached.
+         */
+        async checkCached(apiKey, infoHashes) {
+            const cached = new Set();
+            for (let i = 0; i < infoHashes.length; i += CHECK_BATCH) {
+                const batch = infoHashes.slice(i, i + CHECK_BATCH);
+                const { response } = await call(apiKey, { method: 'get', url: '/cache/check', params: { items: batch } });
+                batch.filter((hash, j) => response[j] === true).forEach(hash => cached.add(hash));
+            }
+            return cached;
+        },
+
+        /**
+         * Asks for the direct links of a cached torrent and picks the wanted file.
+         * @param {string} apiKey
+         * @param {object} torrent - { magnet, fileIdx, filename }
+         * @returns {Promise<string>} The download URL.
+         */
+        async resolve(apiKey, { magnet, filename }) {
+            const { content } = await call(apiKey, { method: 'post', url: '/transfer/directdl', data: new URLSearchParams({ src: magnet }) });
+            if (!content || content.length === 0) {
+                throw debridError(`${LABEL} has not cached this torrent yet.`, 'DEBRID_NOT_READY');
+            }
+            const file = pickFile(content, { fileIdx: null, filename });
+            if (!file) throw debridError(`${LABEL}: the torrent has no files.`);
+            return file.stream_link || file.link;
+        },
+    };
+}
+
+module.exports = { createPremiumizeClient };
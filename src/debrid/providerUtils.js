@@ -0,0 +1,56 @@
+// src/debrid/providerUtils.js
+
+const { isVideoFile } = require('../parser/torrentParser');
+
+/**
+ * @param {string} message
+ * @param {string} code - DEBRID_AUTH (key refused), DEBRID_NOT_READY (not downloaded yet) or DEBRID_FAILED.
+ * @returns {Error}
+ */
+function debridError(message, code = 'DEBRID_FAILED') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Turns a failed provider request into a debrid error.
+ * @param {string} label - Provider name for the message, e.g. "Real-Debrid".
+ * @param {Error} error - An axios error.
+ * @param {string} [detail] - The provider's own error text, if it sent one.
+ * @param {string} [code] - Overrides the code read from the HTTP status (401/403 mean the key was refused).
+ * @returns {Error}
+ */
+function requestError(label, error, detail = null, code = null) {
+    if (error.code && error.code.startsWith('DEBRID_')) return error;
+    const status = error.response && error.response.status;
+    return debridError(`${label}: ${detail || error.message}`, code || (status === 401 || status === 403 ? 'DEBRID_AUTH' : 'DEBRID_FAILED'));
+}
+
+function basename(path) {
+    return String(path || '').split('/').pop();
+}
+
+/**
+ * Picks the file to play from a provider's file list: the one with the pack file's name, else
+ * the one at the torrent file index (when the provider reports indexes), else the largest video.
+ * @param {Array<{path: string, size: number, index?: number}>} files
+ * @param {object} want
+ * @param {number|null} want.fileIdx - Index of the file in the torrent, as Stremio counts them.
+ * @param {string|null} want.filename - Its name, from the torrent index (see dataManager.addTorrentFiles).
+ * @returns {object|null}
+ */
+function pickFile(files, { fileIdx = null, filename = null }) {
+    if (filename) {
+        const named = files.find(file => basename(file.path) === filename);
+        if (named) return named;
+    }
+    if (fileIdx !== null) {
+        const indexed = files.find(file => file.index === fileIdx);
+        if (indexed) return indexed;
+    }
+    const videos = files.filter(file => isVideoFile(file.path));
+    return (videos.length > 0 ? videos : files).reduce((largest, file) => (!largest || file.size > largest.size ? file : largest), null);
+}
+
+module.exports = { debridError, requestError, pickFile };
@@ -0,0 +1,117 @@
+// src/debrid/realDebrid.js
+
+const axios = require('axios');
+const { debridError, requestError, pickFile } = require('./providerUtils');
+
+const LABEL = 'Real-Debrid';
+const TORRENT_LIST_LIMIT = 500; // Newest torrents of the account read per availability check
+
+/**
+ * Client for the Real-Debrid REST API (https://api.real-debrid.com/). Real-Debrid no longer
+ * says which torrents it has cached, so only the account's own downloaded torrents count as
+ * cached; adding any other torrent starts its download.
+ * @param {object} options
+ * @param {string} options.baseUrl - e.g. "https://api.real-debrid.com/rest/1.0"; tests point it at a local server.
+ * @param {number} options.timeout - Milliseconds per request.
+ * @returns {object} The provider client (see debrid/index.js).
+ */
+function createRealDebridClient({ baseUrl, timeout }) {
+    const http = axios.create({ baseURL: baseUrl, timeout });
+
+    async function call(apiKey, request) {
+        try {
+            const { data } = await http.request({ ...request, headers: { Authorization: `Bearer ${apiKey}` } });
+            return data;
+        } catch (error) {
+            const body = (error.response && error.response.data) || {};
+            // A disabled endpoint also answers 403, but the key is fine.
+            throw requestError(LABEL, error, body.error, body.error === 'disabled_endpoint' ? 'DEBRID_FAILED' : null);
+        }
+    }
+
+    async function listTorrents(apiKey) {
+        return (await call(apiKey, { method: 'get', url: '/torrents', params: { limit: TORRENT_LIST_LIMIT } })) || [];
+    }
+
+    /**
+     * Makes sure the torrent has the wanted file selected, adding the magnet when the account
+     * has no copy of it that does.
+     * @returns {Promise<{id: string, info: object, file: object, added: boolean}>}
+     */
+    async function prepareTorrent(apiKey, { infoHash, magnet, fileIdx, filename }) {
+        const existing = (await listTorrents(apiKey)).filter(torrent => String(torrent.hash).toLowerCase() === infoHash);
+        for (const { id } of existing) {
+            const info = await call(apiKey, { method: 'get', url: `/torrents/info/${id}` });
+            const file = pickFile(toFiles(info), { fileIdx, filename });
+            if (file && (info.status === 'waiting_files_selection' || file.selected)) return selectFile(apiKey, id, info, file, false);
+        }
+        const { id } = await call(apiKey, { method: 'post', url: '/torrents/addMagnet', data: new URLSearchParams({ magnet }) });
+        const info = await call(apiKey, { method: 'get', url: `/torrents/info/${id}` });
+        const file = pickFile(toFiles(info), { fileIdx, filename });
+        if (!file) {
+            await deleteTorrent(apiKey, id);
+            throw debridError(`${LABEL}: the torrent has no files.`);
+        }
+        return selectFile(apiKey, id, info, file, true);
+    }
+
+    async function selectFile(apiKey, id, info, file, added) {
+        if (info.status !== 'waiting_files_selection') return { id, info, file, added };
+        await call(apiKey, { method: 'post', url: `/torrents/selectFiles/${id}`, data: new URLSearchParams({ files: String(file.id) }) });
+        return { id, info: await call(apiKey, { method: 'get', url: `/torrents/info/${id}` }), file, added };
+    }
+
+    async function deleteTorrent(apiKey, id) {
+        await call(apiKey, { method: 'delete', url: `/torrents/delete/${id}` }).catch(() => {});
+    }
+
+    return {
+        name: 'realdebrid',
+        label: 'RD',
+        canDownload: true,
+
+        /**
+         * @param {string} apiKey
+         * @param {string[]} infoHashes - Lower case.
+         * @returns {Promise<Set<string>>} The hashes downloaded to the account and ready to play.
+         */
+        async checkCached(apiKey, infoHashes) {
+            const ready = new Set((await listTorrents(apiKey))
+                .filter(torrent => torrent.status === 'downloaded')
+                .map(torrent => String(torrent.hash).toLowerCase()));
+            return new Set(infoHashes.filter(hash => ready.has(hash)));
+        },
+
+        /**
+         * Finds the torrent in the account (or adds the magnet), selects the wanted file and
+         * unrestricts its link. A torrent added here is deleted again if no link comes of it,
+         * unless Real-Debrid is still downloading it.
+         * @param {string} apiKey
+         * @param {object} torrent - { infoHash, magnet, fileIdx, filename }
+         * @returns {Promise<string>} The download URL.
+         */
+        async resolve(apiKey, torrent) {
+            const { id, info, file, added } = await prepareTorrent(apiKey, torrent);
+            try {
+                if (info.status !== 'downloaded') {
+                    throw debridError(`${LABEL} is still downloading this torrent (${info.status}).`, 'DEBRID_NOT_READY');
+                }
+                // Links are listed in the order of the selected files.
+                const link = (info.links || [])[toFiles(info).filter(entry => entry.selected).findIndex(entry => entry.id === file.id)];
+                if (!link) throw debridError(`${LABEL} has no link for ${file.path}.`);
+                const { download } = await call(apiKey, { method: 'post', url: '/unrestrict/link', data: new URLSearchParams({ link }) });
+                return download;
+            } catch (error) {
+                if (added && error.code !== 'DEBRID_NOT_READY') await deleteTorrent(apiKey, id);
+                throw error;
+            }
+        },
+    };
+}
+
+// Real-Debrid numbers files from 1 in torrent order.
+function toFiles(info) {
+    return (info.files || []).map(file => ({ id: file.id, index: file.id - 1, path: file.path, size: file.bytes, selected: file.selected === 1 }));
+}
+
+module.exports = { createRealDebridClient };
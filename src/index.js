@@ -6,14 +6,14 @@ const config = require('./utils/config');
 const logger = require('./utils/logger');
 const redisClient = require('./database/redis');
 const dataManager = require('./database/dataManager');
+const hints = require('./database/hints');
 require('./utils/trackers');
 require('./utils/apiClient'); // Ensure apiClient is initialized
 
 async function main() {
     logger.info(`Main process ${process.pid} is starting...`);
 
-      // --- NEW: Load hints into Redis ---
-    await dataManager.loadHintsIntoRedis();
+    await dataManager.migrateCatalog();
 
     if (config.PURGE_ON_START) {
         logger.warn('PURGE_ON_START is true. Clearing ENTIRE Redis database...');
@@ -25,13 +25,16 @@ async function main() {
         logger.info('Orphan magnet list cleared.');
     }
 
+    // Loaded after any purge: search_hints.json is the authoritative copy of the hints.
+    await hints.loadHintsIntoRedis();
+
     startServer();
 
     // Run the initial crawl and then the rescue job immediately after.
     (async () => {
         try {
-            logger.info(`Starting initial crawl for ${config.INITIAL_PAGES} pages...`);
-            await runCrawler(true); // Wait for the initial crawl to finish
+            logger.info(`Starting initial crawl (up to ${config.INITIAL_PAGES} pages per source)...`);
+            await runCrawler(); // Wait for the initial crawl to finish
             
             logger.info('Initial crawl complete. Running immediate orphan rescue job...');
             await dataManager.rescueOrphanedMagnets();
@@ -8,11 +8,42 @@ const logger = require('../utils/logger');
 const window = new JSDOM('').window;
 const DOMPurify = createDOMPurify(window);
 
-function parseThreadPage(html, url) {
+/**
+ * Collects links to .torrent attachments. IPS serves attachments from
+ * attachment.php, so those are recognised by their link text instead.
+ * @param {object} $ - The loaded cheerio document.
+ * @param {string} url - The thread URL, to resolve relative links.
+ * @returns {string[]}
+ */
+function findTorrentAttachments($, url) {
+    const torrents = new Set();
+    $('a[href]').each((i, elem) => {
+        const href = $(elem).attr('href');
+        const isTorrentLink = /\.torrent(\?|$)/i.test(href)
+            || (/attachment\.php/i.test(href) && /\.torrent\s*$/i.test($(elem).text()));
+        if (!isTorrentLink) return;
+        try {
+            torrents.add(new URL(href, url).toString());
+        } catch (e) {
+            logger.debug({ url, href }, 'Skipping malformed torrent attachment link.');
+        }
+    });
+    return [...torrents];
+}
+
+/**
+ * Extracts the title, poster, magnet links and .torrent attachments from a forum thread page.
+ * @param {string} html
+ * @param {string} url - The thread URL, used for logging.
+ * @param {object} [options]
+ * @param {string} [options.titleSelector] - Where the thread title lives; defaults to the IPS layout.
+ * @returns {object|null}
+ */
+function parseThreadPage(html, url, { titleSelector = 'span.ipsType_break.ipsContained' } = {}) {
     try {
         const $ = cheerio.load(html);
 
-        const title = $('span.ipsType_break.ipsContained').first().text().trim();
+        const title = $(titleSelector).first().text().trim();
         if (!title) {
             logger.warn({ url }, 'Could not find title element on page.');
             return null;
@@ -51,6 +82,7 @@ function parseThreadPage(html, url) {
             title,
             posterUrl,
             magnets: [...new Set(magnets)], // Ensure final list is unique
+            torrents: findTorrentAttachments($, url),
             timestamp: new Date().toISOString(),
         };
     } catch (error) {
@@ -24,16 +24,82 @@ const PARSING_PATTERNS = [
     { regex: /(?:S|Season)\s*(\d{1,2})(?!\s?E|\s?\d)|(Complete)/i, type: 'SEASON_PACK' }
 ];
 
-function parseTitle(magnetUri) {
-    const infoHashMatch = magnetUri.match(BTIH_REGEX);
-    if (!infoHashMatch) return null;
-    const infoHash = infoHashMatch[1].toLowerCase();
+// Release attributes, matched against the raw release name. The first match wins, so
+// more specific patterns come first (PreDVD before DVDRip, HDCAM before CAM).
+const VIDEO_CODEC_PATTERNS = [
+    { regex: /\b(hevc|[xh]\.?265)\b/i, value: 'HEVC' },
+    { regex: /\b(avc|[xh]\.?264)\b/i, value: 'AVC' },
+    { regex: /\bav1\b/i, value: 'AV1' },
+];
+const SOURCE_PATTERNS = [
+    { regex: /\b(blu[\s.-]?ray|bd[\s.-]?rip|br[\s.-]?rip|bd[\s.-]?remux)\b/i, value: 'BluRay' },
+    { regex: /\bweb[\s.-]?dl\b/i, value: 'WEB-DL' },
+    { regex: /\bweb[\s.-]?rip\b/i, value: 'WEBRip' },
+    { regex: /\bhdtv(rip)?\b/i, value: 'HDTV' },
+    { regex: /\bpre[\s.-]?dvd(rip)?\b/i, value: 'PreDVD' },
+    { regex: /\bdvd[\s.-]?(rip|scr)\b/i, value: 'DVDRip' },
+    { regex: /\bhd[\s.-]?rip\b/i, value: 'HDRip' },
+    { regex: /\bhd[\s.-]?(cam|ts|tc)\b/i, value: 'HDCAM' },
+    { regex: /\bcam(rip)?\b/i, value: 'CAM' },
+];
+const HDR_PATTERNS = [
+    { regex: /\bhdr10(\+|plus)/i, value: 'HDR10+' },
+    { regex: /\bhdr10\b/i, value: 'HDR10' },
+    { regex: /\bhdr\b/i, value: 'HDR' },
+    { regex: /\b(dv|dovi|dolby[\s.-]?vision)\b/i, value: 'DV' },
+];
+const AUDIO_REGEX = /\b(ddp|dd\+|e-?ac-?3|dd|ac-?3|dolby[\s.-]?digital|aac|dts[\s.-]?hd(?:[\s.-]?ma)?|dts|truehd|atmos|flac|opus|mp3)[\s.-]?(\d\.\d)?(?=[\s._\-()[\]&+,]|$)/gi;
+const AUDIO_CODECS = {
+    ddp: 'DD+', 'dd+': 'DD+', eac3: 'DD+', dd: 'DD', ac3: 'DD', dolbydigital: 'DD', aac: 'AAC',
+    dtshd: 'DTS-HD', dtshdma: 'DTS-HD', dts: 'DTS', truehd: 'TrueHD', atmos: 'Atmos', flac: 'FLAC', opus: 'Opus', mp3: 'MP3'
+};
 
-    const dnMatch = magnetUri.match(/&dn=([^&]+)/);
-    const titleToParse = dnMatch ? decodeURIComponent(dnMatch[1]).replace(/\+/g, ' ') : '';
-    if (!titleToParse) return null;
+/**
+ * Extracts codec, audio, source, HDR and subtitle tags from a release name, e.g.
+ * "HQ HDRip - x265 - 10bit - [Tam + Tel] - (DD+5.1 - 192Kbps & AAC 2.0) - ESub".
+ * Uses plain regexes so it is cheap enough to run on stored records at query time.
+ * @param {string} title
+ * @returns {{videoCodec: string|null, bitDepth: number|null, hdr: string[], source: string|null, hq: boolean, audio: string[], subtitles: string[]}}
+ */
+function parseReleaseAttributes(title) {
+    const text = title || '';
+    const first = patterns => (patterns.find(pattern => pattern.regex.test(text)) || {}).value || null;
+    const bitDepthMatch = text.match(/\b(8|10|12)[\s.-]?bits?\b/i);
 
-    const ptt = parse(titleToParse);
+    const audio = new Set();
+    for (const match of text.matchAll(AUDIO_REGEX)) {
+        const codec = AUDIO_CODECS[match[1].toLowerCase().replace(/[\s.-]/g, '')];
+        if (codec) audio.add(match[2] ? `${codec} ${match[2]}` : codec);
+    }
+
+    let hdr = HDR_PATTERNS.filter(pattern => pattern.regex.test(text)).map(pattern => pattern.value);
+    // "HDR10+" may also match the HDR10 pattern, and a bare "HDR" adds nothing next to a specific format.
+    if (hdr.includes('HDR10+')) hdr = hdr.filter(value => value !== 'HDR10');
+    if (hdr.length > 1) hdr = hdr.filter(value => value !== 'HDR');
+
+    const subtitles = [];
+    if (/\b(e|eng|english)[\s.-]?subs?\b/i.test(text)) subtitles.push('ESub');
+    if (/\b(m|multi)[\s.-]?subs?\b/i.test(text)) subtitles.push('MSub');
+    if (subtitles.length === 0 && /\b(subs|subtitles?)\b/i.test(text)) subtitles.push('Subs');
+
+    return {
+        videoCodec: first(VIDEO_CODEC_PATTERNS),
+        bitDepth: bitDepthMatch ? parseInt(bitDepthMatch[1], 10) : null,
+        hdr,
+        source: first(SOURCE_PATTERNS),
+        hq: /\bHQ\b/i.test(text),
+        audio: [...audio],
+        subtitles,
+    };
+}
+
+/**
+ * Finds the season and episode numbers in a release or file name.
+ * @param {string} titleToParse
+ * @param {object} [ptt] - The parse-torrent-title result, if the caller already has it.
+ * @returns {{season: number|null, episodes: number[]}} Season packs have no episodes.
+ */
+function parseSeasonEpisodes(titleToParse, ptt = parse(titleToParse)) {
     let season = null;
     let episodes = [];
 
@@ -64,6 +130,21 @@ function parseTitle(magnetUri) {
         if (ptt.season) season = ptt.season;
         if (ptt.episode) episodes.push(ptt.episode);
     }
+    return { season, episodes };
+}
+
+function parseTitle(magnetUri) {
+    const infoHashMatch = magnetUri.match(BTIH_REGEX);
+    if (!infoHashMatch) return null;
+    const infoHash = infoHashMatch[1].toLowerCase();
+
+    const dnMatch = magnetUri.match(/&dn=([^&]+)/);
+    // "+" means a space, but only before decoding: an encoded %2B is a real plus, as in "DD+5.1".
+    const titleToParse = dnMatch ? decodeURIComponent(dnMatch[1].replace(/\+/g, ' ')) : '';
+    if (!titleToParse) return null;
+
+    const ptt = parse(titleToParse);
+    const { season, episodes } = parseSeasonEpisodes(titleToParse, ptt);
     
     const resolution = ptt.resolution || 'N/A';
     const sizeMatch = titleToParse.match(/(\d+(\.\d+)?\s*(GB|MB))/i);
@@ -72,7 +153,8 @@ function parseTitle(magnetUri) {
 
     return {
         infoHash, name: titleToParse.replace(/\s+/g, ' ').trim(), title: ptt.title,
-        year: ptt.year, season, episodes, resolution, languages: finalLanguages, size
+        year: ptt.year, season, episodes, resolution, languages: finalLanguages, size,
+        release: parseReleaseAttributes(titleToParse)
     };
 }
 
@@ -127,4 +209,4 @@ function normalizeBaseTitle(title) {
     return cleanTitle.toLowerCase();
 }
 
-module.exports = { parseTitle, normalizeBaseTitle };
+module.exports = { parseTitle, parseSeasonEpisodes, parseReleaseAttributes, normalizeBaseTitle };
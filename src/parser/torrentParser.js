@@ -0,0 +1,102 @@
+// src/parser/torrentParser.js
+
+const crypto = require('crypto');
+
+const VIDEO_EXTENSIONS = /\.(mkv|mp4|avi|m4v|ts|webm|mov|wmv)$/i;
+
+/**
+ * Decodes one bencoded value starting at `pos`. Byte strings stay Buffers, since
+ * torrents mix text with binary fields such as `pieces`.
+ * @param {Buffer} buffer
+ * @param {number} pos
+ * @param {object} spans - Collects the byte range of the top-level `info` dictionary.
+ * @param {number} depth
+ * @returns {{value: *, end: number}}
+ */
+function decodeAt(buffer, pos, spans, depth) {
+    const char = String.fromCharCode(buffer[pos]);
+
+    if (char === 'i') {
+        const end = buffer.indexOf(0x65, pos); // 'e'
+        if (end === -1) throw new Error('Unterminated integer');
+        const value = parseInt(buffer.toString('ascii', pos + 1, end), 10);
+        if (Number.isNaN(value)) throw new Error(`Invalid integer at ${pos}`);
+        return { value, end: end + 1 };
+    }
+
+    if (char === 'l') {
+        const list = [];
+        let cursor = pos + 1;
+        while (buffer[cursor] !== 0x65) {
+            if (cursor >= buffer.length) throw new Error('Unterminated list');
+            const item = decodeAt(buffer, cursor, spans, depth + 1);
+            list.push(item.value);
+            cursor = item.end;
+        }
+        return { value: list, end: cursor + 1 };
+    }
+
+    if (char === 'd') {
+        const dict = {};
+        let cursor = pos + 1;
+        while (buffer[cursor] !== 0x65) {
+            if (cursor >= buffer.length) throw new Error('Unterminated dictionary');
+            const key = decodeAt(buffer, cursor, spans, depth + 1);
+            const keyText = key.value.toString('utf-8');
+            const item = decodeAt(buffer, key.end, spans, depth + 1);
+            if (depth === 0 && keyText === 'info') spans.info = [key.end, item.end];
+            dict[keyText] = item.value;
+            cursor = item.end;
+        }
+        return { value: dict, end: cursor + 1 };
+    }
+
+    if (char >= '0' && char <= '9') {
+        const colon = buffer.indexOf(0x3a, pos); // ':'
+        if (colon === -1) throw new Error('Invalid string length');
+        const length = parseInt(buffer.toString('ascii', pos, colon), 10);
+        const start = colon + 1;
+        if (Number.isNaN(length) || start + length > buffer.length) throw new Error(`Invalid string at ${pos}`);
+        return { value: buffer.subarray(start, start + length), end: start + length };
+    }
+
+    throw new Error(`Unexpected byte "${char}" at ${pos}`);
+}
+
+/**
+ * Decodes a .torrent file into its info hash and file list. File indexes follow the
+ * order of `info.files`, which is what Stremio's `fileIdx` refers to.
+ * @param {Buffer} buffer - The raw .torrent file.
+ * @returns {{infoHash: string, name: string, files: Array<{index: number, path: string, length: number}>}}
+ * @throws {Error} When the data is not a valid torrent.
+ */
+function parseTorrentFile(buffer) {
+    const spans = {};
+    const { value: torrent } = decodeAt(buffer, 0, spans, 0);
+    if (!torrent || !torrent.info || !spans.info) throw new Error('Torrent has no info dictionary');
+
+    const info = torrent.info;
+    const text = value => Buffer.isBuffer(value) ? value.toString('utf-8') : String(value);
+    const name = text(info['name.utf-8'] || info.name || '');
+    const infoHash = crypto.createHash('sha1').update(buffer.subarray(spans.info[0], spans.info[1])).digest('hex');
+
+    const files = Array.isArray(info.files)
+        ? info.files.map((file, index) => ({
+            index,
+            path: (file['path.utf-8'] || file.path || []).map(text).join('/'),
+            length: file.length || 0,
+        }))
+        : [{ index: 0, path: name, length: info.length || 0 }];
+
+    return { infoHash, name, files };
+}
+
+/**
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isVideoFile(path) {
+    return VIDEO_EXTENSIONS.test(path) && !/\bsample\b/i.test(path);
+}
+
+module.exports = { parseTorrentFile, isVideoFile };
@@ -0,0 +1,97 @@
+// src/sources/index.js
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { createIpsBoardAdapter } = require('./ipsBoard');
+
+// Adapter name -> factory. A factory receives the source entry and returns
+// { listingUrl(baseUrl, page), parseThreadList(html), parseThread(html, url) }, plus
+// { sessionCookie, loginUrl(origin), buildLoginForm(html, pageUrl, credentials) } if the forum supports signing in.
+const ADAPTERS = {
+    ips: createIpsBoardAdapter,
+};
+
+/**
+ * Reads the list of crawled forum sections.
+ *
+ * The list comes from the JSON file at SOURCES_FILE, an array of entries like:
+ *   { "id": "tb-telugu-series", "name": "Telugu Web Series", "adapter": "ips",
+ *     "type": "series", "url": "https://.../forum/XX-telugu-web-series/",
+ *     "domainMonitors": ["http://1tamilblasters.net"], "mirrors": ["https://www.1tamilblasters.mx"],
+ *     "pagination": "path", "selectors": { "threadLink": "...", "title": "..." } }
+ * Only id, type and url are required. A single "domainMonitor" string is still accepted.
+ * Without the file, the sources are derived from FORUM_URL and MOVIE_FORUM_URLS as before,
+ * with DOMAIN_MONITORS and FORUM_MIRRORS.
+ * @returns {Array<object>}
+ */
+function loadSources() {
+    const sourcesPath = path.resolve(config.SOURCES_FILE);
+    if (fs.existsSync(sourcesPath)) {
+        const sources = JSON.parse(fs.readFileSync(sourcesPath, 'utf-8'));
+        logger.debug({ count: sources.length, file: sourcesPath }, 'Loaded crawl sources from file.');
+        return sources.map(({ domainMonitor, ...source }) => ({
+            adapter: 'ips',
+            mirrors: [],
+            ...source,
+            domainMonitors: source.domainMonitors || (domainMonitor ? [domainMonitor] : []),
+        }));
+    }
+    const site = { adapter: 'ips', domainMonitors: config.DOMAIN_MONITORS, mirrors: config.FORUM_MIRRORS };
+    return [
+        { id: 'tamilblasters-series', name: 'TamilBlasters Web Series', type: 'series', url: config.FORUM_URL, ...site },
+        ...config.MOVIE_FORUM_URLS.map((url, i) => ({
+            id: `tamilblasters-movies-${i + 1}`, name: `TamilBlasters Movies #${i + 1}`, type: 'movie', url, ...site
+        })),
+    ];
+}
+
+function validateSources(sources) {
+    const ids = new Set();
+    for (const source of sources) {
+        if (!source.id || ids.has(source.id)) throw new Error(`Source id missing or duplicated: ${source.id}`);
+        if (!['series', 'movie'].includes(source.type)) throw new Error(`Source ${source.id} has invalid type: ${source.type}`);
+        if (!ADAPTERS[source.adapter]) throw new Error(`Source ${source.id} uses unknown adapter: ${source.adapter}`);
+        new URL(source.url);
+        if (!Array.isArray(source.domainMonitors) || !Array.isArray(source.mirrors)) {
+            throw new Error(`Source ${source.id} needs domainMonitors and mirrors as lists`);
+        }
+        source.domainMonitors.forEach(url => new URL(url));
+        source.mirrors.forEach(url => new URL(url));
+        ids.add(source.id);
+    }
+}
+
+let sources;
+try {
+    sources = loadSources();
+    validateSources(sources);
+} catch (e) {
+    console.error('Invalid crawl source configuration:', e.message);
+    process.exit(1);
+}
+
+const adapters = new Map();
+
+function getSources() {
+    return sources;
+}
+
+function getSource(id) {
+    return sources.find(source => source.id === id) || null;
+}
+
+/**
+ * Returns the (cached) adapter instance for a source.
+ * @param {object} source
+ * @returns {object}
+ */
+function getAdapter(source) {
+    if (!adapters.has(source.id)) {
+        adapters.set(source.id, ADAPTERS[source.adapter](source));
+    }
+    return adapters.get(source.id);
+}
+
+module.exports = { getSources, getSource, getAdapter };
@@ -0,0 +1,119 @@
+// src/sources/ipsBoard.js
+
+const cheerio = require('cheerio');
+const { parseThreadPage } = require('../parser/htmlParser');
+
+const DEFAULT_SELECTORS = {
+    topicRow: 'li.ipsDataItem',
+    threadLink: 'a[data-ipshover]',
+    threadLinkPattern: '/topic/',
+    replyCount: '.ipsDataItem_stats .ipsDataItem_stats_number',
+    lastReply: '.ipsDataItem_lastPoster time[datetime]',
+    title: 'span.ipsType_break.ipsContained',
+};
+
+// Reply counts are abbreviated on busy boards, e.g. "1.2k".
+function parseCount(text) {
+    const match = (text || '').replace(/,/g, '').trim().match(/^(\d+(\.\d+)?)\s*(k)?/i);
+    if (!match) return null;
+    return Math.round(parseFloat(match[1]) * (match[3] ? 1000 : 1));
+}
+
+/**
+ * Adapter for Invision Power Suite (IPS) boards such as 1TamilBlasters.
+ * Selectors and the pagination scheme can be overridden per source for sister
+ * sites running a slightly different theme.
+ * @param {object} source - A source entry (see sources/index.js).
+ * @returns {object} The adapter.
+ */
+function createIpsBoardAdapter(source) {
+    const selectors = { ...DEFAULT_SELECTORS, ...(source.selectors || {}) };
+    const pagination = source.pagination || 'path';
+
+    return {
+        /**
+         * Builds the URL of one listing page.
+         * @param {string} baseUrl - The forum URL, already moved to the live domain.
+         * @param {number} page - 1-based page number.
+         */
+        listingUrl(baseUrl, page) {
+            if (pagination === 'query') {
+                const url = new URL(baseUrl);
+                url.searchParams.set('page', page);
+                return url.toString();
+            }
+            return `${baseUrl}page/${page}/`;
+        },
+
+        /**
+         * Extracts the topics on a listing page with what the listing says about
+         * their activity. `replyCount` and `lastReplyAt` are null when the theme
+         * does not show them.
+         * @param {string} html
+         * @returns {Array<{url: string, replyCount: number|null, lastReplyAt: string|null}>}
+         */
+        parseThreadList(html) {
+            const $ = cheerio.load(html);
+            const topics = new Map();
+            $(selectors.threadLink).each((i, el) => {
+                const link = $(el).attr('href');
+                if (!link || !link.includes(selectors.threadLinkPattern) || topics.has(link)) return;
+
+                const row = $(el).closest(selectors.topicRow);
+                const lastReply = row.find(selectors.lastReply).first().attr('datetime');
+                // An unparseable date only loses this topic's last-reply time, not the page.
+                const lastReplyDate = lastReply ? new Date(lastReply) : null;
+                topics.set(link, {
+                    url: link,
+                    replyCount: row.length ? parseCount(row.find(selectors.replyCount).first().text()) : null,
+                    lastReplyAt: lastReplyDate && !Number.isNaN(lastReplyDate.getTime()) ? lastReplyDate.toISOString() : null,
+                });
+            });
+            return [...topics.values()];
+        },
+
+        /**
+         * Extracts the title, poster and magnets from a thread page.
+         * @param {string} html
+         * @param {string} url
+         * @returns {object|null}
+         */
+        parseThread(html, url) {
+            return parseThreadPage(html, url, { titleSelector: selectors.title });
+        },
+
+        // Set once a member is signed in (see crawler/httpClient.js).
+        sessionCookie: 'ips4_member_id',
+
+        /**
+         * @param {string} origin - The live domain.
+         * @returns {string} The sign-in page.
+         */
+        loginUrl(origin) {
+            return `${origin}/index.php?/login/`;
+        },
+
+        /**
+         * Fills in the sign-in form of the login page, keeping its hidden fields (the CSRF key).
+         * @param {string} html - The login page.
+         * @param {string} pageUrl
+         * @param {{username: string, password: string}} credentials
+         * @returns {{action: string, fields: URLSearchParams}|null} null when the page has no sign-in form.
+         */
+        buildLoginForm(html, pageUrl, { username, password }) {
+            const $ = cheerio.load(html);
+            const form = $('form').filter((i, el) => $(el).find('input[name="_processLogin"]').length > 0).first();
+            if (form.length === 0) return null;
+            const fields = new URLSearchParams();
+            form.find('input[type="hidden"]').each((i, el) => {
+                if ($(el).attr('name')) fields.set($(el).attr('name'), $(el).attr('value') || '');
+            });
+            fields.set('auth', username);
+            fields.set('password', password);
+            fields.set('remember_me', '1');
+            return { action: new URL(form.attr('action') || pageUrl, pageUrl).toString(), fields };
+        },
+    };
+}
+
+module.exports = { createIpsBoardAdapter };
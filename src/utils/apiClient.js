@@ -1,31 +1,184 @@
 // src/utils/apiClient.js
 
 const axios = require('axios');
+const redis = require('../database/redis');
+const config = require('./config');
 const logger = require('./logger');
+const metrics = require('./metrics');
+const rateLimiter = require('./rateLimiter');
 
 // Create a new axios instance with custom configuration
 const apiClient = axios.create();
 
+// SCHEMA:
+// api_cache:{url without the API key} -> JSON { status, data } (CACHE, TTL per endpoint below)
+const CACHE_PREFIX = 'api_cache:';
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+// The first rule matching a GET URL decides how long its response is kept. `isMiss` marks
+// answers that found nothing; those and 404s are kept for `missTtl`, so a title that never
+// matches is not searched again by every thread that mentions it.
+const CACHE_RULES = [
+    { api: 'tmdb', pattern: /\/search\//, ttl: DAY, missTtl: 6 * HOUR, isMiss: data => !data.results || data.results.length === 0 },
+    { api: 'tmdb', pattern: /\/find\//, ttl: 7 * DAY, missTtl: DAY, isMiss: data => [...(data.tv_results || []), ...(data.movie_results || [])].length === 0 },
+    { api: 'tmdb', pattern: /\/tv\/\d+/, ttl: 12 * HOUR, missTtl: DAY }, // Details and seasons change while a show airs
+    { api: 'tmdb', pattern: /\/movie\/\d+/, ttl: 7 * DAY, missTtl: DAY },
+    { api: 'omdb', pattern: /omdbapi\.com/, ttl: 7 * DAY, missTtl: DAY, isMiss: data => data.Response === 'False' },
+];
+
+const RATE_LIMITS = {
+    tmdb: rateLimiter.parseRate(config.TMDB_RATE_LIMIT),
+    omdb: rateLimiter.parseRate(config.OMDB_RATE_LIMIT),
+};
+for (const [api, rate] of Object.entries(RATE_LIMITS)) {
+    if (!rate) logger.warn({ api, limit: config[`${api.toUpperCase()}_RATE_LIMIT`] }, 'Invalid API rate limit. Requests to this API are not limited.');
+}
+
+const MAX_RATE_LIMIT_RETRIES = 3;
+const DEFAULT_RETRY_AFTER = 10 * 1000; // When a 429 does not say how long to wait
+const OMDB_QUOTA_BACKOFF = HOUR * 1000; // OMDb answers 401 "Request limit reached!" once the daily quota is spent
+
+function apiLabel(url) {
+    if (/themoviedb\.org/.test(url)) return 'tmdb';
+    if (/omdbapi\.com/.test(url)) return 'omdb';
+    return 'other';
+}
+
+/**
+ * @param {object} requestConfig
+ * @returns {{key: string, rule: object}|null} null for requests that are not cached.
+ */
+function cacheEntry(requestConfig) {
+    if (!config.API_CACHE_ENABLED || requestConfig.cache === false || (requestConfig.method || 'get') !== 'get') return null;
+    const url = new URL(apiClient.getUri(requestConfig));
+    const rule = CACHE_RULES.find(r => r.api === apiLabel(url.href) && r.pattern.test(url.href));
+    if (!rule) return null;
+    url.searchParams.delete('api_key');
+    url.searchParams.delete('apikey');
+    return { key: `${CACHE_PREFIX}${url.href}`, rule };
+}
+
+async function storeResponse(requestConfig, status, data) {
+    const entry = requestConfig.cacheEntry;
+    if (!entry || requestConfig.fromCache) return;
+    const { rule, key } = entry;
+    const isMiss = status === 404 || (rule.isMiss && rule.isMiss(data));
+    try {
+        await redis.set(key, JSON.stringify({ status, data }), 'EX', isMiss ? rule.missTtl : rule.ttl);
+    } catch (error) {
+        logger.warn({ err: error.message, key }, 'Failed to cache API response.');
+    }
+}
+
+/**
+ * Answers the request from the cache by swapping its adapter. A cached 404 is replayed
+ * as the same error axios would have thrown.
+ * @param {object} requestConfig
+ * @param {{status: number, data: *}} cached
+ */
+function replayFromCache(requestConfig, { status, data }) {
+    requestConfig.fromCache = true;
+    requestConfig.adapter = async () => {
+        const response = { data, status, statusText: status === 200 ? 'OK' : 'Not Found', headers: {}, config: requestConfig, request: {} };
+        if (status >= 400) {
+            throw new axios.AxiosError(`Request failed with status code ${status} (cached)`, axios.AxiosError.ERR_BAD_REQUEST, requestConfig, null, response);
+        }
+        return response;
+    };
+}
+
+/**
+ * @param {object} response - An axios error response.
+ * @returns {number} Milliseconds to wait, from a Retry-After header in seconds or as an HTTP date.
+ */
+function retryAfterMs(response) {
+    const header = response.headers && response.headers['retry-after'];
+    if (!header) return DEFAULT_RETRY_AFTER;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? DEFAULT_RETRY_AFTER : Math.max(0, date - Date.now());
+}
+
+// Every attempt is measured, retries included. Cache hits are not requests.
+function recordRequest(requestConfig, outcome) {
+    if (!requestConfig || !requestConfig.startedAt || requestConfig.fromCache) return;
+    const api = apiLabel(requestConfig.url);
+    metrics.apiRequests.inc({ api, outcome });
+    metrics.apiDuration.observeSince({ api }, requestConfig.startedAt);
+}
+
+// Serves cached responses, and otherwise waits for the API's shared request budget.
+apiClient.interceptors.request.use(async (requestConfig) => {
+    const api = apiLabel(requestConfig.url);
+    const entry = cacheEntry(requestConfig);
+    requestConfig.cacheEntry = entry;
+    if (entry) {
+        try {
+            const cached = await redis.get(entry.key);
+            metrics.apiCacheLookups.inc({ api, result: cached ? 'hit' : 'miss' });
+            if (cached) {
+                replayFromCache(requestConfig, JSON.parse(cached));
+                return requestConfig;
+            }
+        } catch (error) {
+            logger.warn({ err: error.message }, 'API cache lookup failed. Asking the API.');
+        }
+    }
+    if (RATE_LIMITS[api]) {
+        await rateLimiter.acquire(api, RATE_LIMITS[api], config.API_MAX_WAIT * 1000);
+    }
+    requestConfig.startedAt = process.hrtime.bigint();
+    return requestConfig;
+});
+
 // Add a response interceptor to handle retries
 apiClient.interceptors.response.use(
-    (response) => response, // On success, just return the response
+    async (response) => {
+        recordRequest(response.config, 'success');
+        await storeResponse(response.config, response.status, response.data);
+        return response;
+    },
     async (error) => {
-        const config = error.config;
+        const requestConfig = error.config;
+        // Errors thrown before the request was sent (e.g. by the rate limiter) carry no config.
+        if (!requestConfig) return Promise.reject(error);
+        recordRequest(requestConfig, metrics.statusLabel(error));
+
+        const status = error.response ? error.response.status : null;
+        const api = apiLabel(requestConfig.url);
+        if (status === 404) {
+            await storeResponse(requestConfig, 404, null);
+            return Promise.reject(error);
+        }
+        if (status === 401 && api === 'omdb' && /limit/i.test(error.response.data?.Error || '')) {
+            await rateLimiter.block(api, OMDB_QUOTA_BACKOFF);
+            return Promise.reject(error);
+        }
+
+        // A 429 holds off every worker for as long as the API asks, then retries this request.
+        if (status === 429) {
+            if ((requestConfig.rateLimitRetries || 0) >= MAX_RATE_LIMIT_RETRIES) return Promise.reject(error);
+            requestConfig.rateLimitRetries = (requestConfig.rateLimitRetries || 0) + 1;
+            await rateLimiter.block(api, retryAfterMs(error.response));
+            return apiClient(requestConfig);
+        }
 
         // Don't retry if it's already a retry, or if the error is not a network/server issue
-        if (config.retryCount >= 2 || !error.response || error.response.status < 500) {
+        if (requestConfig.retryCount >= 2 || !error.response || error.response.status < 500) {
             return Promise.reject(error);
         }
 
-        config.retryCount = (config.retryCount || 0) + 1;
-        
+        requestConfig.retryCount = (requestConfig.retryCount || 0) + 1;
+
         // Calculate delay with exponential backoff and some randomness (jitter)
-        const backoff = Math.pow(2, config.retryCount) * 500; // 1s, 2s
+        const backoff = Math.pow(2, requestConfig.retryCount) * 500; // 1s, 2s
         const delay = backoff + Math.random() * 500;
-        
+
         logger.warn({
-            url: config.url,
-            retry: config.retryCount,
+            url: requestConfig.url,
+            retry: requestConfig.retryCount,
             delay: `${delay.toFixed(0)}ms`,
             status: error.response.status
         }, 'API request failed, retrying...');
@@ -33,7 +186,7 @@ apiClient.interceptors.response.use(
         await new Promise(resolve => setTimeout(resolve, delay));
 
         // Retry the request
-        return apiClient(config);
+        return apiClient(requestConfig);
     }
 );
 
@@ -22,25 +22,35 @@ function normalizeTitleForId(title) {
 }
 
 /**
- * Compares two titles using Jaro-Winkler similarity.
+ * Scores how alike two titles are, using Jaro-Winkler similarity of their stemmed forms.
  * @param {string} title1
  * @param {string} title2
- * @returns {boolean}
+ * @returns {number} Between 0 and 1; 0 when either title has no latin letters or digits.
  */
-function areTitlesSimilar(title1, title2) {
+function titleSimilarity(title1, title2) {
     const normalized1 = normalizeTitleForId(title1);
     const normalized2 = normalizeTitleForId(title2);
+    if (!normalized1 || !normalized2) return 0;
     
     const stemmed1 = normalized1.split(' ').map(token => PorterStemmer.stem(token)).join(' ');
     const stemmed2 = normalized2.split(' ').map(token => PorterStemmer.stem(token)).join(' ');
     
-    const similarity = JaroWinklerDistance(stemmed1, stemmed2, { ignoreCase: true });
-    
-    return similarity >= FUZZY_THRESHOLD;
+    return JaroWinklerDistance(stemmed1, stemmed2, { ignoreCase: true });
+}
+
+/**
+ * Compares two titles using Jaro-Winkler similarity.
+ * @param {string} title1
+ * @param {string} title2
+ * @returns {boolean}
+ */
+function areTitlesSimilar(title1, title2) {
+    return titleSimilarity(title1, title2) >= FUZZY_THRESHOLD;
 }
 
 
 module.exports = {
     normalizeTitleForId,
+    titleSimilarity,
     areTitlesSimilar
 };
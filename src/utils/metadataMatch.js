@@ -0,0 +1,109 @@
+// src/utils/metadataMatch.js
+
+const { normalizeTitleForId, titleSimilarity } = require('./fuzzy');
+
+// Each factor scores a TMDb search result between 0 and 1. The weights add up to 1, so the
+// total is comparable with MATCH_MIN_SCORE. Forum titles are often generic ("Heart Beat"),
+// which is why language and year weigh in next to the title.
+const MATCH_WEIGHTS = {
+    title: 0.5,
+    year: 0.2,
+    language: 0.2,
+    popularity: 0.1,
+};
+// Original languages of the shows the forum carries. Dubbed foreign shows still match on
+// title and year, just with less of a margin.
+const LANGUAGE_SCORES = { ta: 1, te: 0.8, ml: 0.8, kn: 0.8, hi: 0.7 };
+const INDIAN_ORIGIN_SCORE = 0.5;
+const SIMILARITY_FLOOR = 0.7; // Jaro-Winkler rates unrelated titles with a shared first word around here
+const RUNNERS_UP = 3;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * @param {string} query - The normalized thread title.
+ * @param {string} name - A TMDb title.
+ * @returns {number}
+ */
+function titleScore(query, name) {
+    if (!name) return 0;
+    const normalizedQuery = normalizeTitleForId(query);
+    if (normalizedQuery && normalizeTitleForId(name) === normalizedQuery) return 1;
+    // "Vadhandhi: The Fable of Velonie" is listed on the forum as "Vadhandhi".
+    const mainTitle = name.split(/:|\s-\s/)[0];
+    if (mainTitle !== name && normalizedQuery && normalizeTitleForId(mainTitle) === normalizedQuery) return 0.95;
+    return Math.max(0, (titleSimilarity(query, name) - SIMILARITY_FLOOR) / (1 - SIMILARITY_FLOOR));
+}
+
+/**
+ * @param {number|null} candidateYear
+ * @param {number|null} queryYear
+ * @param {string} type - 'series' or 'movie'.
+ * @returns {number}
+ */
+function yearScore(candidateYear, queryYear, type) {
+    if (!queryYear) return 0.5;
+    if (!candidateYear) return 0.25;
+    const diff = queryYear - candidateYear;
+    if (diff === 0) return 1;
+    // A thread for a later season carries that season's year, not the first air date's.
+    if (type === 'series' && diff > 0) return 0.6;
+    if (Math.abs(diff) === 1) return 0.7;
+    return 0;
+}
+
+function languageScore(result) {
+    if (LANGUAGE_SCORES[result.original_language]) return LANGUAGE_SCORES[result.original_language];
+    return (result.origin_country || []).includes('IN') ? INDIAN_ORIGIN_SCORE : 0;
+}
+
+/**
+ * Scores TMDb search results against a thread title.
+ * @param {object[]} results - Raw TMDb /search/tv or /search/movie results.
+ * @param {object} query
+ * @param {string} query.title - The normalized thread title.
+ * @param {string|number|null} query.year
+ * @param {string} query.type - 'series' or 'movie'.
+ * @returns {object[]} { id, name, year, score, factors, result }, best first.
+ */
+function scoreCandidates(results, { title, year, type }) {
+    const queryYear = year ? parseInt(year, 10) : null;
+    return results
+        .map(result => {
+            const names = type === 'movie' ? [result.title, result.original_title] : [result.name, result.original_name];
+            const date = type === 'movie' ? result.release_date : result.first_air_date;
+            const candidateYear = date ? parseInt(date.slice(0, 4), 10) : null;
+            const factors = {
+                title: Math.max(...names.map(name => titleScore(title, name))),
+                year: yearScore(candidateYear, queryYear, type),
+                language: languageScore(result),
+                popularity: Math.min(1, Math.log10(1 + (result.popularity || 0)) / 2),
+            };
+            const score = Object.entries(MATCH_WEIGHTS).reduce((sum, [factor, weight]) => sum + weight * factors[factor], 0);
+            return { id: result.id, name: names[0], year: candidateYear, score: round(score), factors, result };
+        })
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * @param {object} candidate - From `scoreCandidates`.
+ * @returns {object} The candidate without the raw TMDb result, for storing and logging.
+ */
+function summarizeCandidate({ id, name, year, score }) {
+    return { id, name, year, score };
+}
+
+/**
+ * Describes how a search result was chosen, to be stored with the show mapping.
+ * @param {object[]} candidates - Sorted, from `scoreCandidates`.
+ * @returns {{score: number, factors: object, runnersUp: object[]}}
+ */
+function describeMatch(candidates) {
+    return {
+        score: candidates[0].score,
+        factors: Object.fromEntries(Object.entries(candidates[0].factors).map(([factor, value]) => [factor, round(value)])),
+        runnersUp: candidates.slice(1, 1 + RUNNERS_UP).map(summarizeCandidate),
+    };
+}
+
+module.exports = { MATCH_WEIGHTS, scoreCandidates, summarizeCandidate, describeMatch };
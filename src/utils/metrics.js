@@ -0,0 +1,155 @@
+// src/utils/metrics.js
+
+const { isMainThread, parentPort } = require('worker_threads');
+
+// Prometheus metrics, rendered in the text exposition format by GET /metrics.
+// Counters and histograms are all declared here so the main thread knows every metric a
+// worker thread may report: in a worker, `inc` and `observe` post the update to the main
+// thread (see WorkerPool), which records it. Gauges are read from Redis or the pool on scrape.
+
+const PREFIX = 'tamilblasters_';
+const metrics = new Map(); // name -> metric
+const gauges = new Map(); // name -> { help, collect }
+
+function labelKey(labels = {}) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+function formatLabels(entries) {
+    if (entries.length === 0) return '';
+    const escape = value => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(',')}}`;
+}
+
+// Worker threads cannot share memory with the registry, so they report each update instead.
+function report(name, labels, value) {
+    parentPort.postMessage({ status: 'metric', name, labels, value });
+}
+
+function counter(name, help) {
+    const metric = {
+        type: 'counter', help, series: new Map(),
+        inc(labels = {}, value = 1) {
+            if (!isMainThread) return report(name, labels, value);
+            const key = labelKey(labels);
+            metric.series.set(key, (metric.series.get(key) || 0) + value);
+        },
+        record(labels, value) { metric.inc(labels, value); },
+        render(fullName) {
+            return [...metric.series].map(([key, value]) => `${fullName}${formatLabels(JSON.parse(key))} ${value}`);
+        },
+    };
+    metrics.set(name, metric);
+    return metric;
+}
+
+function histogram(name, help, buckets) {
+    const metric = {
+        type: 'histogram', help, series: new Map(),
+        observe(labels = {}, value) {
+            if (!isMainThread) return report(name, labels, value);
+            const key = labelKey(labels);
+            if (!metric.series.has(key)) metric.series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+            const entry = metric.series.get(key);
+            buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i]++; });
+            entry.sum += value;
+            entry.count++;
+        },
+        /**
+         * Observes the seconds elapsed since `startedAt`.
+         * @param {object} labels
+         * @param {bigint} startedAt - From `process.hrtime.bigint()`.
+         */
+        observeSince(labels, startedAt) {
+            metric.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        },
+        record(labels, value) { metric.observe(labels, value); },
+        render(fullName) {
+            const lines = [];
+            for (const [key, { counts, sum, count }] of metric.series) {
+                const entries = JSON.parse(key);
+                buckets.forEach((bound, i) => lines.push(`${fullName}_bucket${formatLabels([...entries, ['le', String(bound)]])} ${counts[i]}`));
+                lines.push(`${fullName}_bucket${formatLabels([...entries, ['le', '+Inf']])} ${count}`);
+                lines.push(`${fullName}_sum${formatLabels(entries)} ${sum}`);
+                lines.push(`${fullName}_count${formatLabels(entries)} ${count}`);
+            }
+            return lines;
+        },
+    };
+    metrics.set(name, metric);
+    return metric;
+}
+
+/**
+ * Registers a gauge whose value is read when /metrics is scraped. Only the main thread renders.
+ * @param {string} name - Without the common prefix.
+ * @param {string} help
+ * @param {function(): Promise<Array<[object, number]>>} collect - Resolves to [labels, value] pairs.
+ */
+function registerGauge(name, help, collect) {
+    gauges.set(name, { help, collect });
+}
+
+/**
+ * Applies an update posted by a worker thread.
+ * @param {{name: string, labels: object, value: number}} message
+ */
+function recordFromWorker({ name, labels, value }) {
+    const metric = metrics.get(name);
+    if (metric) metric.record(labels, value);
+}
+
+/**
+ * @returns {Promise<string>} Every metric in the Prometheus text format.
+ */
+async function render() {
+    const lines = [];
+    for (const [name, metric] of metrics) {
+        const fullName = PREFIX + name;
+        lines.push(`# HELP ${fullName} ${metric.help}`, `# TYPE ${fullName} ${metric.type}`, ...metric.render(fullName));
+    }
+    for (const [name, { help, collect }] of gauges) {
+        const fullName = PREFIX + name;
+        lines.push(`# HELP ${fullName} ${help}`, `# TYPE ${fullName} gauge`);
+        try {
+            for (const [labels, value] of await collect()) {
+                lines.push(`${fullName}${formatLabels(Object.entries(labels).map(([k, v]) => [k, String(v)]))} ${value}`);
+            }
+        } catch (error) {
+            // A gauge that cannot be read is left without samples rather than failing the scrape.
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * @param {Error} error - An axios error.
+ * @returns {string} The HTTP status, or the error code for failures without a response.
+ */
+function statusLabel(error) {
+    if (error.response) return String(error.response.status);
+    return error.code || 'network';
+}
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+module.exports = {
+    crawlRuns: counter('crawl_runs_total', 'Crawler runs by mode (regular or deep).'),
+    crawlDuration: histogram('crawl_run_duration_seconds', 'Duration of crawler runs, including all queued threads.', [30, 60, 300, 600, 1800, 3600, 7200]),
+    pagesFetched: counter('crawler_pages_fetched_total', 'Listing pages fetched, by source.'),
+    threadsFetched: counter('crawler_threads_fetched_total', 'Thread pages fetched, by content type.'),
+    fetchErrors: counter('crawler_fetch_errors_total', 'Failed forum fetches, by kind (page, thread, torrent) and HTTP status or error code.'),
+    crawlerChallenges: counter('crawler_challenges_total', 'Anti-bot challenges met by the crawler, by outcome (solved, failed, unsolved).'),
+    apiRequests: counter('external_api_requests_total', 'TMDb and OMDb requests, by api and outcome (success or the HTTP status / error code).'),
+    apiDuration: histogram('external_api_request_duration_seconds', 'TMDb and OMDb request latency, by api.', DURATION_BUCKETS),
+    apiCacheLookups: counter('external_api_cache_lookups_total', 'TMDb and OMDb response cache lookups, by api and result (hit or miss).'),
+    matchOutcomes: counter('match_outcomes_total', 'How threads were matched, by type and outcome (hint, cache, tmdb, omdb, review, orphan).'),
+    debridChecks: counter('debrid_checks_total', 'Debrid availability checks, by provider and outcome (success or the error code).'),
+    debridResolves: counter('debrid_resolves_total', 'Debrid link resolutions, by provider and outcome (success or the error code).'),
+    stremioRequests: counter('stremio_requests_total', 'Stremio addon requests, by route, content type and status.'),
+    stremioDuration: histogram('stremio_request_duration_seconds', 'Stremio addon request latency, by route.', DURATION_BUCKETS),
+    statusLabel,
+    registerGauge,
+    recordFromWorker,
+    render,
+};
@@ -7,11 +7,12 @@ const logger = require('./logger');
 const OMDB_API_BASE = `http://www.omdbapi.com/`;
 
 /**
- * Searches OMDb for a series by title.
+ * Searches OMDb for a series or movie by title.
  * @param {string} title - The title to search for.
+ * @param {string} [type] - 'series' or 'movie'.
  * @returns {Promise<object|null>} The OMDb result, containing an IMDb ID.
  */
-async function searchOmdb(title) {
+async function searchOmdb(title, type = 'series') {
     if (!config.OMDB_API_KEY) {
         logger.warn('OMDB_API_KEY is not set. Skipping OMDb search.');
         return null;
@@ -20,13 +21,13 @@ async function searchOmdb(title) {
     const searchParams = new URLSearchParams({
         apikey: config.OMDB_API_KEY,
         t: title,
-        type: 'series',
+        type,
     });
 
     try {
         const { data } = await apiClient.get(`${OMDB_API_BASE}?${searchParams.toString()}`, { timeout: 7000 });
         if (data && data.Response === 'True' && data.imdbID) {
-            logger.info({ title, imdbId: data.imdbID }, 'Found OMDb match.');
+            logger.info({ title, type, imdbId: data.imdbID }, 'Found OMDb match.');
             // Return a standardized object
             return {
                 imdbId: data.imdbID,
@@ -0,0 +1,177 @@
+// src/utils/ranking.js
+
+const logger = require('./logger');
+const config = require('./config');
+const { resolutionValue, sizeInGb } = require('./userConfig');
+
+// Each factor scores a stream between 0 and 1 and is multiplied by its weight. A negative
+// weight inverts a factor, e.g. `size:-10` prefers small files. The defaults keep the
+// preferred language on top, then singles or packs, then the preferred codec and quality.
+const DEFAULT_WEIGHTS = {
+    language: 1000,
+    exactEpisode: 100,
+    codec: 50,
+    resolution: 20,
+    size: 8,
+    health: 4,
+    recency: 2,
+};
+// Applied in order when two streams score the same. All of them put the larger value first.
+const TIE_BREAKERS = {
+    season: stream => stream.season || 0,
+    episode: stream => (stream.episodes && stream.episodes[0]) || 0,
+    resolution: stream => resolutionValue(stream.resolution),
+    size: stream => sizeInGb(stream.size) || 0,
+    recency: stream => Date.parse(stream.firstSeenAt) || 0,
+};
+const DEFAULT_TIE_BREAKERS = ['season', 'episode', 'resolution', 'size', 'recency'];
+
+const SIZE_BANDS_GB = [1, 2, 4, 8, 16]; // Sizes within a band score the same and fall through to the tie-breakers
+const RECENCY_HALF_LIFE_DAYS = 30;
+const DUPLICATE_SIZE_TOLERANCE = 0.1; // Re-uploads of a release differ by a few MB at most
+
+/**
+ * Merges the configured weights over the defaults, ignoring unknown factors.
+ * @param {object} overrides - factor -> number
+ * @returns {object}
+ */
+function resolveWeights(overrides = {}) {
+    const weights = { ...DEFAULT_WEIGHTS };
+    for (const [factor, weight] of Object.entries(overrides)) {
+        if (!(factor in DEFAULT_WEIGHTS) || !Number.isFinite(weight)) {
+            logger.warn({ factor, weight }, 'Ignoring unknown or invalid ranking weight.');
+            continue;
+        }
+        weights[factor] = weight;
+    }
+    return weights;
+}
+
+/**
+ * @param {string[]} names
+ * @returns {string[]} The known tie-breakers, in the given order.
+ */
+function resolveTieBreakers(names) {
+    const unknown = names.filter(name => !TIE_BREAKERS[name]);
+    if (unknown.length > 0) logger.warn({ unknown }, 'Ignoring unknown ranking tie-breakers.');
+    return names.filter(name => TIE_BREAKERS[name]);
+}
+
+const WEIGHTS = resolveWeights(config.RANKING_WEIGHTS);
+const TIE_BREAKER_ORDER = config.RANKING_TIE_BREAKERS.length > 0 ? resolveTieBreakers(config.RANKING_TIE_BREAKERS) : DEFAULT_TIE_BREAKERS;
+
+/**
+ * Scores every ranking factor of one stream between 0 and 1.
+ * @param {object} stream - A stored stream record with `release`.
+ * @param {object} userConfig
+ * @param {boolean} episodeRequested - Whether a single episode was asked for, so packs are a fallback.
+ * @returns {object} factor -> score
+ */
+function scoreFactors(stream, userConfig, episodeRequested) {
+    let language = 1;
+    if (userConfig.languages.length > 0) {
+        const positions = stream.languages.map(lang => userConfig.languages.indexOf(lang)).filter(pos => pos >= 0);
+        language = positions.length > 0 ? 1 - Math.min(...positions) / userConfig.languages.length : 0;
+    }
+
+    let exactEpisode = 0;
+    if (episodeRequested) {
+        exactEpisode = stream.isSeasonPack ? 0 : stream.isEpisodePack ? 0.5 : 1;
+        if (userConfig.packs === 'prefer') exactEpisode = 1 - exactEpisode;
+    }
+
+    const release = stream.release || {};
+    const codec = userConfig.preferCodec && release.videoCodec === userConfig.preferCodec ? 1 : 0;
+
+    const sizeGb = sizeInGb(stream.size);
+    const size = sizeGb ? SIZE_BANDS_GB.filter(band => sizeGb >= band).length / SIZE_BANDS_GB.length : 0;
+
+    // Streams nobody has checked rank between dead and well-seeded ones. A magnet its thread
+    // no longer lists was most likely replaced for being broken.
+    let health = Number.isFinite(stream.seeders) ? Math.min(1, Math.log10(1 + stream.seeders) / 3) : 0.5;
+    if (stream.staleSince) health = 0;
+
+    const firstSeenAt = Date.parse(stream.firstSeenAt);
+    const recency = firstSeenAt ? 0.5 ** (Math.max(0, Date.now() - firstSeenAt) / (RECENCY_HALF_LIFE_DAYS * 864e5)) : 0;
+
+    return { language, exactEpisode, codec, resolution: Math.min(1, resolutionValue(stream.resolution) / 2160), size, health, recency };
+}
+
+/**
+ * @param {object} stream
+ * @returns {string} Identical for re-uploads of the same release under another site domain or tracker.
+ */
+function releaseKey(stream) {
+    const title = (stream.title || '')
+        .replace(/^www\.\S+\s*-\s*/i, '')
+        .toLowerCase()
+        .replace(/\b\d+(\.\d+)?\s*(gb|mb)\b/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+    return [stream.resolution, stream.season, (stream.episodes || []).join(','), title].join('|');
+}
+
+function isSimilarSize(a, b) {
+    const sizeA = sizeInGb(a.size);
+    const sizeB = sizeInGb(b.size);
+    if (!sizeA || !sizeB) return true;
+    return Math.abs(sizeA - sizeB) <= DUPLICATE_SIZE_TOLERANCE * Math.max(sizeA, sizeB);
+}
+
+/**
+ * Orders stream records by weighted score, then by the tie-breakers. Unless disabled, duplicates
+ * (the same info hash, or the same release name and resolution at about the same size) are
+ * collapsed into the best-ranked copy, and `userConfig.maxPerResolution` caps each resolution.
+ * @param {object[]} streams - Stored series or movie records, with `release` filled in.
+ * @param {object} userConfig - See utils/userConfig.
+ * @param {object} [options]
+ * @param {boolean} [options.episodeRequested] - A single episode was asked for.
+ * @param {object} [options.weights] - Defaults to the configured weights.
+ * @param {string[]} [options.tieBreakers] - Defaults to the configured order.
+ * @returns {object[]} The records to show, best first.
+ */
+function rankStreams(streams, userConfig, { episodeRequested = false, weights = WEIGHTS, tieBreakers = TIE_BREAKER_ORDER } = {}) {
+    const scored = streams.map(stream => {
+        const factors = scoreFactors(stream, userConfig, episodeRequested);
+        const score = Object.entries(weights).reduce((sum, [factor, weight]) => sum + weight * factors[factor], 0);
+        return { stream, score };
+    });
+
+    scored.sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        for (const name of tieBreakers) {
+            const diff = TIE_BREAKERS[name](b.stream) - TIE_BREAKERS[name](a.stream);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    });
+
+    const seenHashes = new Set();
+    const keptByRelease = new Map();
+    const perResolution = new Map();
+    const ranked = [];
+    for (const { stream } of scored) {
+        if (config.RANKING_COLLAPSE_DUPLICATES) {
+            if (seenHashes.has(stream.infoHash)) continue;
+            const key = releaseKey(stream);
+            const copies = keptByRelease.get(key) || [];
+            if (copies.some(kept => isSimilarSize(kept, stream))) continue;
+            seenHashes.add(stream.infoHash);
+            keptByRelease.set(key, [...copies, stream]);
+        }
+        if (userConfig.maxPerResolution) {
+            const bucket = resolutionValue(stream.resolution);
+            const count = perResolution.get(bucket) || 0;
+            if (count >= userConfig.maxPerResolution) continue;
+            perResolution.set(bucket, count + 1);
+        }
+        ranked.push(stream);
+    }
+
+    if (ranked.length < streams.length) {
+        logger.debug({ streams: streams.length, shown: ranked.length }, 'Collapsed duplicate or capped streams.');
+    }
+    return ranked;
+}
+
+module.exports = { DEFAULT_WEIGHTS, DEFAULT_TIE_BREAKERS, rankStreams };
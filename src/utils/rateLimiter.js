@@ -0,0 +1,89 @@
+// src/utils/rateLimiter.js
+
+const redis = require('../database/redis');
+const logger = require('./logger');
+
+// SCHEMA:
+// ratelimit:{name} -> HASH { tokens, updatedAt }, a token bucket shared by every worker thread
+// ratelimit:{name}:blocked -> set with a TTL while the API asked us to back off (Retry-After)
+const KEY_PREFIX = 'ratelimit:';
+const WINDOW_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Takes a token if one is available. Returns 0 when it did, otherwise the milliseconds
+// until one will be (or until the back-off ends).
+redis.defineCommand('takeToken', {
+    numberOfKeys: 2,
+    lua: `
+        local blocked = redis.call('PTTL', KEYS[2])
+        if blocked > 0 then return blocked end
+        local capacity = tonumber(ARGV[1])
+        local perMs = tonumber(ARGV[2])
+        local now = tonumber(ARGV[3])
+        local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+        local tokens = tonumber(state[1]) or capacity
+        local updatedAt = tonumber(state[2]) or now
+        tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * perMs)
+        local wait = 0
+        if tokens >= 1 then
+            tokens = tokens - 1
+        else
+            wait = math.ceil((1 - tokens) / perMs)
+        end
+        redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', tostring(now))
+        redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / perMs) + 1000)
+        return wait
+    `,
+});
+
+/**
+ * Parses a budget such as "40/10s" or "1000/1d".
+ * @param {string} text
+ * @returns {{capacity: number, perMs: number}|null} null when the text is not a valid budget.
+ */
+function parseRate(text) {
+    const match = String(text || '').trim().match(/^(\d+)\s*\/\s*(\d*)\s*([smhd])$/i);
+    if (!match) return null;
+    const capacity = parseInt(match[1], 10);
+    const windowMs = (parseInt(match[2], 10) || 1) * WINDOW_UNITS[match[3].toLowerCase()];
+    if (capacity === 0) return null;
+    return { capacity, perMs: capacity / windowMs };
+}
+
+function rateLimitError(name, waitMs) {
+    const error = new Error(`Rate limit for ${name} would need a ${Math.ceil(waitMs / 1000)}s wait.`);
+    error.code = 'RATE_LIMITED';
+    return error;
+}
+
+/**
+ * Waits until the named bucket has a token and takes it. Buckets start full, so a budget
+ * of "1000/1d" allows a burst of 1000 and then one request every 86 seconds.
+ * @param {string} name - e.g. 'tmdb'.
+ * @param {{capacity: number, perMs: number}} rate - See `parseRate`.
+ * @param {number} maxWaitMs - Longest total wait before giving up.
+ * @throws {Error} with `code` "RATE_LIMITED" when the wait would be longer.
+ */
+async function acquire(name, rate, maxWaitMs) {
+    const key = `${KEY_PREFIX}${name}`;
+    let waited = 0;
+    for (;;) {
+        const wait = await redis.takeToken(key, `${key}:blocked`, rate.capacity, rate.perMs, Date.now());
+        if (wait <= 0) return;
+        if (waited + wait > maxWaitMs) throw rateLimitError(name, waited + wait);
+        logger.debug({ name, wait }, 'Waiting for the rate limiter.');
+        await new Promise(resolve => setTimeout(resolve, wait));
+        waited += wait;
+    }
+}
+
+/**
+ * Makes every worker hold off requests to the named API, e.g. after a 429 with Retry-After.
+ * @param {string} name
+ * @param {number} ms
+ */
+async function block(name, ms) {
+    await redis.set(`${KEY_PREFIX}${name}:blocked`, '1', 'PX', Math.max(1, Math.ceil(ms)));
+    logger.warn({ name, seconds: Math.ceil(ms / 1000) }, 'Backing off from API.');
+}
+
+module.exports = { parseRate, acquire, block };
@@ -3,41 +3,115 @@
 const apiClient = require('./apiClient');
 const config = require('./config');
 const logger = require('./logger');
+const { scoreCandidates, summarizeCandidate, describeMatch } = require('./metadataMatch');
 
 const TMDB_API_BASE = 'https://api.themoviedb.org/3';
+const TMDB_IMAGE_BASE = 'https://image.tmdb.org/t/p';
 
-async function searchTv(title, year) {
+// TMDb's TV genre list. IDs are stable, so /find results (which only carry
+// genre_ids) can be named without an extra request.
+const TV_GENRES = {
+    10759: 'Action & Adventure', 16: 'Animation', 35: 'Comedy', 80: 'Crime', 99: 'Documentary',
+    18: 'Drama', 10751: 'Family', 10762: 'Kids', 9648: 'Mystery', 10763: 'News', 10764: 'Reality',
+    10765: 'Sci-Fi & Fantasy', 10766: 'Soap', 10767: 'Talk', 10768: 'War & Politics', 37: 'Western'
+};
+
+const MOVIE_GENRES = {
+    28: 'Action', 12: 'Adventure', 16: 'Animation', 35: 'Comedy', 80: 'Crime', 99: 'Documentary',
+    18: 'Drama', 10751: 'Family', 14: 'Fantasy', 36: 'History', 27: 'Horror', 10402: 'Music',
+    9648: 'Mystery', 10749: 'Romance', 878: 'Science Fiction', 10770: 'TV Movie', 53: 'Thriller',
+    10752: 'War', 37: 'Western'
+};
+
+function genreNames(show, genreMap = TV_GENRES) {
+    if (Array.isArray(show.genres)) return show.genres.map(g => g.name);
+    return (show.genre_ids || []).map(id => genreMap[id]).filter(Boolean);
+}
+
+function imageUrl(path, size = 'w500') {
+    return path ? `${TMDB_IMAGE_BASE}/${size}${path}` : null;
+}
+
+const REVIEW_CANDIDATES = 5;
+
+/**
+ * Whether the best candidate is clearly the right one: above MATCH_MIN_SCORE and ahead of the
+ * runner-up by at least MATCH_REVIEW_MARGIN.
+ * @param {object[]} candidates - Sorted, from `scoreCandidates`.
+ * @returns {boolean}
+ */
+function isConfidentMatch(candidates) {
+    if (candidates.length === 0 || candidates[0].score < config.MATCH_MIN_SCORE) return false;
+    return candidates.length === 1 || candidates[0].score - candidates[1].score >= config.MATCH_REVIEW_MARGIN;
+}
+
+/**
+ * Runs a TMDb search, first narrowed to the given year and then without it, and scores every
+ * result against the title (see utils/metadataMatch). Results below MATCH_REVIEW_SCORE are
+ * rejected, so a generic title does not latch onto whichever show TMDb lists first. Between
+ * that and a confident match, the result is flagged for manual review.
+ * @param {string} kind - 'tv' or 'movie'.
+ * @param {string} yearParam - The year filter TMDb uses for this kind.
+ * @param {string} title
+ * @param {string|null} year
+ * @returns {Promise<object|null>} The best search result, with `match` describing its score and the
+ *   runners-up. An ambiguous match has `match.ambiguous` set and the top `match.candidates` for review.
+ */
+async function searchTmdb(kind, yearParam, title, year) {
     if (!config.TMDB_API_KEY) {
         logger.warn('TMDB_API_KEY is not set. Skipping metadata search.');
         return null;
     }
+    const type = kind === 'tv' ? 'series' : 'movie';
     const searchParams = new URLSearchParams({ api_key: config.TMDB_API_KEY, query: title });
-    if (year) {
-        searchParams.append('first_air_date_year', year);
+    const results = new Map(); // id -> result, across both searches
+    let candidates = [];
+
+    for (const withYear of year ? [true, false] : [false]) {
+        if (withYear) {
+            searchParams.set(yearParam, year);
+        } else {
+            searchParams.delete(yearParam);
+        }
         try {
-            const { data } = await apiClient.get(`${TMDB_API_BASE}/search/tv?${searchParams.toString()}`, { timeout: 7000 });
-            if (data.results && data.results.length > 0) {
-                logger.info({ title, year }, 'Found TMDb match with year.');
-                return data.results[0];
-            }
+            const { data } = await apiClient.get(`${TMDB_API_BASE}/search/${kind}?${searchParams.toString()}`, { timeout: 7000 });
+            (data.results || []).forEach(result => results.set(result.id, result));
         } catch (e) {
-            logger.warn({ err: e.message, title, year }, 'TMDb search with year failed.');
+            logger.warn({ err: e.message, title, year, withYear, kind }, 'TMDb search failed.');
         }
-    }
-    searchParams.delete('first_air_date_year');
-    try {
-        const { data } = await apiClient.get(`${TMDB_API_BASE}/search/tv?${searchParams.toString()}`, { timeout: 7000 });
-        if (data.results && data.results.length > 0) {
-            logger.info({ title }, 'Found TMDb match without year.');
-            return data.results[0];
+        candidates = scoreCandidates([...results.values()], { title, year, type });
+        if (isConfidentMatch(candidates)) {
+            const match = describeMatch(candidates);
+            logger.info({ title, year, kind, tmdbId: candidates[0].id, score: match.score, runnersUp: match.runnersUp }, 'Found TMDb match.');
+            return { ...candidates[0].result, match };
         }
-    } catch (e) {
-        logger.error({ err: e.message, title }, 'Final TMDb search without year failed after retries.');
     }
-    logger.warn({ title, year }, 'No TMDb match found.');
+
+    if (candidates.length > 0 && candidates[0].score >= config.MATCH_REVIEW_SCORE) {
+        const reviewCandidates = candidates.slice(0, REVIEW_CANDIDATES).map(candidate => ({
+            ...summarizeCandidate(candidate),
+            poster: imageUrl(candidate.result.poster_path, 'w185'),
+            overview: candidate.result.overview || null,
+        }));
+        logger.info({ title, year, kind, candidates: reviewCandidates.map(summarizeCandidate) }, 'TMDb match is ambiguous. Needs review.');
+        return { ...candidates[0].result, match: { ...describeMatch(candidates), ambiguous: true, candidates: reviewCandidates } };
+    }
+    if (candidates.length > 0) {
+        logger.warn({ title, year, kind, best: candidates.slice(0, 3).map(summarizeCandidate), minScore: config.MATCH_REVIEW_SCORE }, 'No TMDb result scored high enough.');
+    } else {
+        logger.warn({ title, year, kind }, 'No TMDb match found.');
+    }
     return null;
 }
 
+async function searchTv(title, year) {
+    return searchTmdb('tv', 'first_air_date_year', title, year);
+}
+
+async function searchMovie(title, year) {
+    return searchTmdb('movie', 'primary_release_year', title, year);
+}
+
 async function getTvDetails(id) { // Accepts either tmdbId (number) or imdbId (string)
     if (!config.TMDB_API_KEY) return null;
 
@@ -56,7 +130,7 @@ async function getTvDetails(id) { // Accepts either tmdbId (number) or imdbId (s
 
             if (imdbId && tmdbId) {
                 logger.info({ tmdbId, imdbId }, 'Fetched TV details and confirmed ID pair.');
-                return { tmdbId, imdbId, name: show.name, poster_path: show.poster_path, first_air_date: show.first_air_date };
+                return { tmdbId, imdbId, name: show.name, poster_path: show.poster_path, first_air_date: show.first_air_date, genres: genreNames(show) };
             }
         }
     } catch (e) {
@@ -65,4 +139,96 @@ async function getTvDetails(id) { // Accepts either tmdbId (number) or imdbId (s
     return null;
 }
 
-module.exports = { searchTv, getTvDetails };
+/**
+ * Fetches the episode list of a single season.
+ * @param {string|number} tmdbId - The TMDb series ID.
+ * @param {number} seasonNumber - The TMDb season number.
+ * @returns {Promise<Array<object>|null>} The season's episodes, or null on failure.
+ */
+async function getSeasonEpisodes(tmdbId, seasonNumber) {
+    if (!config.TMDB_API_KEY) return null;
+    try {
+        const { data } = await apiClient.get(`${TMDB_API_BASE}/tv/${tmdbId}/season/${seasonNumber}?api_key=${config.TMDB_API_KEY}`, { timeout: 7000 });
+        return (data.episodes || []).map(ep => ({
+            season: ep.season_number,
+            episode: ep.episode_number,
+            name: ep.name,
+            overview: ep.overview,
+            airDate: ep.air_date || null,
+            thumbnail: imageUrl(ep.still_path, 'w300'),
+        }));
+    } catch (e) {
+        logger.warn({ err: e.message, tmdbId, seasonNumber }, 'Failed to fetch TMDb season details.');
+        return null;
+    }
+}
+
+/**
+ * Fetches everything needed to render a series detail page: show details plus
+ * the episode list of every season.
+ * @param {string|number} tmdbId - The TMDb series ID.
+ * @returns {Promise<object|null>} The series details with a flat `episodes` array. `complete`
+ *   is false when a season could not be fetched, so its episodes are missing.
+ */
+async function getTvMeta(tmdbId) {
+    if (!config.TMDB_API_KEY) return null;
+    try {
+        const { data: show } = await apiClient.get(`${TMDB_API_BASE}/tv/${tmdbId}?api_key=${config.TMDB_API_KEY}&append_to_response=external_ids`, { timeout: 7000 });
+
+        const episodes = [];
+        let complete = true;
+        for (const season of show.seasons || []) {
+            const seasonEpisodes = await getSeasonEpisodes(tmdbId, season.season_number);
+            if (seasonEpisodes) episodes.push(...seasonEpisodes);
+            else complete = false;
+        }
+
+        logger.info({ tmdbId, seasons: (show.seasons || []).length, episodes: episodes.length, complete }, 'Fetched TMDb series metadata.');
+        return {
+            tmdbId: show.id,
+            imdbId: show.external_ids ? show.external_ids.imdb_id : null,
+            name: show.name,
+            overview: show.overview,
+            poster: imageUrl(show.poster_path),
+            background: imageUrl(show.backdrop_path, 'original'),
+            genres: genreNames(show),
+            firstAirDate: show.first_air_date || null,
+            lastAirDate: show.last_air_date || null,
+            inProduction: !!show.in_production,
+            episodes,
+            complete,
+        };
+    } catch (e) {
+        logger.error({ err: e.message, tmdbId }, 'Failed to fetch TMDb series metadata.');
+        return null;
+    }
+}
+
+async function getMovieDetails(id) { // Accepts either tmdbId (number) or imdbId (string)
+    if (!config.TMDB_API_KEY) return null;
+
+    const isImdb = id.toString().startsWith('tt');
+    const findUrl = `${TMDB_API_BASE}/${isImdb ? 'find' : 'movie'}/${id}?api_key=${config.TMDB_API_KEY}${isImdb ? '&external_source=imdb_id' : ''}`;
+
+    try {
+        const { data } = await apiClient.get(findUrl, { timeout: 7000 });
+
+        const results = isImdb ? data.movie_results : [data];
+
+        if (results && results.length > 0) {
+            const movie = results[0];
+            const imdbId = isImdb ? id : movie.imdb_id;
+            const tmdbId = movie.id;
+
+            if (imdbId && tmdbId) {
+                logger.info({ tmdbId, imdbId }, 'Fetched movie details and confirmed ID pair.');
+                return { tmdbId, imdbId, name: movie.title, poster_path: movie.poster_path, release_date: movie.release_date, genres: genreNames(movie, MOVIE_GENRES) };
+            }
+        }
+    } catch (e) {
+        logger.error({ err: e.message, id }, 'Final attempt to get movie details from TMDb failed.');
+    }
+    return null;
+}
+
+module.exports = { TV_GENRES, MOVIE_GENRES, searchTv, searchMovie, getTvDetails, getMovieDetails, getSeasonEpisodes, getTvMeta };
@@ -0,0 +1,158 @@
+// src/utils/userConfig.js
+
+const logger = require('./logger');
+
+// Languages the title parser can detect, in the order they are offered on /configure.
+const SUPPORTED_LANGUAGES = {
+    ta: 'Tamil', te: 'Telugu', hi: 'Hindi', ml: 'Malayalam', en: 'English', ko: 'Korean', ja: 'Japanese', zh: 'Chinese'
+};
+const RESOLUTIONS = ['480p', '720p', '1080p', '2160p'];
+// fallback: packs only when no single episode matches (the unconfigured behaviour)
+// all: singles and packs together, singles first; prefer: packs first; hide: never show packs
+const PACK_MODES = ['fallback', 'all', 'prefer', 'hide'];
+// Values of the `release` attributes parsed by titleParser.parseReleaseAttributes.
+const VIDEO_CODECS = ['AVC', 'HEVC', 'AV1'];
+const RELEASE_SOURCES = ['BluRay', 'WEB-DL', 'WEBRip', 'HDTV', 'HDRip', 'DVDRip', 'PreDVD', 'HDCAM', 'CAM'];
+// Debrid services with a client in src/debrid, in the order they are offered on /configure.
+const DEBRID_PROVIDERS = { realdebrid: 'Real-Debrid', alldebrid: 'AllDebrid', premiumize: 'Premiumize' };
+
+const DEFAULT_CONFIG = {
+    languages: [],
+    minResolution: null,
+    maxResolution: null,
+    maxSizeGb: null,
+    packs: 'fallback',
+    excludeCodecs: [],
+    preferCodec: null,
+    excludeSources: [],
+    requireSubtitles: false,
+    maxPerResolution: null,
+    debridProvider: null,
+    debridApiKey: null,
+};
+
+/**
+ * Converts a resolution label ("720p", "4K") into its vertical line count.
+ * @param {string} resolution
+ * @returns {number} 0 when unknown.
+ */
+function resolutionValue(resolution) {
+    if (!resolution) return 0;
+    if (/4k|uhd/i.test(resolution)) return 2160;
+    const match = String(resolution).match(/(\d{3,4})/);
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Converts a size label ("1.4GB", "700 MB") into gigabytes.
+ * @param {string} size
+ * @returns {number|null} null when the size is unknown.
+ */
+function sizeInGb(size) {
+    const match = size && size.match(/(\d+(\.\d+)?)\s*(GB|MB)/i);
+    if (!match) return null;
+    const value = parseFloat(match[1]);
+    return match[3].toUpperCase() === 'GB' ? value : value / 1000;
+}
+
+/**
+ * Drops unknown keys and invalid values so the rest of the code can trust the object.
+ * @param {object} raw
+ * @returns {object} A complete user config.
+ */
+function sanitizeConfig(raw) {
+    const userConfig = { ...DEFAULT_CONFIG };
+    if (!raw || typeof raw !== 'object') return userConfig;
+
+    if (Array.isArray(raw.languages)) {
+        userConfig.languages = raw.languages.filter(lang => SUPPORTED_LANGUAGES[lang]);
+    }
+    if (RESOLUTIONS.includes(raw.minResolution)) userConfig.minResolution = raw.minResolution;
+    if (RESOLUTIONS.includes(raw.maxResolution)) userConfig.maxResolution = raw.maxResolution;
+    const maxSizeGb = parseFloat(raw.maxSizeGb);
+    if (maxSizeGb > 0) userConfig.maxSizeGb = maxSizeGb;
+    if (PACK_MODES.includes(raw.packs)) userConfig.packs = raw.packs;
+    if (Array.isArray(raw.excludeCodecs)) {
+        userConfig.excludeCodecs = raw.excludeCodecs.filter(codec => VIDEO_CODECS.includes(codec));
+    }
+    if (VIDEO_CODECS.includes(raw.preferCodec)) userConfig.preferCodec = raw.preferCodec;
+    if (Array.isArray(raw.excludeSources)) {
+        userConfig.excludeSources = raw.excludeSources.filter(source => RELEASE_SOURCES.includes(source));
+    }
+    userConfig.requireSubtitles = raw.requireSubtitles === true;
+    const maxPerResolution = parseInt(raw.maxPerResolution, 10);
+    if (maxPerResolution > 0) userConfig.maxPerResolution = Math.min(maxPerResolution, 50);
+    // A key is only kept with a provider it belongs to.
+    if (DEBRID_PROVIDERS[raw.debridProvider] && typeof raw.debridApiKey === 'string' && /^[\w.-]{8,200}$/.test(raw.debridApiKey.trim())) {
+        userConfig.debridProvider = raw.debridProvider;
+        userConfig.debridApiKey = raw.debridApiKey.trim();
+    }
+    return userConfig;
+}
+
+/**
+ * Decodes the config segment of an install URL (base64url-encoded JSON).
+ * @param {string} encoded - The `:config` path parameter.
+ * @returns {object|null} The sanitized config, or null if it cannot be decoded.
+ */
+function parseConfig(encoded) {
+    if (!encoded) return { ...DEFAULT_CONFIG };
+    try {
+        const json = Buffer.from(encoded, 'base64url').toString('utf-8');
+        return sanitizeConfig(JSON.parse(json));
+    } catch (error) {
+        // The config is not logged: it may hold a debrid API key.
+        logger.warn({ err: error.message }, 'Could not decode user config from URL.');
+        return null;
+    }
+}
+
+/**
+ * Encodes a config object into the path segment used in install URLs.
+ * @param {object} userConfig
+ * @returns {string}
+ */
+function encodeConfig(userConfig) {
+    return Buffer.from(JSON.stringify(sanitizeConfig(userConfig))).toString('base64url');
+}
+
+/**
+ * Checks a stored stream record against the user's language, resolution, size and release limits.
+ * Streams with an unknown size, codec or source are kept; unknown resolutions are dropped only when a minimum is set.
+ * @param {object} stream - A parsed record from `stream:tmdb:{id}`.
+ * @param {object} userConfig
+ * @returns {boolean}
+ */
+function matchesConfig(stream, userConfig) {
+    if (userConfig.languages.length > 0 && !stream.languages.some(lang => userConfig.languages.includes(lang))) {
+        return false;
+    }
+    const resolution = resolutionValue(stream.resolution);
+    if (userConfig.minResolution && resolution < resolutionValue(userConfig.minResolution)) return false;
+    if (userConfig.maxResolution && resolution > resolutionValue(userConfig.maxResolution)) return false;
+    if (userConfig.maxSizeGb) {
+        const size = sizeInGb(stream.size);
+        if (size !== null && size > userConfig.maxSizeGb) return false;
+    }
+    if (userConfig.packs === 'hide' && (stream.isEpisodePack || stream.isSeasonPack)) return false;
+    const release = stream.release || {};
+    if (release.videoCodec && userConfig.excludeCodecs.includes(release.videoCodec)) return false;
+    if (release.source && userConfig.excludeSources.includes(release.source)) return false;
+    if (userConfig.requireSubtitles && !(release.subtitles && release.subtitles.length > 0)) return false;
+    return true;
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    RESOLUTIONS,
+    PACK_MODES,
+    VIDEO_CODECS,
+    RELEASE_SOURCES,
+    DEBRID_PROVIDERS,
+    DEFAULT_CONFIG,
+    resolutionValue,
+    sizeInGb,
+    parseConfig,
+    encodeConfig,
+    matchesConfig,
+};
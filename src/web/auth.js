@@ -0,0 +1,158 @@
+// src/web/auth.js
+
+const crypto = require('crypto');
+const redis = require('../database/redis');
+const config = require('../utils/config');
+const logger = require('../utils/logger');
+const { escapeHtml } = require('./layout');
+
+// SCHEMA:
+// admin:session:{id} -> JSON { csrfToken, createdAt }, expires after ADMIN_SESSION_HOURS
+const SESSION_PREFIX = 'admin:session:';
+const SESSION_COOKIE = 'admin_session';
+const FAILED_LOGIN_DELAY = 1000; // ms, slows down password guessing
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function isAuthConfigured() {
+    return Boolean(config.ADMIN_PASSWORD || config.ADMIN_TOKEN);
+}
+
+/**
+ * Compares two secrets in constant time. Hashing first makes the lengths equal.
+ * @param {string} given
+ * @param {string|null} expected
+ * @returns {boolean}
+ */
+function secretMatches(given, expected) {
+    if (!given || !expected) return false;
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+function readCookie(req, name) {
+    const header = req.headers.cookie;
+    if (!header) return null;
+    for (const part of header.split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) return decodeURIComponent(value.join('='));
+    }
+    return null;
+}
+
+/**
+ * Middleware that sets `req.admin` when the request carries a valid admin token or
+ * session cookie: { via: 'token' } or { via: 'session', sessionId, csrfToken }.
+ * Public requests pass through with `req.admin` set to null.
+ */
+async function loadAdmin(req, res, next) {
+    req.admin = null;
+    const authorization = req.get('authorization') || '';
+    if (authorization.startsWith('Bearer ')) {
+        if (secretMatches(authorization.slice('Bearer '.length).trim(), config.ADMIN_TOKEN)) {
+            req.admin = { via: 'token' };
+        }
+        return next();
+    }
+
+    const sessionId = readCookie(req, SESSION_COOKIE);
+    if (!sessionId || !config.ADMIN_PASSWORD) return next();
+    try {
+        const session = await redis.get(`${SESSION_PREFIX}${sessionId}`);
+        if (session) {
+            req.admin = { via: 'session', sessionId, csrfToken: JSON.parse(session).csrfToken };
+        }
+    } catch (error) {
+        logger.error({ err: error }, 'Failed to read admin session.');
+    }
+    next();
+}
+
+/**
+ * Middleware for admin-only routes. Browsers are sent to /login, API clients get 401.
+ * Unsafe requests from a cookie session must also carry the session's CSRF token,
+ * either as the `_csrf` form field or the `X-CSRF-Token` header.
+ */
+function requireAdmin(req, res, next) {
+    if (!isAuthConfigured()) {
+        return res.status(403).send('Admin access is disabled. Set ADMIN_PASSWORD or ADMIN_TOKEN to enable it.');
+    }
+    if (!req.admin) {
+        if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+            return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        }
+        return res.status(401).json({ error: 'Admin authentication required.' });
+    }
+    if (req.admin.via === 'session' && !SAFE_METHODS.includes(req.method)) {
+        const submitted = (req.body && req.body._csrf) || req.get('x-csrf-token');
+        if (!secretMatches(submitted, req.admin.csrfToken)) {
+            logger.warn({ path: req.path }, 'Rejected admin request with a missing or invalid CSRF token.');
+            return res.status(403).send('Invalid or missing CSRF token. Reload the page and try again.');
+        }
+    }
+    next();
+}
+
+/**
+ * Middleware for GET /metrics. Open unless METRICS_TOKEN is set; then Prometheus must send
+ * it as a bearer token. Signed-in admins can always look.
+ */
+function requireMetricsAccess(req, res, next) {
+    if (!config.METRICS_TOKEN || req.admin) return next();
+    const authorization = req.get('authorization') || '';
+    if (authorization.startsWith('Bearer ') && secretMatches(authorization.slice('Bearer '.length).trim(), config.METRICS_TOKEN)) {
+        return next();
+    }
+    res.status(401).send('Metrics token required.');
+}
+
+/**
+ * Checks the login password and starts a session.
+ * @param {object} req
+ * @param {object} res
+ * @param {string} password
+ * @returns {Promise<boolean>} false if the password is wrong.
+ */
+async function login(req, res, password) {
+    if (!secretMatches(password, config.ADMIN_PASSWORD)) {
+        logger.warn({ ip: req.ip }, 'Failed admin login attempt.');
+        await new Promise(resolve => setTimeout(resolve, FAILED_LOGIN_DELAY));
+        return false;
+    }
+    const sessionId = crypto.randomBytes(32).toString('hex');
+    const csrfToken = crypto.randomBytes(32).toString('hex');
+    const ttl = config.ADMIN_SESSION_HOURS * 60 * 60;
+    await redis.set(`${SESSION_PREFIX}${sessionId}`, JSON.stringify({ csrfToken, createdAt: new Date().toISOString() }), 'EX', ttl);
+    res.cookie(SESSION_COOKIE, sessionId, { httpOnly: true, sameSite: 'strict', secure: req.secure, path: '/', maxAge: ttl * 1000 });
+    logger.info({ ip: req.ip }, 'Admin signed in.');
+    return true;
+}
+
+/**
+ * Ends the current session, if any.
+ */
+async function logout(req, res) {
+    if (req.admin && req.admin.sessionId) {
+        await redis.del(`${SESSION_PREFIX}${req.admin.sessionId}`);
+    }
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * The hidden form field that carries the CSRF token in admin forms.
+ * @param {object} req
+ * @returns {string} Empty when the request is not from a session.
+ */
+function csrfField(req) {
+    return req.admin && req.admin.csrfToken ? `<input type="hidden" name="_csrf" value="${escapeHtml(req.admin.csrfToken)}">` : '';
+}
+
+/**
+ * Only allows redirects to local paths after login.
+ * @param {string} next
+ * @returns {string}
+ */
+function safeRedirectPath(next) {
+    return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') && !next.startsWith('/\\') ? next : '/';
+}
+
+module.exports = { isAuthConfigured, loadAdmin, requireAdmin, requireMetricsAccess, login, logout, csrfField, safeRedirectPath };
@@ -0,0 +1,137 @@
+// src/web/configurePage.js
+
+const { renderPage, escapeHtml } = require('./layout');
+const { SUPPORTED_LANGUAGES, RESOLUTIONS, PACK_MODES, VIDEO_CODECS, RELEASE_SOURCES, DEBRID_PROVIDERS } = require('../utils/userConfig');
+
+const PACK_LABELS = {
+    fallback: 'Packs only when no single episode exists',
+    all: 'Show singles and packs (singles first)',
+    prefer: 'Show singles and packs (packs first)',
+    hide: 'Never show packs',
+};
+
+function resolutionOptions(selected) {
+    return ['<option value="">Any</option>']
+        .concat(RESOLUTIONS.map(res => `<option value="${res}"${res === selected ? ' selected' : ''}>${res}</option>`))
+        .join('');
+}
+
+// JSON for an inline <script>: "<" is escaped, so a value holding "</script>" cannot end the script.
+function inlineJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function checkboxes(name, values, checked) {
+    return values
+        .map(value => `
+            <label style="margin-right: 15px;">
+                <input type="checkbox" name="${name}" value="${value}"${checked.includes(value) ? ' checked' : ''}> ${value}
+            </label>`)
+        .join('');
+}
+
+/**
+ * Renders the /configure page. The form is turned into an install URL in the
+ * browser, so no preferences are ever stored on the server.
+ * @param {object} options
+ * @param {object} options.manifest - The addon manifest.
+ * @param {string} options.baseUrl - The public origin of the addon, e.g. "https://host:7000".
+ * @param {object} options.userConfig - The config to pre-fill, e.g. when reconfiguring.
+ * @returns {string}
+ */
+function renderConfigurePage({ manifest, baseUrl, userConfig }) {
+    const languageCheckboxes = Object.entries(SUPPORTED_LANGUAGES)
+        .map(([code, label]) => `
+            <label style="margin-right: 15px;">
+                <input type="checkbox" name="languages" value="${code}"${userConfig.languages.includes(code) ? ' checked' : ''}> ${label}
+            </label>`)
+        .join('');
+    const packOptions = PACK_MODES
+        .map(mode => `<option value="${mode}"${mode === userConfig.packs ? ' selected' : ''}>${PACK_LABELS[mode]}</option>`)
+        .join('');
+    const codecOptions = ['<option value="">No preference</option>']
+        .concat(VIDEO_CODECS.map(codec => `<option value="${codec}"${codec === userConfig.preferCodec ? ' selected' : ''}>${codec}</option>`))
+        .join('');
+    const debridOptions = ['<option value="">None (P2P only)</option>']
+        .concat(Object.entries(DEBRID_PROVIDERS).map(([name, label]) => `<option value="${name}"${name === userConfig.debridProvider ? ' selected' : ''}>${label}</option>`))
+        .join('');
+
+    const body = `
+        <h1>Configure ${manifest.name}</h1>
+        <p style="text-align:center;">Choose which streams you want to see. Your choices are saved in the install link itself.</p>
+        <form id="config-form" onsubmit="return false;">
+            <div class="section">
+                <h2>Preferred Languages</h2>
+                <p>Only streams in at least one ticked language are shown, ordered by the first ticked language they contain. Leave all unticked to see everything.</p>
+                ${languageCheckboxes}
+            </div>
+            <div class="section">
+                <h2>Quality</h2>
+                <p>
+                    Minimum resolution <select name="minResolution">${resolutionOptions(userConfig.minResolution)}</select>
+                    Maximum resolution <select name="maxResolution">${resolutionOptions(userConfig.maxResolution)}</select>
+                </p>
+                <p>Maximum size (GB) <input type="number" name="maxSizeGb" min="0" step="0.1" value="${userConfig.maxSizeGb || ''}" placeholder="No limit"></p>
+                <p>Streams per resolution <input type="number" name="maxPerResolution" min="1" max="50" step="1" value="${userConfig.maxPerResolution || ''}" placeholder="No limit"></p>
+            </div>
+            <div class="section">
+                <h2>Season &amp; Episode Packs</h2>
+                <select name="packs">${packOptions}</select>
+            </div>
+            <div class="section">
+                <h2>Codecs &amp; Sources</h2>
+                <p>Hide these video codecs, e.g. HEVC if your TV cannot play it. Streams whose codec is not in the name are always shown.</p>
+                ${checkboxes('excludeCodecs', VIDEO_CODECS, userConfig.excludeCodecs)}
+                <p>Prefer codec <select name="preferCodec">${codecOptions}</select></p>
+                <p>Hide these release sources:</p>
+                ${checkboxes('excludeSources', RELEASE_SOURCES, userConfig.excludeSources)}
+                <p><label><input type="checkbox" name="requireSubtitles" value="1"${userConfig.requireSubtitles ? ' checked' : ''}> Only show releases with subtitles</label></p>
+            </div>
+            <div class="section">
+                <h2>Debrid</h2>
+                <p>Torrents ready in your debrid account are played from it directly and marked with ⚡. On Real-Debrid and AllDebrid, the others are marked ⬇ and playing one starts its download there; on Premiumize they stay P2P.</p>
+                <p>
+                    Service <select name="debridProvider">${debridOptions}</select>
+                    API key <input type="password" name="debridApiKey" value="${escapeHtml(userConfig.debridApiKey || '')}" autocomplete="off" style="width: 280px;">
+                </p>
+                <p>The key is saved in the install link: do not share the link with anyone.</p>
+            </div>
+            <div style="text-align:center;">
+                <a id="install-link" href="#" class="install-button">Install Addon</a>
+                <p><code id="manifest-url"></code></p>
+            </div>
+        </form>
+        <script>
+            const form = document.getElementById('config-form');
+            function toBase64Url(text) {
+                return btoa(unescape(encodeURIComponent(text))).replace(/\\+/g, '-').replace(/\\//g, '_').replace(/=+$/, '');
+            }
+            function update() {
+                const data = new FormData(form);
+                const config = {
+                    languages: data.getAll('languages'),
+                    minResolution: data.get('minResolution') || null,
+                    maxResolution: data.get('maxResolution') || null,
+                    maxSizeGb: parseFloat(data.get('maxSizeGb')) || null,
+                    maxPerResolution: parseInt(data.get('maxPerResolution'), 10) || null,
+                    packs: data.get('packs'),
+                    excludeCodecs: data.getAll('excludeCodecs'),
+                    preferCodec: data.get('preferCodec') || null,
+                    excludeSources: data.getAll('excludeSources'),
+                    requireSubtitles: data.has('requireSubtitles'),
+                    debridProvider: data.get('debridProvider') || null,
+                    debridApiKey: data.get('debridProvider') ? data.get('debridApiKey').trim() || null : null,
+                };
+                const manifestUrl = ${inlineJson(baseUrl)} + '/' + toBase64Url(JSON.stringify(config)) + '/manifest.json';
+                document.getElementById('manifest-url').textContent = manifestUrl;
+                document.getElementById('install-link').href = 'stremio://' + manifestUrl.replace(/^https?:\\/\\//, '');
+            }
+            form.addEventListener('change', update);
+            form.addEventListener('input', update);
+            update();
+        </script>
+    `;
+    return renderPage(`Configure ${manifest.name}`, body);
+}
+
+module.exports = { renderConfigurePage };
@@ -0,0 +1,73 @@
+// src/web/episodeMapsPage.js
+
+const { renderPage, escapeHtml } = require('./layout');
+const { formatSeasonMap } = require('../database/episodeMaps');
+
+function ruleFields(rule = {}) {
+    return `
+        <input type="text" name="seasonOffset" value="${escapeHtml(rule.seasonOffset || '')}" placeholder="Season offset" style="width: 110px;">
+        <input type="text" name="seasonMap" value="${escapeHtml(formatSeasonMap(rule.seasonMap))}" placeholder="Season map, e.g. 3:1, 4:2:-10" style="flex-grow: 1;">
+        <label style="margin-right: 10px;"><input type="checkbox" name="absolute" value="1"${rule.absolute ? ' checked' : ''}> Absolute episodes</label>
+        <input type="text" name="note" value="${escapeHtml(rule.note)}" placeholder="Note" style="flex-grow: 1;">`;
+}
+
+function renderRuleRow(rule, csrfField) {
+    const tmdbId = encodeURIComponent(rule.tmdbId);
+    return `
+        <tr>
+            <td><a href="https://www.themoviedb.org/tv/${tmdbId}" target="_blank" rel="noopener">${escapeHtml(rule.tmdbId)}</a></td>
+            <td>
+                <form action="/api/episode-maps/${tmdbId}" method="POST" style="display: flex; align-items: center; flex-wrap: wrap;">
+                    ${csrfField}
+                    ${ruleFields(rule)}
+                    <button type="submit">Save</button>
+                </form>
+            </td>
+            <td>
+                <form action="/api/episode-maps/${tmdbId}/delete" method="POST" onsubmit="return confirm('Delete this episode map?');">
+                    ${csrfField}
+                    <button type="submit" class="danger">Delete</button>
+                </form>
+            </td>
+        </tr>`;
+}
+
+/**
+ * Renders the /episode-maps page, where per-show season and episode remapping is edited.
+ * @param {object} options
+ * @param {object[]} options.rules - From `episodeMaps.listEpisodeMaps`.
+ * @param {string} options.csrfField - Hidden CSRF input added to every action form (see web/auth).
+ * @returns {string}
+ */
+function renderEpisodeMapsPage({ rules, csrfField }) {
+    const body = `
+        <h1>Episode Numbering</h1>
+        <p style="text-align:center;"><a href="/">&larr; Back to status</a></p>
+        <div class="section">
+            <p>Maps the forum's season and episode numbers onto TMDb's for one series. Changes apply to stored streams immediately.</p>
+            <ul>
+                <li><b>Season offset</b> is added to the forum season: <code>-2</code> turns "Season 3" into TMDb season 1.</li>
+                <li><b>Season map</b> sends single forum seasons elsewhere and wins over the offset: <code>3:1</code>, or <code>4:2:-10</code> for season 2 with episodes shifted down by 10.</li>
+                <li><b>Absolute episodes</b> converts episode numbers that run past the end of their season, counting from season 1 with TMDb's episode counts.</li>
+            </ul>
+            <h2>Add a Series</h2>
+            <form id="new-map" method="POST" style="display: flex; align-items: center; flex-wrap: wrap;"
+                  onsubmit="this.action = '/api/episode-maps/' + encodeURIComponent(this.tmdbId.value.trim());">
+                ${csrfField}
+                <input type="text" name="tmdbId" placeholder="TMDb ID" required pattern="\\d+" style="width: 100px;">
+                ${ruleFields()}
+                <button type="submit">Save</button>
+            </form>
+        </div>
+        <div class="section">
+            <h2>Current Maps (${rules.length})</h2>
+            <table>
+                <tr><th>TMDb ID</th><th>Offset / Season Map / Absolute / Note</th><th></th></tr>
+                ${rules.map(rule => renderRuleRow(rule, csrfField)).join('') || '<tr><td colspan="3">No episode maps configured.</td></tr>'}
+            </table>
+        </div>
+    `;
+    return renderPage('Episode Numbering', body);
+}
+
+module.exports = { renderEpisodeMapsPage };
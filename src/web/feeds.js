@@ -0,0 +1,120 @@
+// src/web/feeds.js
+
+const { escapeHtml } = require('./layout');
+const { getTrackers } = require('../utils/trackers');
+const { SUPPORTED_LANGUAGES } = require('../utils/userConfig');
+
+const FEED_FORMATS = ['rss', 'atom'];
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+/**
+ * Formats the episodes a series stream covers, e.g. "S01E04", "S01E01-E08" or "S01 (season pack)".
+ * @param {object} stream - A stored series record.
+ * @returns {string}
+ */
+function episodeLabel(stream) {
+    const season = `S${pad(stream.season)}`;
+    const episodes = stream.episodes || [];
+    if (stream.isSeasonPack || episodes.length === 0) return `${season} (season pack)`;
+    if (episodes.length > 1) return `${season}E${pad(episodes[0])}-E${pad(episodes[episodes.length - 1])}`;
+    return `${season}E${pad(episodes[0])}`;
+}
+
+/**
+ * Builds the magnet link of a stream, with the release name and the current best trackers.
+ * @param {object} stream
+ * @returns {string}
+ */
+function magnetLink(stream) {
+    const trackers = getTrackers().map(tracker => `&tr=${encodeURIComponent(tracker)}`).join('');
+    return `magnet:?xt=urn:btih:${stream.infoHash}&dn=${encodeURIComponent(stream.title)}${trackers}`;
+}
+
+/**
+ * Turns a feed item from dataManager.getFeedItems into the fields both formats share.
+ * @param {object} item
+ * @returns {{id: string, title: string, summary: string, magnet: string, date: Date}}
+ */
+function describeItem({ type, tmdbId, showName, stream }) {
+    // Drop the "www.1TamilBlasters.xx - " prefix every release name starts with
+    const releaseName = stream.title.replace(/^www\.\S+\s*-\s*/i, '');
+    const name = showName || releaseName;
+    const languages = (stream.languages || []).map(lang => SUPPORTED_LANGUAGES[lang] || lang).join(', ');
+    const title = [name, type === 'series' ? episodeLabel(stream) : null, stream.resolution].filter(Boolean).join(' · ');
+    const summary = [
+        `Release: ${releaseName}`,
+        `Resolution: ${stream.resolution || 'N/A'}`,
+        `Size: ${stream.size || 'N/A'}`,
+        `Languages: ${languages || 'N/A'}`,
+    ].join('\n');
+    return { id: `${type}:${tmdbId}:${stream.id}`, title, summary, magnet: magnetLink(stream), date: new Date(stream.firstSeenAt) };
+}
+
+function renderRss({ title, selfUrl, siteUrl }, entries) {
+    const items = entries.map(entry => `
+    <item>
+      <title>${escapeHtml(entry.title)}</title>
+      <link>${escapeHtml(entry.magnet)}</link>
+      <guid isPermaLink="false">${escapeHtml(entry.id)}</guid>
+      <pubDate>${entry.date.toUTCString()}</pubDate>
+      <description>${escapeHtml(entry.summary.split('\n').map(escapeHtml).join('<br>'))}</description>
+    </item>`).join('');
+    const updated = entries.length > 0 ? entries[0].date : new Date();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeHtml(title)}</title>
+    <link>${escapeHtml(siteUrl)}</link>
+    <description>${escapeHtml(title)}</description>
+    <atom:link href="${escapeHtml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom({ title, selfUrl, siteUrl }, entries) {
+    const items = entries.map(entry => `
+  <entry>
+    <title>${escapeHtml(entry.title)}</title>
+    <id>urn:tamilblasters:stream:${escapeHtml(entry.id)}</id>
+    <link rel="alternate" href="${escapeHtml(entry.magnet)}"/>
+    <updated>${entry.date.toISOString()}</updated>
+    <published>${entry.date.toISOString()}</published>
+    <content type="text">${escapeHtml(entry.summary)}</content>
+  </entry>`).join('');
+    const updated = entries.length > 0 ? entries[0].date : new Date();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeHtml(title)}</title>
+  <id>${escapeHtml(selfUrl)}</id>
+  <link rel="self" href="${escapeHtml(selfUrl)}"/>
+  <link rel="alternate" href="${escapeHtml(siteUrl)}"/>
+  <author><name>${escapeHtml(title)}</name></author>
+  <updated>${updated.toISOString()}</updated>${items}
+</feed>
+`;
+}
+
+/**
+ * Renders newly added streams as an RSS 2.0 or Atom feed. Each item links to the magnet.
+ * RSS readers render the description as HTML, so its lines (forum text) are escaped once as
+ * HTML and the result once more as XML.
+ * @param {object} feed
+ * @param {string} feed.format - 'rss' or 'atom'.
+ * @param {string} feed.title
+ * @param {string} feed.selfUrl - The URL the feed was requested at, with its query.
+ * @param {string} feed.siteUrl - The public origin of the addon.
+ * @param {Array<object>} items - From dataManager.getFeedItems, newest first.
+ * @returns {{contentType: string, body: string}}
+ */
+function renderFeed({ format, ...feed }, items) {
+    const entries = items.map(describeItem);
+    if (format === 'atom') return { contentType: 'application/atom+xml; charset=utf-8', body: renderAtom(feed, entries) };
+    return { contentType: 'application/rss+xml; charset=utf-8', body: renderRss(feed, entries) };
+}
+
+module.exports = { FEED_FORMATS, renderFeed };
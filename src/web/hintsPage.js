@@ -0,0 +1,118 @@
+// src/web/hintsPage.js
+
+const { renderPage, escapeHtml } = require('./layout');
+const { MATCH_TYPES, CONTENT_TYPES } = require('../database/hints');
+
+const MATCH_LABELS = {
+    exact: 'Exact title (aliases)',
+    prefix: 'Title starts with',
+    regex: 'Regular expression',
+};
+
+function matchOptions(selected) {
+    return MATCH_TYPES
+        .map(match => `<option value="${match}"${match === selected ? ' selected' : ''}>${MATCH_LABELS[match]}</option>`)
+        .join('');
+}
+
+function typeOptions(selected) {
+    return CONTENT_TYPES
+        .map(type => `<option value="${type}"${type === selected ? ' selected' : ''}>${type === 'movie' ? 'Movie' : 'Series'}</option>`)
+        .join('');
+}
+
+// Exact and prefix patterns may be separated by commas or newlines; regexes only by newlines.
+function hintFields(hint = {}) {
+    return `
+        <select name="type">${typeOptions(hint.type || 'series')}</select>
+        <select name="match">${matchOptions(hint.match || 'exact')}</select>
+        <textarea name="patterns" rows="${Math.max(2, (hint.patterns || []).length)}" placeholder="One pattern per line" required style="flex-grow: 1; min-width: 200px;">${escapeHtml((hint.patterns || []).join('\n'))}</textarea>
+        <input type="text" name="year" value="${escapeHtml(hint.year)}" placeholder="Year (optional)" style="width: 110px;">
+        <input type="text" name="target" value="${escapeHtml(hint.target)}" placeholder="tmdb:123 or tt123" required style="width: 130px;">`;
+}
+
+function renderHintRow(hint, csrfField) {
+    return `
+        <tr>
+            <td>
+                <form action="/api/hints/${encodeURIComponent(hint.id)}" method="POST" style="display: flex; align-items: flex-start; flex-wrap: wrap;">
+                    ${csrfField}
+                    ${hintFields(hint)}
+                    <button type="submit">Save</button>
+                </form>
+            </td>
+            <td>
+                <form action="/api/hints/${encodeURIComponent(hint.id)}/delete" method="POST" onsubmit="return confirm('Delete this hint?');">
+                    ${csrfField}
+                    <button type="submit" class="danger">Delete</button>
+                </form>
+            </td>
+        </tr>`;
+}
+
+/**
+ * Renders the /hints page: create, edit, delete, test, import and export search hints.
+ * @param {object} options
+ * @param {object[]} options.hints - All hints (see database/hints).
+ * @param {string} options.csrfField - Hidden CSRF input added to every action form (see web/auth).
+ * @param {object|null} [options.test] - A title to test: { title, year, type, hint }, where `hint` is the match or null.
+ * @returns {string}
+ */
+function renderHintsPage({ hints, csrfField, test = null }) {
+    let testResult = '';
+    if (test) {
+        testResult = test.hint
+            ? `<p>Matches <code>${escapeHtml(test.hint.target)}</code> via ${escapeHtml(MATCH_LABELS[test.hint.match].toLowerCase())} <code>${escapeHtml(test.hint.patterns.join(', '))}</code>${test.hint.year ? ` (year ${escapeHtml(test.hint.year)})` : ''}.</p>`
+            : '<p>No hint matches this title.</p>';
+    }
+
+    const body = `
+        <h1>Search Hints</h1>
+        <p style="text-align:center;"><a href="/">&larr; Back to status</a> &middot; <a href="/orphans">Orphan console</a></p>
+        <div class="section">
+            <p>Hints map normalized thread titles to a TMDb or IMDb ID before any search runs. A hint only
+            applies to threads of its type, since TMDb series and movie IDs overlap.
+            Exact hints win over prefix hints, which win over regular expressions. A hint with a year
+            only applies to threads whose title carries that year, and wins over the same hint without one.</p>
+            <h2>Add a Hint</h2>
+            <form action="/api/hints" method="POST" style="display: flex; align-items: flex-start; flex-wrap: wrap;">
+                ${csrfField}
+                ${hintFields()}
+                <button type="submit">Add Hint</button>
+            </form>
+        </div>
+        <div class="section">
+            <h2>Test a Title</h2>
+            <form action="/hints" method="GET" style="display: flex; align-items: center;">
+                <input type="text" name="test" value="${escapeHtml(test && test.title)}" placeholder="Normalized title" required style="flex-grow: 1;">
+                <input type="text" name="year" value="${escapeHtml(test && test.year)}" placeholder="Year (optional)" style="width: 110px;">
+                <select name="type">${typeOptions(test ? test.type : 'series')}</select>
+                <button type="submit">Test</button>
+            </form>
+            ${testResult}
+        </div>
+        <div class="section">
+            <h2>Current Hints (${hints.length})</h2>
+            <table>
+                <tr><th>Type / Match / Patterns / Year / Target</th><th></th></tr>
+                ${hints.map(hint => renderHintRow(hint, csrfField)).join('') || '<tr><td colspan="2">No hints configured.</td></tr>'}
+            </table>
+        </div>
+        <div class="section">
+            <h2>Import &amp; Export</h2>
+            <p><a href="/api/hints/export">Download all hints as JSON</a>. Imports accept the same format, or the old <code>{ "title": "tmdb:123" }</code> map.
+            Hints whose <code>id</code> already exists are updated.</p>
+            <form action="/api/hints/import" method="POST">
+                ${csrfField}
+                <textarea name="data" rows="6" placeholder="[ { &quot;target&quot;: &quot;tmdb:123&quot;, &quot;type&quot;: &quot;series&quot;, &quot;match&quot;: &quot;prefix&quot;, &quot;patterns&quot;: [&quot;bigg boss&quot;] } ]" required style="width: 100%; box-sizing: border-box;"></textarea>
+                <p>
+                    <label><input type="checkbox" name="replace" value="1"> Replace all existing hints</label>
+                    <button type="submit" style="margin-left: 10px;">Import</button>
+                </p>
+            </form>
+        </div>
+    `;
+    return renderPage('Search Hints', body);
+}
+
+module.exports = { renderHintsPage };
@@ -0,0 +1,67 @@
+// src/web/layout.js
+
+const PAGE_STYLES = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; margin: 0; background-color: #f4f6f8; color: #1a202c; }
+    .container { max-width: 800px; margin: 40px auto; padding: 20px; background: white; border-radius: 8px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); }
+    h1, h2, h3 { color: #2d3748; border-bottom: 2px solid #e2e8f0; padding-bottom: 10px; }
+    h1 { text-align: center; }
+    p { line-height: 1.6; }
+    a { color: #3182ce; text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    code { background-color: #edf2f7; padding: 2px 6px; border-radius: 4px; font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, Courier, monospace; }
+    pre { background-color: #1a202c; color: #e2e8f0; padding: 15px; border-radius: 8px; overflow-x: auto; white-space: pre-wrap; }
+    .install-button { display: inline-block; padding: 10px 20px; background-color: #48bb78; color: white; text-align: center; border-radius: 5px; font-weight: bold; margin-top: 10px; }
+    .section { margin-bottom: 30px; }
+    table { width: 100%; border-collapse: collapse; margin-top: 15px; }
+    th, td { text-align: left; padding: 12px; border-bottom: 1px solid #e2e8f0; }
+    th { background-color: #f7fafc; }
+    td:first-child { font-weight: bold; color: #4a5568; }
+    input[type="text"], input[type="number"], input[type="password"], select, textarea, button { font-size: 16px; padding: 8px; margin-right: 10px; border: 1px solid #cbd5e0; border-radius: 4px; }
+    button { background-color: #3182ce; color: white; border: none; cursor: pointer; }
+    button:hover { background-color: #2b6cb0; }
+    button.danger { background-color: #e53e3e; }
+    button.danger:hover { background-color: #c53030; }
+    .muted { color: #718096; font-size: 14px; }
+`;
+
+/**
+ * Escapes text for use in HTML element content and quoted attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wraps page content in the shared HTML skeleton and stylesheet.
+ * @param {string} title - The document title.
+ * @param {string} body - HTML placed inside the page container.
+ * @returns {string}
+ */
+function renderPage(title, body) {
+    return `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${title}</title>
+        <style>${PAGE_STYLES}</style>
+    </head>
+    <body>
+        <div class="container">
+            ${body}
+        </div>
+    </body>
+    </html>
+    `;
+}
+
+module.exports = { renderPage, escapeHtml };
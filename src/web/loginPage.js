@@ -0,0 +1,32 @@
+// src/web/loginPage.js
+
+const { renderPage, escapeHtml } = require('./layout');
+
+/**
+ * Renders the admin sign-in form.
+ * @param {object} options
+ * @param {string} options.next - Local path to return to after signing in.
+ * @param {string|null} [options.error] - Message shown above the form.
+ * @param {boolean} options.passwordEnabled - false when only token access (ADMIN_TOKEN) is configured.
+ * @returns {string}
+ */
+function renderLoginPage({ next, error = null, passwordEnabled }) {
+    const form = passwordEnabled ? `
+        <form action="/login" method="POST" style="display: flex; align-items: center;">
+            <input type="hidden" name="next" value="${escapeHtml(next)}">
+            <input type="password" name="password" placeholder="Admin password" required autofocus style="flex-grow: 1;">
+            <button type="submit">Sign In</button>
+        </form>` : '<p>Password sign-in is disabled. Use the API with an <code>Authorization: Bearer</code> token, or set ADMIN_PASSWORD.</p>';
+
+    const body = `
+        <h1>Admin Sign In</h1>
+        <div class="section">
+            ${error ? `<p style="color: #e53e3e;">${escapeHtml(error)}</p>` : ''}
+            ${form}
+            <p><a href="/">&larr; Back to status</a></p>
+        </div>
+    `;
+    return renderPage('Admin Sign In', body);
+}
+
+module.exports = { renderLoginPage };
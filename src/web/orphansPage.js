@@ -0,0 +1,95 @@
+// src/web/orphansPage.js
+
+const { renderPage, escapeHtml } = require('./layout');
+
+const MAX_THREAD_LINKS = 3;
+
+function groupFields(group, csrfField) {
+    return `${csrfField}
+        <input type="hidden" name="normalizedTitle" value="${escapeHtml(group.normalizedTitle)}">
+        <input type="hidden" name="reason" value="${escapeHtml(group.reason)}">`;
+}
+
+function renderGroupRow(group, csrfField) {
+    const threads = group.threads.slice(0, MAX_THREAD_LINKS)
+        .map(thread => /^https?:\/\//i.test(thread.url)
+            ? `<a href="${escapeHtml(thread.url)}" target="_blank" rel="noopener">${escapeHtml(thread.title || thread.url)}</a>`
+            : escapeHtml(thread.title || thread.url))
+        .join('<br>');
+    const moreThreads = group.threads.length > MAX_THREAD_LINKS ? `<br><span class="muted">+${group.threads.length - MAX_THREAD_LINKS} more</span>` : '';
+    // Without a normalized title there is nothing a hint could match on.
+    const assignForm = group.normalizedTitle ? `
+        <form action="/api/orphans/assign" method="POST" style="display: flex; margin-bottom: 5px;">
+            ${groupFields(group, csrfField)}
+            <input type="hidden" name="type" value="${escapeHtml(group.types[0])}">
+            <input type="text" name="id" placeholder="tmdb:123 or tt123" required style="width: 140px;">
+            <button type="submit">Assign</button>
+        </form>` : '';
+    const visibilityAction = group.dismissed ? 'restore' : 'dismiss';
+
+    return `
+        <tr>
+            <td>${escapeHtml(group.normalizedTitle) || '<span class="muted">(no title)</span>'}<br><span class="muted">${escapeHtml(group.types.join(', '))}</span></td>
+            <td><code>${escapeHtml(group.reason)}</code></td>
+            <td>${group.count}</td>
+            <td>${threads}${moreThreads}<br><span class="muted">Last seen ${escapeHtml(group.lastLoggedAt)}</span></td>
+            <td>
+                ${assignForm}
+                <form action="/api/orphans/${visibilityAction}" method="POST" style="display: inline;">
+                    ${groupFields(group, csrfField)}
+                    <button type="submit">${group.dismissed ? 'Restore' : 'Dismiss'}</button>
+                </form>
+                <form action="/api/orphans/delete" method="POST" style="display: inline;" onsubmit="return confirm('Delete ${group.count} orphan(s)?');">
+                    ${groupFields(group, csrfField)}
+                    <button type="submit" class="danger">Delete</button>
+                </form>
+            </td>
+        </tr>`;
+}
+
+/**
+ * Renders the /orphans console: grouped unmatched magnets with filters and group actions.
+ * @param {object} options
+ * @param {object} options.result - The result of `orphanManager.getOrphanGroups`.
+ * @param {object} options.filters - The active filters: { search, reason, type, includeDismissed }.
+ * @param {string} options.csrfField - Hidden CSRF input added to every action form (see web/auth).
+ * @returns {string}
+ */
+function renderOrphansPage({ result, filters, csrfField }) {
+    const reasonOptions = ['<option value="">Any reason</option>']
+        .concat(result.reasons.map(reason => `<option value="${escapeHtml(reason)}"${reason === filters.reason ? ' selected' : ''}>${escapeHtml(reason)}</option>`))
+        .join('');
+    const typeOptions = [['', 'Any type'], ['series', 'Series'], ['movie', 'Movies']]
+        .map(([value, label]) => `<option value="${value}"${value === (filters.type || '') ? ' selected' : ''}>${label}</option>`)
+        .join('');
+    const exportQuery = new URLSearchParams(Object.entries({ search: filters.search, reason: filters.reason, type: filters.type }).filter(([, value]) => value));
+    const orphanCount = result.groups.reduce((sum, group) => sum + group.count, 0);
+
+    const body = `
+        <h1>Orphaned Magnets</h1>
+        <p style="text-align:center;"><a href="/">&larr; Back to status</a></p>
+        <div class="section">
+            <p>Magnets whose thread could not be matched to a TMDb entry, grouped by normalized title and reason.
+            Assigning an ID saves a search hint for the title and immediately rescues every magnet in the group.
+            Dismissed groups are hidden here but still rescued once a matching hint exists.</p>
+            <form action="/orphans" method="GET" style="display: flex; align-items: center; flex-wrap: wrap;">
+                <input type="text" name="search" value="${escapeHtml(filters.search)}" placeholder="Search titles" style="flex-grow: 1;">
+                <select name="reason">${reasonOptions}</select>
+                <select name="type">${typeOptions}</select>
+                <label style="margin-right: 10px;"><input type="checkbox" name="dismissed" value="1"${filters.includeDismissed ? ' checked' : ''}> Show dismissed</label>
+                <button type="submit">Filter</button>
+            </form>
+            <p class="muted">
+                ${result.groups.length} group(s), ${orphanCount} of ${result.total} orphan(s).
+                Export: <a href="/api/orphans/export?${exportQuery}&format=csv">CSV</a> &middot; <a href="/api/orphans/export?${exportQuery}&format=json">JSON</a>
+            </p>
+            <table>
+                <tr><th>Normalized Title</th><th>Reason</th><th>Count</th><th>Threads</th><th>Actions</th></tr>
+                ${result.groups.map(group => renderGroupRow(group, csrfField)).join('') || '<tr><td colspan="5">No orphans match these filters.</td></tr>'}
+            </table>
+        </div>
+    `;
+    return renderPage('Orphaned Magnets', body);
+}
+
+module.exports = { renderOrphansPage };
@@ -0,0 +1,82 @@
+// src/web/reviewPage.js
+
+const { renderPage, escapeHtml } = require('./layout');
+
+function renderCandidate(item, candidate, csrfField) {
+    const tmdbKind = item.type === 'movie' ? 'movie' : 'tv';
+    const poster = candidate.poster
+        ? `<img src="${escapeHtml(candidate.poster)}" alt="" style="width: 60px; margin-right: 10px;">`
+        : '<div style="width: 60px; margin-right: 10px;"></div>';
+    return `
+        <div style="display: flex; align-items: flex-start; margin-bottom: 10px;">
+            ${poster}
+            <div style="flex-grow: 1;">
+                <a href="https://www.themoviedb.org/${tmdbKind}/${encodeURIComponent(candidate.id)}" target="_blank" rel="noopener">${escapeHtml(candidate.name)}</a>
+                ${candidate.year ? `(${escapeHtml(candidate.year)})` : ''} <span class="muted">score ${escapeHtml(candidate.score)}</span>
+                <div class="muted">${escapeHtml((candidate.overview || '').slice(0, 240))}</div>
+            </div>
+            <form action="/api/review/${encodeURIComponent(item.id)}/approve" method="POST">
+                ${csrfField}
+                <input type="hidden" name="id" value="tmdb:${escapeHtml(candidate.id)}">
+                <button type="submit">Approve</button>
+            </form>
+        </div>`;
+}
+
+function renderItemRow(item, csrfField) {
+    return `
+        <tr>
+            <td>
+                <a href="${escapeHtml(item.threadUrl)}" target="_blank" rel="noopener">${escapeHtml(item.threadTitle)}</a>
+                <div class="muted">${escapeHtml(item.baseTitle)}${item.year ? ` (${escapeHtml(item.year)})` : ''}, ${escapeHtml(item.type)}, ${item.magnets.length} magnet(s), held ${escapeHtml(item.heldAt)}</div>
+            </td>
+            <td>
+                ${item.candidates.map(candidate => renderCandidate(item, candidate, csrfField)).join('')}
+                <form action="/api/review/${encodeURIComponent(item.id)}/approve" method="POST" style="display: flex; margin-bottom: 5px;">
+                    ${csrfField}
+                    <input type="text" name="id" placeholder="tmdb:123 or tt123" required style="flex-grow: 1;">
+                    <button type="submit">Use ID</button>
+                </form>
+                <form action="/api/review/${encodeURIComponent(item.id)}/reject" method="POST" onsubmit="return confirm('Move these magnets to the orphans?');">
+                    ${csrfField}
+                    <button type="submit" class="danger">None of these</button>
+                </form>
+            </td>
+        </tr>`;
+}
+
+/**
+ * Renders the /review page: threads whose TMDb match was ambiguous, with the top candidates.
+ * @param {object} options
+ * @param {object[]} options.items - From `reviewQueue.listReviews`.
+ * @param {object} options.filters - The active filters: { thread, type }.
+ * @param {string} options.csrfField - Hidden CSRF input added to every action form (see web/auth).
+ * @returns {string}
+ */
+function renderReviewPage({ items, filters, csrfField }) {
+    const typeOptions = [['', 'Any type'], ['series', 'Series'], ['movie', 'Movies']]
+        .map(([value, label]) => `<option value="${value}"${value === (filters.type || '') ? ' selected' : ''}>${label}</option>`)
+        .join('');
+
+    const body = `
+        <h1>Match Review</h1>
+        <p style="text-align:center;"><a href="/">&larr; Back to status</a></p>
+        <div class="section">
+            <p>Threads whose best TMDb result was too weak, or too close to the runner-up, to accept on its own. Their streams are held until a show is picked.
+            Approving saves a search hint for the title and year and publishes the streams of every held thread with that title and year.
+            "None of these" moves the magnets to the <a href="/orphans">orphans</a>, where later threads with the title go too.</p>
+            <form action="/review" method="GET" style="display: flex; align-items: center; flex-wrap: wrap;">
+                <input type="text" name="thread" value="${escapeHtml(filters.thread)}" placeholder="Thread URL or title" style="flex-grow: 1;">
+                <select name="type">${typeOptions}</select>
+                <button type="submit">Filter</button>
+            </form>
+            <table>
+                <tr><th>Thread</th><th>Candidates</th></tr>
+                ${items.map(item => renderItemRow(item, csrfField)).join('') || '<tr><td colspan="2">No threads are waiting for review.</td></tr>'}
+            </table>
+        </div>
+    `;
+    return renderPage('Match Review', body);
+}
+
+module.exports = { renderReviewPage };
@@ -1,44 +1,117 @@
 // src/workers/threadProcessor.js
 
 const { parentPort } = require('worker_threads');
-const axios = require('axios');
-const { parseThreadPage } = require('../parser/htmlParser');
+const { getSource, getSources, getAdapter } = require('../sources');
 const { parseTitle, normalizeBaseTitle } = require('../parser/titleParser');
+const { parseTorrentFile } = require('../parser/torrentParser');
 const dataManager = require('../database/dataManager');
-const { searchTv, getTvDetails } = require('../utils/tmdb');
+const { getHint } = require('../database/hints');
+const runHistory = require('../database/runHistory');
+const reviewQueue = require('../database/reviewQueue');
+const orphanManager = require('../database/orphanManager');
+const htmlArchive = require('../crawler/htmlArchive');
+const httpClient = require('../crawler/httpClient');
+const { searchTv, getTvDetails, searchMovie, getMovieDetails } = require('../utils/tmdb');
 const { searchOmdb } = require('../utils/omdb');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
+const metrics = require('../utils/metrics');
 
-async function fetchThreadHtml(url) {
+// TMDb lookups per content type. Both detail functions accept a TMDb or IMDb ID.
+const METADATA_SOURCES = {
+    series: { search: searchTv, getDetails: getTvDetails },
+    movie: { search: searchMovie, getDetails: getMovieDetails },
+};
+
+/**
+ * Fetches a thread page and archives it. A missing thread (404) resolves to null; any other
+ * failure is thrown so the crawl queue can retry the thread later.
+ * @param {string} url
+ * @param {object} source - The thread's crawl source.
+ * @param {string} type - 'series' or 'movie', stored with the archived page.
+ * @param {boolean} fromArchive - Read the newest archived copy instead; null if there is none.
+ * @returns {Promise<string|null>}
+ */
+async function fetchThreadHtml(url, source, type, fromArchive) {
+    if (fromArchive) return htmlArchive.readArchivedPage(url);
     try {
-        const { data } = await axios.get(url, {
-            headers: { 'User-Agent': config.USER_AGENT },
-            timeout: 15000
-        });
+        const { data } = await httpClient.get(url, { source });
+        await htmlArchive.archivePage(url, data, { kind: 'thread', type, sourceId: source.id });
         return data;
     } catch (error) {
-        if (error.code !== 'ECONNABORTED' && (!error.response || error.response.status !== 404)) {
-            logger.warn({ url, err: error.message }, 'Failed to fetch thread HTML.');
+        metrics.fetchErrors.inc({ kind: 'thread', status: metrics.statusLabel(error) });
+        if (error.response && error.response.status === 404) {
+            return null;
+        }
+        logger.warn({ url, err: error.message }, 'Failed to fetch thread HTML.');
+        throw error;
+    }
+}
+
+const MAX_TORRENT_FILE_SIZE = 5 * 1024 * 1024; // .torrent files of even large packs stay far below this
+
+/**
+ * Downloads the .torrent attachments of a thread and indexes the episode files of each.
+ * Attachments are keyed by URL and only fetched once. Failures are logged and skipped:
+ * packs without an index still play, just without a preselected file.
+ * @param {string[]} torrentUrls
+ * @param {string} threadUrl - Sent as the referer; some boards refuse attachment hotlinks.
+ * @param {object} source - The thread's crawl source.
+ */
+async function indexTorrentAttachments(torrentUrls, threadUrl, source) {
+    for (const torrentUrl of torrentUrls) {
+        try {
+            if (await dataManager.isTorrentAttachmentIndexed(torrentUrl)) continue;
+            const { data } = await httpClient.get(torrentUrl, {
+                source,
+                referer: threadUrl,
+                responseType: 'arraybuffer',
+                maxContentLength: MAX_TORRENT_FILE_SIZE,
+            });
+            const torrent = parseTorrentFile(Buffer.from(data));
+            const episodeFiles = await dataManager.addTorrentFiles(torrentUrl, torrent);
+            logger.info({ url: torrentUrl, infoHash: torrent.infoHash, episodeFiles }, 'Indexed torrent attachment.');
+        } catch (error) {
+            if (error.isAxiosError || error.code === 'CHALLENGE') metrics.fetchErrors.inc({ kind: 'torrent', status: metrics.statusLabel(error) });
+            // Attachments behind a login come back as HTML, which fails to decode here.
+            logger.warn({ url: torrentUrl, err: error.message }, 'Could not index torrent attachment.');
         }
-        return null;
     }
 }
 
-async function processThread(threadUrl) {
+/**
+ * Fetches, parses and matches one thread, then stores its streams or orphans.
+ * What it finds is counted against the run that queued the thread, if any.
+ * In replay mode, or for a task with `fromArchive`, the page is read from the HTML archive.
+ * @param {object} task - A crawl task: { url, type, sourceId, listing, runId, fromArchive }.
+ */
+async function processThread({ url: threadUrl, type = 'series', sourceId = null, listing = null, runId = null, fromArchive = false }) {
+    const { search, getDetails } = METADATA_SOURCES[type];
+    // Threads recorded before sources existed carry no sourceId; they came from the first source of their type.
+    const source = getSource(sourceId) || getSources().find(s => s.type === type) || getSources()[0];
     let baseTitle = null;
     let threadData = { title: 'Unknown', magnets: [] };
 
-    try {
-        const html = await fetchThreadHtml(threadUrl);
-        if (!html) return;
+    const replay = fromArchive || config.CRAWL_REPLAY;
+    // Fetch failures propagate to the worker loop, which reports them for a retry.
+    const html = await fetchThreadHtml(threadUrl, source, type, replay);
+    if (!html) return;
+    metrics.threadsFetched.inc({ type });
+    await runHistory.countRun(runId, 'threadsProcessed');
+    let matchedBy = null;
+    let match = null; // Score and runners-up of a TMDb search match
 
-        threadData = parseThreadPage(html, threadUrl);
+    try {
+        threadData = getAdapter(source).parseThread(html, threadUrl);
         if (!threadData || !threadData.title || threadData.magnets.length === 0) {
-            await dataManager.updateThreadTimestamp(threadUrl);
+            await dataManager.updateThreadTimestamp(threadUrl, type, source.id, listing);
             return;
         }
 
+        // Indexed by info hash, so this also helps the thread's magnets if they end up orphaned and rescued.
+        // A replay stays off the network; attachments indexed when the page was fetched are kept.
+        if (!replay) await indexTorrentAttachments(threadData.torrents || [], threadUrl, source);
+
         baseTitle = normalizeBaseTitle(threadData.title);
         const yearMatch = threadData.title.match(/\b(19|20)\d{2}\b/);
         const year = yearMatch ? yearMatch[0] : null;
@@ -47,92 +120,134 @@ async function processThread(threadUrl) {
             throw new Error('BAD_TITLE');
         }
 
-        logger.info({ threadTitle: threadData.title, baseTitle: baseTitle, year: year }, 'Processing thread');
+        logger.info({ threadTitle: threadData.title, baseTitle: baseTitle, year: year, type, source: source.id }, 'Processing thread');
 
         let metaResult = { tmdbId: null, imdbId: null, poster: null, name: baseTitle, year: year };
 
         // --- NEW HINTING AND CACHING LOGIC ---
         // 1. Check for a hardcoded hint first. This is the highest priority.
-        const hint = await dataManager.getHint(baseTitle);
+        const hint = await getHint(baseTitle, year, type);
         if (hint) {
-            const [source, id] = hint.split(':');
+            // Hints are "tmdb:123" or "tt123"; the detail lookups take the bare TMDb ID or the IMDb ID.
+            const id = hint.startsWith('tmdb:') ? hint.slice('tmdb:'.length) : hint;
             logger.info({ title: baseTitle, hint }, 'Found a manual hint, using it.');
             // We use the ID from the hint (which can be tmdb or imdb) to get full details
-            const details = await getTvDetails(id);
+            const details = await getDetails(id);
             if (details) {
                 // We got full details, so we can populate our metaResult
                 metaResult = { ...metaResult, ...details };
                 metaResult.poster = details.poster_path ? `https://image.tmdb.org/t/p/w500${details.poster_path}` : null;
+                matchedBy = 'hint';
             }
         }
 
         // 2. If no hint was found or worked, check our automatic Redis cache.
         if (!metaResult.tmdbId) {
-            const cachedTmdbId = await dataManager.findCachedTmdbId(baseTitle, year);
+            const cachedTmdbId = await dataManager.findCachedTmdbId(baseTitle, year, type);
             if (cachedTmdbId) {
-                const details = await getTvDetails(cachedTmdbId);
+                const details = await getDetails(cachedTmdbId);
                 if (details) {
                     metaResult = { ...metaResult, ...details };
                     metaResult.poster = details.poster_path ? `https://image.tmdb.org/t/p/w500${details.poster_path}` : null;
+                    matchedBy = 'cache';
                 }
             }
         }
         
         // 3. If still no match, perform the full API waterfall.
         if (!metaResult.tmdbId) {
-            const tmdbSearch = await searchTv(baseTitle, year);
+            const tmdbSearch = await search(baseTitle, year);
+            // Neither accepted nor orphaned: the streams wait on /review until an admin picks the show.
+            if (tmdbSearch && tmdbSearch.match.ambiguous) {
+                // An admin already said none of the candidates fit this title.
+                if (await reviewQueue.isRejected(baseTitle, year, type)) throw new Error('REVIEW_REJECTED');
+                await reviewQueue.holdThread({
+                    threadUrl, threadTitle: threadData.title, baseTitle, year, type, source: source.id,
+                    magnets: threadData.magnets, candidates: tmdbSearch.match.candidates,
+                });
+                metrics.matchOutcomes.inc({ type, outcome: 'review' });
+                await runHistory.countRun(runId, 'heldForReview');
+                await dataManager.updateThreadTimestamp(threadUrl, type, source.id, listing);
+                return;
+            }
             if (tmdbSearch && tmdbSearch.id) {
-                const details = await getTvDetails(tmdbSearch.id);
+                const details = await getDetails(tmdbSearch.id);
                 if (details && details.imdbId) {
                     metaResult = { ...metaResult, ...details };
                     metaResult.poster = details.poster_path ? `https://image.tmdb.org/t/p/w500${details.poster_path}` : null;
+                    matchedBy = 'tmdb';
+                    match = tmdbSearch.match;
                 }
             }
             if (!metaResult.imdbId) {
-                const omdbSearch = await searchOmdb(baseTitle);
+                const omdbSearch = await searchOmdb(baseTitle, type);
                 if (omdbSearch && omdbSearch.imdbId) {
                     metaResult.imdbId = omdbSearch.imdbId;
                     metaResult.poster = metaResult.poster || omdbSearch.poster;
                     metaResult.name = omdbSearch.title;
                     metaResult.year = omdbSearch.year;
                     
-                    const details = await getTvDetails(metaResult.imdbId);
+                    const details = await getDetails(metaResult.imdbId);
                     if (details && details.tmdbId) {
                         metaResult.tmdbId = details.tmdbId;
+                        matchedBy = 'omdb';
                     }
                 }
             }
         }
 
         if (metaResult.imdbId && metaResult.tmdbId) {
-            await dataManager.findOrCreateShow(metaResult.tmdbId, metaResult.imdbId, baseTitle, year);
-            await dataManager.updateCatalog(metaResult.imdbId, metaResult.name, metaResult.poster, metaResult.year);
+            metrics.matchOutcomes.inc({ type, outcome: matchedBy });
+            // A cache hit keeps the record of how the mapping was found in the first place.
+            const matchRecord = matchedBy === 'cache' ? null : { matchedBy, ...match };
+            await dataManager.findOrCreateShow(metaResult.tmdbId, metaResult.imdbId, baseTitle, year, type, matchRecord);
+            if (await dataManager.updateCatalog(metaResult.imdbId, metaResult.name, metaResult.poster, metaResult.year, metaResult.genres, type)) {
+                await runHistory.countRun(runId, 'newShows');
+            }
+            const seenStreamIds = [];
+            let newStreams = 0;
+            let unparsed = 0;
             for (const magnetUri of threadData.magnets) {
                 const parsedStream = parseTitle(magnetUri);
                 if (parsedStream) {
-                    await dataManager.addStream(metaResult.tmdbId, parsedStream);
+                    const stored = await dataManager.addStream(metaResult.tmdbId, { ...parsedStream, source: source.id, threadUrl }, type);
+                    if (stored) seenStreamIds.push(stored.streamId);
+                    if (stored && stored.isNew) newStreams++;
                 } else {
-                    await dataManager.logUnmatchedMagnet(magnetUri, threadData.title, threadUrl, "MAGNET_PARSE_FAILED", baseTitle);
+                    await dataManager.logUnmatchedMagnet(magnetUri, threadData.title, threadUrl, "MAGNET_PARSE_FAILED", baseTitle, type, source.id);
+                    unparsed++;
                 }
             }
+            await runHistory.countRun(runId, 'newStreams', newStreams);
+            await runHistory.countRun(runId, 'orphansAdded', unparsed);
+            // Magnets the uploader removed or replaced since the last visit go stale.
+            await dataManager.reconcileThreadStreams(threadUrl, type, metaResult.tmdbId, seenStreamIds);
+            await reviewQueue.discardThread(threadUrl);
         } else {
             throw new Error('METADATA_MATCH_FAILED');
         }
         
-        await dataManager.updateThreadTimestamp(threadUrl);
+        await dataManager.updateThreadTimestamp(threadUrl, type, source.id, listing);
 
     } catch (error) {
         const baseTitle = normalizeBaseTitle(threadData?.title || '');
         const reason = error.message.includes('timeout') ? 'API_TIMEOUT' :
                        error.message === 'METADATA_MATCH_FAILED' ? 'NO_METADATA_MATCH' :
                        error.message === 'BAD_TITLE' ? 'BAD_TITLE' :
+                       error.message === 'REVIEW_REJECTED' ? 'REVIEW_REJECTED' :
                        'UNKNOWN_ERROR';
         
         logger.warn({ title: baseTitle, reason }, "Could not resolve show. Logging as orphan.");
+        metrics.matchOutcomes.inc({ type, outcome: 'orphan' });
         if (threadData && threadData.magnets && threadData.magnets.length > 0) {
+            // The rejection already orphaned the thread's magnets; replace them rather than log them twice.
+            if (reason === 'REVIEW_REJECTED') await orphanManager.deleteThreadOrphans([threadUrl]);
             for (const magnetUri of threadData.magnets) {
-                await dataManager.logUnmatchedMagnet(magnetUri, threadData.title, threadUrl, reason, baseTitle);
+                await dataManager.logUnmatchedMagnet(magnetUri, threadData.title, threadUrl, reason, baseTitle, type, source.id);
             }
+            await runHistory.countRun(runId, 'orphansAdded', threadData.magnets.length);
+            // Recorded so unchanged orphan threads are not queued again on every crawl.
+            await dataManager.updateThreadTimestamp(threadUrl, type, source.id, listing);
         }
     }
 }
@@ -144,12 +259,19 @@ if (!parentPort) {
 
 parentPort.on('message', async (task) => {
     if (task && task.url) {
-        await processThread(task.url);
+        let result = { status: 'done' };
+        try {
+            await processThread(task);
+        } catch (error) {
+            result = { status: 'failed', error: error.message };
+            await runHistory.recordRunError(task.runId, `Thread failed: ${error.message}`, task.url)
+                .catch(err => logger.warn({ err: err.message }, 'Could not record the failure in the run history.'));
+        }
         if (global.gc) {
             global.gc();
         }
-        parentPort.postMessage('done');
+        parentPort.postMessage(result);
     }
 });
 
-parentPort.postMessage('ready');
+parentPort.postMessage({ status: 'ready' });